@@ -0,0 +1,446 @@
+/**
+ * Battle Replay module
+ * Plays a battle log back with play/pause, speed, stepping, a scrubber and skip-to-end
+ * The health, mana and effects of both sides are worked out for every point of the log as
+ * entries are added, so jumping anywhere shows the exact state the battle was in at that
+ * moment. A live replay takes entries as they arrive and follows them while playing
+ */
+const BattleReplay = (function() {
+    // Private properties
+    const BASE_DELAY_MS = 800;
+    const SPEEDS = [0.5, 1, 2, 4];
+    
+    /**
+     * Work out both sides' health, mana and effects before the battle starts
+     * @param {Array} characters - Character snapshots from the battle record
+     * @returns {Object} State keyed by character id
+     */
+    function createInitialState(characters) {
+        const state = {};
+        characters.forEach(c => {
+            state[c.id] = {
+                health: c.health !== undefined && c.health !== null ? c.health : c.maxHealth,
+                mana: c.mana !== undefined && c.mana !== null ? c.mana : c.maxMana,
+                effects: []
+            };
+        });
+        
+        return state;
+    }
+    
+    /**
+     * Work out both sides' health, mana and effects after a log entry
+     * @param {Object} previous - State before the entry
+     * @param {Object} entry - Log entry
+     * @returns {Object} State after the entry, keyed by character id
+     */
+    function applyEntry(previous, entry) {
+        const state = {};
+        Object.entries(previous).forEach(([id, side]) => {
+            state[id] = { ...side };
+        });
+        
+        const actor = state[entry.characterId];
+        if (actor) {
+            if (entry.health !== undefined) actor.health = entry.health;
+            if (entry.mana !== undefined) actor.mana = entry.mana;
+            if (entry.effects !== undefined) actor.effects = entry.effects;
+        }
+        
+        // Attacks also carry the state of the combatant they hit
+        const target = state[entry.targetId];
+        if (target && entry.targetId !== entry.characterId && entry.targetHealth !== undefined) {
+            target.health = entry.targetHealth;
+            if (entry.targetMana !== undefined) target.mana = entry.targetMana;
+            if (entry.targetEffects !== undefined) target.effects = entry.targetEffects;
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Update a resource bar (health or mana)
+     * @param {HTMLElement} barElement - The progress bar element
+     * @param {number} current - Current value
+     * @param {number} max - Maximum value
+     */
+    function updateResourceBar(barElement, current, max) {
+        const percent = Math.max(0, Math.min(100, (current / max) * 100));
+        barElement.style.width = `${percent}%`;
+        barElement.textContent = `${current}/${max}`;
+    }
+    
+    /**
+     * Update effects display
+     * @param {HTMLElement} container - The effects container
+     * @param {Array} effects - Array of active effects
+     */
+    function updateEffectsDisplay(container, effects) {
+        container.innerHTML = '';
+        
+        effects.forEach(effect => {
+            const effectClass = effect.type === 'buff' ? 'effect-buff' :
+                               effect.type === 'debuff' ? 'effect-debuff' : 'effect-dot';
+            
+            const effectIcon = document.createElement('div');
+            effectIcon.className = `effect-icon ${effectClass}`;
+            effectIcon.title = `${effect.name}: ${effect.description}`;
+            effectIcon.textContent = effect.name.charAt(0).toUpperCase();
+            
+            container.appendChild(effectIcon);
+        });
+    }
+    
+    /**
+     * Create one side of the battle: name, health, mana and effects
+     * @param {Object} snapshot - Character snapshot
+     * @returns {Object} { element, healthBar, manaBar, effects }
+     */
+    function createSide(snapshot) {
+        const healthBar = UIRenderer.createResourceBar({
+            current: snapshot.maxHealth,
+            max: snapshot.maxHealth,
+            type: 'health'
+        });
+        const manaBar = UIRenderer.createResourceBar({
+            current: snapshot.maxMana,
+            max: snapshot.maxMana,
+            type: 'mana'
+        });
+        const effects = UIRenderer.createElement('div', {
+            className: 'battle-effects mt-2'
+        });
+        
+        return {
+            element: UIRenderer.createElement('div', {
+                className: 'col-5'
+            }, [
+                UIRenderer.createElement('h5', {
+                    className: 'text-center mb-3'
+                }, snapshot.name),
+                healthBar,
+                manaBar,
+                effects
+            ]),
+            healthBar: healthBar.querySelector('.progress-bar'),
+            manaBar: manaBar.querySelector('.progress-bar'),
+            effects
+        };
+    }
+    
+    /**
+     * Create a log line
+     * @param {Object} entry - Log entry
+     * @param {string} playerId - Id of the character the viewer plays
+     * @returns {HTMLElement} Log line element
+     */
+    function createLogLine(entry, playerId) {
+        const className = entry.type === 'system' || !entry.characterId ? 'system-message' :
+            entry.characterId === playerId ? 'player-action' : 'opponent-action';
+        
+        return UIRenderer.createElement('div', {
+            className
+        }, `[${new Date(entry.timestamp).toLocaleTimeString()}] ${entry.message}`);
+    }
+    
+    /**
+     * Create a replay of a battle
+     * @param {Object} options - Replay options
+     * @param {Object} options.battle - Battle with characters and log
+     * @param {string} options.playerId - Id of the character shown on the left
+     * @param {boolean} [options.autoplay] - Start playing straight away
+     * @param {boolean} [options.startAtEnd] - Open on the latest entry instead of the start
+     * @param {boolean} [options.live] - The battle is still running; entries come through addEntry
+     * @param {Function} [options.onFinish] - Called the first time the replay reaches the end of a finished battle
+     * @returns {Object} { element, play, pause, addEntry, finish, destroy }
+     */
+    function create(options = {}) {
+        const {
+            battle,
+            playerId,
+            autoplay = true,
+            startAtEnd = false,
+            live = false,
+            onFinish = null
+        } = options;
+        
+        const playerChar = battle.characters.find(c => c.id === playerId) || battle.characters[0];
+        const opponentChar = battle.characters.find(c => c !== playerChar);
+        const log = [...battle.log].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const states = [createInitialState([playerChar, opponentChar])];
+        log.forEach(entry => states.push(applyEntry(states[states.length - 1], entry)));
+        const sides = {
+            [playerChar.id]: { ...createSide(playerChar), snapshot: playerChar },
+            [opponentChar.id]: { ...createSide(opponentChar), snapshot: opponentChar }
+        };
+        
+        let position = 0;
+        let speed = 1;
+        let playing = false;
+        let timer = null;
+        let complete = !live;
+        let finished = false;
+        
+        const logElement = UIRenderer.createElement('div', {
+            className: 'battle-log'
+        });
+        const scrubber = UIRenderer.createElement('input', {
+            type: 'range',
+            className: 'form-range flex-grow-1',
+            min: 0,
+            max: log.length,
+            value: 0,
+            'aria-label': 'Battle position',
+            onInput: event => {
+                pause();
+                seek(Number(event.target.value));
+            }
+        });
+        const positionLabel = UIRenderer.createElement('span', {
+            className: 'text-muted small replay-position'
+        });
+        const playButton = UIRenderer.createButton({
+            icon: 'play-fill',
+            variant: 'primary',
+            size: 'sm',
+            onClick: () => (playing ? pause() : play())
+        });
+        
+        /**
+         * Show the battle as it stood after a number of log entries
+         * @param {number} target - Number of entries played
+         * @param {boolean} animate - Flash the side hit by the latest entry
+         */
+        function seek(target, animate = false) {
+            const next = Math.max(0, Math.min(log.length, target));
+            
+            // Moving forward appends lines; anything else rebuilds the log
+            if (next >= position) {
+                log.slice(position, next).forEach(entry => logElement.appendChild(createLogLine(entry, playerId)));
+            } else {
+                logElement.innerHTML = '';
+                log.slice(0, next).forEach(entry => logElement.appendChild(createLogLine(entry, playerId)));
+            }
+            position = next;
+            logElement.scrollTop = logElement.scrollHeight;
+            
+            Object.entries(states[position]).forEach(([id, state]) => {
+                const side = sides[id];
+                updateResourceBar(side.healthBar, state.health, side.snapshot.maxHealth);
+                updateResourceBar(side.manaBar, state.mana, side.snapshot.maxMana);
+                updateEffectsDisplay(side.effects, state.effects);
+            });
+            
+            const entry = log[position - 1];
+            if (animate && entry && (entry.type === 'damage' || entry.type === 'heal') && sides[entry.targetId]) {
+                const section = sides[entry.targetId].element;
+                section.classList.add('flash');
+                setTimeout(() => {
+                    section.classList.remove('flash');
+                }, 500);
+            }
+            
+            scrubber.value = position;
+            positionLabel.textContent = `${position}/${log.length}`;
+            
+            if (position === log.length && complete) {
+                pause();
+                
+                if (!finished) {
+                    finished = true;
+                    if (onFinish) {
+                        onFinish();
+                    }
+                }
+            }
+        }
+        
+        /**
+         * Schedule the next entry while playing; at the live edge playback waits for addEntry
+         */
+        function schedule() {
+            if (playing && !timer && position < log.length) {
+                timer = setTimeout(tick, BASE_DELAY_MS / speed);
+            }
+        }
+        
+        /**
+         * Play the next entry and schedule the one after it
+         */
+        function tick() {
+            timer = null;
+            if (position < log.length) {
+                seek(position + 1, true);
+            }
+            schedule();
+        }
+        
+        /**
+         * Start or resume playback, restarting from the beginning once a finished battle has been watched
+         */
+        function play() {
+            if (playing) return;
+            
+            if (complete && position >= log.length) {
+                seek(0);
+            }
+            
+            playing = true;
+            playButton.innerHTML = '<i class="bi bi-pause-fill"></i>';
+            schedule();
+        }
+        
+        /**
+         * Pause playback
+         */
+        function pause() {
+            playing = false;
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+            playButton.innerHTML = '<i class="bi bi-play-fill"></i>';
+        }
+        
+        /**
+         * Add an entry to a live battle
+         * Entries arrive at the pace the battle is fought, so one that lands while playback is
+         * waiting at the live edge is shown straight away
+         * @param {Object} entry - Log entry
+         */
+        function addEntry(entry) {
+            log.push(entry);
+            states.push(applyEntry(states[states.length - 1], entry));
+            scrubber.max = log.length;
+            
+            if (playing && !timer && position === log.length - 1) {
+                seek(log.length, true);
+            } else {
+                positionLabel.textContent = `${position}/${log.length}`;
+            }
+        }
+        
+        /**
+         * Mark a live battle as over, so reaching its last entry ends the replay
+         */
+        function finish() {
+            complete = true;
+            
+            if (position === log.length) {
+                seek(position);
+            }
+        }
+        
+        /**
+         * Stop playback for good, such as when the modal showing it closes
+         */
+        function destroy() {
+            pause();
+            finished = true;
+        }
+        
+        const controls = UIRenderer.createElement('div', {
+            className: 'replay-controls d-flex flex-wrap align-items-center gap-2 mb-3'
+        }, [
+            UIRenderer.createButton({
+                icon: 'skip-backward-fill',
+                variant: 'outline-secondary',
+                size: 'sm',
+                onClick: () => {
+                    pause();
+                    seek(position - 1);
+                }
+            }),
+            playButton,
+            UIRenderer.createButton({
+                icon: 'skip-forward-fill',
+                variant: 'outline-secondary',
+                size: 'sm',
+                onClick: () => {
+                    pause();
+                    seek(position + 1, true);
+                }
+            }),
+            UIRenderer.createButton({
+                icon: 'skip-end-fill',
+                text: live ? 'Latest' : 'End',
+                variant: 'outline-secondary',
+                size: 'sm',
+                onClick: () => {
+                    // A live battle keeps following new entries from the latest one
+                    seek(log.length);
+                    if (!complete) {
+                        play();
+                    }
+                }
+            }),
+            scrubber,
+            positionLabel,
+            UIRenderer.createElement('select', {
+                className: 'form-select form-select-sm w-auto',
+                'aria-label': 'Playback speed',
+                onChange: event => {
+                    speed = Number(event.target.value);
+                }
+            }, SPEEDS.map(value =>
+                UIRenderer.createElement('option', {
+                    value,
+                    selected: value === speed
+                }, `${value}x`)
+            ))
+        ]);
+        
+        const element = UIRenderer.createElement('div', {
+            className: 'battle-visualization'
+        }, [
+            UIRenderer.createElement('div', {
+                className: 'row mb-4'
+            }, [
+                sides[playerChar.id].element,
+                UIRenderer.createElement('div', {
+                    className: 'col-2 d-flex align-items-center justify-content-center'
+                }, [
+                    UIRenderer.createElement('div', {
+                        className: 'fs-1 fw-bold text-danger'
+                    }, 'VS')
+                ]),
+                sides[opponentChar.id].element
+            ]),
+            controls,
+            UIRenderer.createElement('div', {
+                className: 'battle-log-container'
+            }, [
+                UIRenderer.createElement('h5', {
+                    className: 'mb-2'
+                }, 'Battle Log'),
+                logElement
+            ])
+        ]);
+        
+        // A finished battle opened from history should not count as reaching the end
+        if (startAtEnd) {
+            finished = complete;
+            seek(log.length);
+        } else {
+            seek(0);
+        }
+        
+        if (autoplay) {
+            play();
+        }
+        
+        return {
+            element,
+            play,
+            pause,
+            addEntry,
+            finish,
+            destroy
+        };
+    }
+    
+    // Public API
+    return {
+        create
+    };
+})();
\ No newline at end of file
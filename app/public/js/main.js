@@ -4,9 +4,11 @@
  */
 const App = (function() {
     // Private properties
+    const SELECTED_CHARACTER_KEY = 'selectedCharacterId';
     let currentUser = null;
     let currentCharacter = null;
     let currentView = null;
+    let characters = [];
     let views = {};
     
     /**
@@ -20,6 +22,7 @@ const App = (function() {
             stats: StatsView,
             inventory: InventoryView,
             shop: ShopView,
+            crafting: CraftingView,
             rotation: RotationView,
             battle: BattleView,
             challenge: ChallengeView,
@@ -65,15 +68,8 @@ const App = (function() {
                 if (response) return response.json();
             })
             .then(data => {
-                if (data && data.characters && data.characters.length > 0) {
-                    // User has at least one character
-                    currentCharacter = data.characters[0];
-                    showGameInterface();
-                    navigateTo('stats');
-                    updateGoldDisplay();
-                } else if (data) {
-                    // User is logged in but has no character
-                    showCharacterCreationView();
+                if (data && data.characters) {
+                    startWithCharacters(data.characters);
                 }
             })
             .catch(error => {
@@ -82,6 +78,25 @@ const App = (function() {
             });
     }
     
+    /**
+     * Resume the stored character selection, or let the user pick one
+     * @param {Array} characterList - The user's characters
+     */
+    function startWithCharacters(characterList) {
+        characters = characterList;
+        
+        const storedId = localStorage.getItem(SELECTED_CHARACTER_KEY);
+        const stored = characters.find(character => character.id === storedId);
+        
+        if (stored) {
+            selectCharacter(stored);
+        } else if (characters.length === 1) {
+            selectCharacter(characters[0]);
+        } else {
+            showCharacterRosterView();
+        }
+    }
+    
     /**
      * Show the login view
      */
@@ -90,7 +105,7 @@ const App = (function() {
         document.getElementById('main-content').classList.add('d-none');
         
         // Create container for login view
-        const container = document.getElementById('app-container');
+        const container = document.getElementById('setup-content');
         container.innerHTML = '';
         
         // Initialize login view
@@ -103,22 +118,20 @@ const App = (function() {
     }
     
     /**
-     * Show the character creation view
+     * Show the character roster outside the game interface
      */
-    function showCharacterCreationView() {
+    function showCharacterRosterView() {
         // Hide main content
         document.getElementById('main-content').classList.add('d-none');
         
-        // Create container for character creation view
-        const container = document.getElementById('app-container');
+        // Create container for the roster view
+        const container = document.getElementById('setup-content');
         container.innerHTML = '';
         
-        // Initialize character creation view
+        // Initialize the roster view
         if (views.character) {
             currentView = 'character';
-            views.character.init(container, {
-                onCharacterCreated: handleCharacterCreated
-            });
+            views.character.init(container, getViewOptions());
         }
     }
     
@@ -129,13 +142,24 @@ const App = (function() {
         // Show main content
         document.getElementById('main-content').classList.remove('d-none');
         
-        // Clear any login/character creation views
-        const container = document.getElementById('app-container');
-        const loginContent = container.querySelector('.auth-card');
-        const characterContent = container.querySelector('.character-creation');
-        
-        if (loginContent) loginContent.remove();
-        if (characterContent) characterContent.remove();
+        // Clear any login/character selection views
+        document.getElementById('setup-content').innerHTML = '';
+    }
+    
+    /**
+     * Build the options every view is initialized with
+     * @returns {Object} View options
+     */
+    function getViewOptions() {
+        return {
+            character: currentCharacter,
+            user: currentUser,
+            onCharacterUpdated: handleCharacterUpdated,
+            onCharacterSelected: selectCharacter,
+            onCharacterCreated: handleCharacterCreated,
+            onCharacterDeleted: handleCharacterDeleted,
+            onRosterLoaded: handleRosterLoaded
+        };
     }
     
     /**
@@ -173,11 +197,19 @@ const App = (function() {
         
         // Initialize the new view
         currentView = viewName;
-        views[viewName].init(contentContainer, {
-            character: currentCharacter,
-            user: currentUser,
-            onCharacterUpdated: handleCharacterUpdated
-        });
+        views[viewName].init(contentContainer, getViewOptions());
+    }
+    
+    /**
+     * Re-initialize the current view, e.g. after switching characters
+     * @param {string} fallbackView - View to show when no game view is open
+     */
+    function reloadView(fallbackView = 'stats') {
+        const viewName = currentView && currentView !== 'login' && currentView !== 'character' ?
+            currentView : fallbackView;
+        
+        currentView = null;
+        navigateTo(viewName);
     }
     
     /**
@@ -187,19 +219,12 @@ const App = (function() {
     function handleLogin(userData) {
         currentUser = userData;
         
-        // Check if user has a character
+        // Resume or pick a character
         fetch('/api/character/list')
             .then(response => response.json())
             .then(data => {
-                if (data.characters && data.characters.length > 0) {
-                    // User has at least one character
-                    currentCharacter = data.characters[0];
-                    showGameInterface();
-                    navigateTo('stats');
-                    updateGoldDisplay();
-                } else {
-                    // User is logged in but has no character
-                    showCharacterCreationView();
+                if (data.characters) {
+                    startWithCharacters(data.characters);
                 }
             })
             .catch(error => {
@@ -212,10 +237,47 @@ const App = (function() {
      * @param {Object} characterData - Character data from the server
      */
     function handleCharacterCreated(characterData) {
+        characters.push(characterData);
+        selectCharacter(characterData);
+    }
+    
+    /**
+     * Make a character the active one and remember the choice
+     * @param {Object} characterData - Character data
+     */
+    function selectCharacter(characterData) {
         currentCharacter = characterData;
+        localStorage.setItem(SELECTED_CHARACTER_KEY, characterData.id);
+        
         showGameInterface();
-        navigateTo('stats');
+        renderCharacterSwitcher();
         updateGoldDisplay();
+        reloadView();
+    }
+    
+    /**
+     * Handle a deleted character
+     * @param {Object} characterData - The deleted character
+     */
+    function handleCharacterDeleted(characterData) {
+        characters = characters.filter(character => character.id !== characterData.id);
+        
+        if (currentCharacter && currentCharacter.id === characterData.id) {
+            currentCharacter = null;
+            localStorage.removeItem(SELECTED_CHARACTER_KEY);
+            showCharacterRosterView();
+        }
+        
+        renderCharacterSwitcher();
+    }
+    
+    /**
+     * Keep the switcher in sync with the roster view's list
+     * @param {Array} characterList - The user's characters
+     */
+    function handleRosterLoaded(characterList) {
+        characters = characterList;
+        renderCharacterSwitcher();
     }
     
     /**
@@ -224,9 +286,58 @@ const App = (function() {
      */
     function handleCharacterUpdated(characterData) {
         currentCharacter = characterData;
+        characters = characters.map(character =>
+            character.id === characterData.id ? characterData : character);
+        
+        renderCharacterSwitcher();
         updateGoldDisplay();
     }
     
+    /**
+     * Render the navbar character switcher
+     */
+    function renderCharacterSwitcher() {
+        document.getElementById('character-switcher-name').textContent =
+            currentCharacter ? currentCharacter.name : 'Character';
+        
+        const menu = document.getElementById('character-switcher-menu');
+        menu.innerHTML = '';
+        
+        characters.forEach(character => {
+            const isCurrent = currentCharacter && character.id === currentCharacter.id;
+            
+            menu.appendChild(UIRenderer.createElement('li', {}, [
+                UIRenderer.createElement('a', {
+                    className: `dropdown-item d-flex justify-content-between ${isCurrent ? 'active' : ''}`,
+                    href: '#',
+                    onClick: (e) => {
+                        e.preventDefault();
+                        if (!isCurrent) {
+                            selectCharacter(character);
+                        }
+                    }
+                }, [
+                    UIRenderer.createElement('span', { className: 'me-3' }, character.name),
+                    UIRenderer.createElement('small', {}, `Lv ${character.level}`)
+                ])
+            ]));
+        });
+        
+        menu.appendChild(UIRenderer.createElement('li', {}, [
+            UIRenderer.createElement('hr', { className: 'dropdown-divider' })
+        ]));
+        menu.appendChild(UIRenderer.createElement('li', {}, [
+            UIRenderer.createElement('a', {
+                className: 'dropdown-item',
+                href: '#',
+                onClick: (e) => {
+                    e.preventDefault();
+                    navigateTo('character');
+                }
+            }, 'Manage Characters')
+        ]));
+    }
+    
     /**
      * Update the gold display in the navigation bar
      */
@@ -249,6 +360,7 @@ const App = (function() {
                     currentUser = null;
                     currentCharacter = null;
                     currentView = null;
+                    characters = [];
                     showLoginView();
                 }
             })
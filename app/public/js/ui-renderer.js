@@ -8,6 +8,22 @@ const UIRenderer = (function() {
     const components = new Map();
     const modalInstance = new bootstrap.Modal(document.getElementById('app-modal'));
     
+    // Derived stats shown when comparing an item with equipped gear, grouped into ranges where needed
+    const COMPARED_STATS = [
+        { label: 'Physical Damage', keys: ['minPhysicalDamage', 'maxPhysicalDamage'] },
+        { label: 'Magic Damage', keys: ['minMagicDamage', 'maxMagicDamage'] },
+        { label: 'Health', keys: ['maxHealth'] },
+        { label: 'Mana', keys: ['maxMana'] },
+        { label: 'Attack Speed', keys: ['attackSpeed'], unit: 's' },
+        { label: 'Crit', keys: ['critChance'], unit: '%' },
+        { label: 'Spell Crit', keys: ['spellCritChance'], unit: '%' },
+        { label: 'Physical Reduction', keys: ['physicalDamageReduction'], unit: '%' },
+        { label: 'Magic Reduction', keys: ['magicDamageReduction'], unit: '%' },
+        { label: 'Dodge', keys: ['dodgeChance'], unit: '%' },
+        { label: 'Accuracy', keys: ['accuracy'], unit: '%' },
+        { label: 'Block', keys: ['blockChance'], unit: '%' }
+    ];
+    
     /**
      * Create DOM element with attributes and children
      * @param {string} tag - HTML tag name
@@ -30,6 +46,11 @@ const UIRenderer = (function() {
                 element.addEventListener(key.substring(2).toLowerCase(), value);
             } else if (key === 'dangerouslySetInnerHTML' && value.__html) {
                 element.innerHTML = value.__html;
+            } else if (value === false || value === null || value === undefined) {
+                // Boolean attributes like disabled are on whenever present, so leave them out
+                return;
+            } else if (value === true) {
+                element.setAttribute(key, '');
             } else {
                 element.setAttribute(key, value);
             }
@@ -640,7 +661,8 @@ const UIRenderer = (function() {
             label,
             value,
             icon = null,
-            className = ''
+            className = '',
+            statKeys = []
         } = options;
         
         const statContent = [];
@@ -659,8 +681,10 @@ const UIRenderer = (function() {
             className: 'stat-value fw-bold'
         }, value));
         
+        // Stat keys let views attach extra details such as breakdown popovers
         return createElement('div', {
-            className: `d-flex align-items-center mb-2 ${className}`
+            className: `d-flex align-items-center mb-2 ${className}`,
+            'data-stat': statKeys.length > 0 ? statKeys.join(',') : null
         }, statContent);
     }
     
@@ -718,6 +742,15 @@ const UIRenderer = (function() {
         }, [labelElement, valueElement]);
     }
     
+    /**
+     * Format an item's name with its upgrade level
+     * @param {Object} item - The item
+     * @returns {string} Item name, such as "Iron Sword +3" once upgraded
+     */
+    function formatItemName(item) {
+        return item.upgradeLevel ? `${item.name} +${item.upgradeLevel}` : item.name;
+    }
+    
     /**
      * Create an equipment slot display
      * @param {Object} options - Equipment slot configuration
@@ -727,7 +760,9 @@ const UIRenderer = (function() {
         const {
             name,
             item = null,
+            setName = null,
             onUnequip = null,
+            onUpgrade = null,
             className = ''
         } = options;
         
@@ -739,7 +774,14 @@ const UIRenderer = (function() {
             // Item name
             itemDetails.push(createElement('h5', {
                 className: 'mb-2'
-            }, item.name));
+            }, formatItemName(item)));
+            
+            // Set membership
+            if (setName) {
+                itemDetails.push(createElement('p', {
+                    className: 'mb-1 small item-set'
+                }, `Part of the ${setName} set`));
+            }
             
             // Item details
             if (item.type === 'weapon') {
@@ -784,6 +826,14 @@ const UIRenderer = (function() {
                 }, 'Unequip'));
             }
             
+            // Upgrade button
+            if (onUpgrade) {
+                itemDetails.push(createElement('button', {
+                    className: 'btn btn-sm btn-outline-secondary mt-2 ms-2',
+                    onClick: () => onUpgrade(item)
+                }, 'Upgrade'));
+            }
+            
             content = createElement('div', {
                 className: `item-details ${item.type}`
             }, itemDetails);
@@ -803,6 +853,39 @@ const UIRenderer = (function() {
         ]);
     }
     
+    /**
+     * Create green and red badges for the stats a change of gear would affect
+     * @param {Object} comparison - Item comparison or loadout proposal from the server, with deltas keyed by stat
+     * @returns {HTMLElement} Comparison element
+     */
+    function createComparisonBadges(comparison) {
+        const badges = COMPARED_STATS.map(stat => {
+            const changes = stat.keys.map(key => comparison.deltas[key]).filter(Boolean);
+            if (!changes.some(change => change.delta !== 0)) {
+                return null;
+            }
+            
+            const changed = changes.filter(change => change.delta !== 0);
+            const color = changed.every(change => change.better) ? 'success' :
+                changed.some(change => change.better) ? 'warning' : 'danger';
+            const amounts = changes.map(change => `${change.delta > 0 ? '+' : ''}${change.delta}`).join('/');
+            
+            return createBadge({
+                text: `${amounts}${stat.unit || ''} ${stat.label}`,
+                color,
+                className: 'me-1 mb-1'
+            });
+        }).filter(Boolean);
+        
+        return createElement('div', {
+            className: 'mb-2 item-comparison'
+        }, badges.length > 0 ? badges : [
+            createElement('span', {
+                className: 'small text-muted'
+            }, comparison.source === 'equipment' ? 'Equipped' : 'No change to your stats')
+        ]);
+    }
+    
     /**
      * Create an item card for inventory or shop
      * @param {Object} options - Item card configuration
@@ -812,6 +895,8 @@ const UIRenderer = (function() {
         const {
             item,
             actionButton = null,
+            onUpgrade = null,
+            comparison = null,
             className = ''
         } = options;
         
@@ -822,13 +907,29 @@ const UIRenderer = (function() {
             className: 'mb-2 d-flex justify-content-between'
         }, [
             createElement('span', {
-                className: 'fw-bold'
-            }, item.name),
+                className: 'fw-bold item-name'
+            }, item.quantity > 1 ? `${item.name} ×${item.quantity}` : formatItemName(item)),
             createElement('span', {
                 className: 'text-muted'
-            }, `${item.type.charAt(0).toUpperCase() + item.type.slice(1)} - ${item.slot.charAt(0).toUpperCase() + item.slot.slice(1)}`)
+            }, item.slot ?
+                `${item.type.charAt(0).toUpperCase() + item.type.slice(1)} - ${item.slot.charAt(0).toUpperCase() + item.slot.slice(1)}` :
+                item.type.charAt(0).toUpperCase() + item.type.slice(1))
         ]));
         
+        // Rarity tier for generated items
+        if (item.rarity) {
+            cardContent.push(createElement('div', {
+                className: 'mb-2 small item-rarity'
+            }, item.rarity.charAt(0).toUpperCase() + item.rarity.slice(1)));
+        }
+        
+        // Flavor text, such as what a material is used for
+        if (item.description) {
+            cardContent.push(createElement('div', {
+                className: 'mb-2 small text-muted'
+            }, item.description));
+        }
+        
         // Two-handed indicator for weapons
         if (item.twoHanded) {
             cardContent.push(createElement('div', {
@@ -870,6 +971,29 @@ const UIRenderer = (function() {
             cardContent.push(bonusList);
         }
         
+        // What a consumable does when used
+        if (item.use) {
+            const useParts = [];
+            if (item.use.health) useParts.push(`Restores ${item.use.health} health`);
+            if (item.use.mana) useParts.push(`Restores ${item.use.mana} mana`);
+            if (item.use.damage) useParts.push(`Deals ${item.use.damage} ${item.use.damageType || 'physical'} damage`);
+            
+            cardContent.push(createElement('div', {
+                className: 'mb-2 text-success'
+            }, useParts.join(', ')));
+        }
+        
+        // Affixes rolled on generated items
+        if (item.affixes && item.affixes.length > 0) {
+            const affixList = createElement('ul', {
+                className: 'mb-2 ps-3 item-affixes'
+            }, item.affixes.map(affix => 
+                createElement('li', {}, `${affix.name}: ${affix.value > 0 ? '+' : ''}${affix.value} ${affix.stat.charAt(0).toUpperCase() + affix.stat.slice(1)}`)
+            ));
+            
+            cardContent.push(affixList);
+        }
+        
         // Effects
         if (item.effects && item.effects.length > 0) {
             const effectsList = createElement('ul', {
@@ -881,6 +1005,11 @@ const UIRenderer = (function() {
             cardContent.push(effectsList);
         }
         
+        // Stat changes compared with the gear currently equipped
+        if (comparison) {
+            cardContent.push(createComparisonBadges(comparison));
+        }
+        
         // Price (for shop)
         if (item.price !== undefined) {
             cardContent.push(createElement('div', {
@@ -893,8 +1022,19 @@ const UIRenderer = (function() {
             cardContent.push(actionButton);
         }
         
+        // Upgrade button for owned weapons and armor
+        if (onUpgrade) {
+            cardContent.push(createButton({
+                text: 'Upgrade',
+                variant: 'outline-secondary',
+                size: 'sm',
+                className: 'w-100 mt-2',
+                onClick: () => onUpgrade(item)
+            }));
+        }
+        
         return createElement('div', {
-            className: `card item-card ${item.type} ${className}`
+            className: `card item-card ${item.type} ${item.rarity ? `rarity-${item.rarity}` : ''} ${className}`
         }, [
             createElement('div', {
                 className: 'card-body'
@@ -1006,7 +1146,9 @@ const UIRenderer = (function() {
         createResourceBar,
         createStatDisplay,
         createAttributeDisplay,
+        formatItemName,
         createEquipmentSlot,
+        createComparisonBadges,
         createItemCard,
         createAbilityCard
     };
@@ -310,6 +310,9 @@ const AdventureView = (function() {
                 case 'experience':
                     eventClass = 'exp';
                     break;
+                case 'consumable':
+                    eventClass = 'consumable';
+                    break;
                 default:
                     eventClass = '';
             }
@@ -530,7 +533,7 @@ const AdventureView = (function() {
                     }, item.name),
                     UIRenderer.createElement('span', {
                         className: 'text-muted ms-2'
-                    }, `(${item.type} - ${item.slot})`)
+                    }, item.slot ? `(${item.type} - ${item.slot})` : `(${item.type})`)
                 ])
             );
             
@@ -591,7 +594,7 @@ const AdventureView = (function() {
             results.levelUp ? 
                 UIRenderer.createElement('div', {
                     className: 'alert alert-success mt-3'
-                }, `Level Up! Your character is now level ${results.newLevel}!`) : null,
+                }, `Level Up! Your character is now level ${results.newLevel} and gained ${results.pointsGained} attribute points!`) : null,
             
             // Items list
             itemsList,
@@ -759,6 +762,9 @@ const AdventureView = (function() {
                 case 'experience':
                     eventClass = 'exp';
                     break;
+                case 'consumable':
+                    eventClass = 'consumable';
+                    break;
                 default:
                     eventClass = '';
             }
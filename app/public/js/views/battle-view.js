@@ -12,6 +12,22 @@ const BattleView = (function() {
     let queueTimer = null;
     let queueStartTime = null;
     let battleSocket = null;
+    let queueMode = 'casual';
+    let standing = null;
+    let liveBattle = null;
+    let reconnectTimer = null;
+    let reconnectAttempts = 0;
+    let matchmakingSection = null;
+    
+    // Delay before reconnecting a dropped battle socket, doubling on each failed attempt
+    const RECONNECT_BASE_DELAY_MS = 1000;
+    const RECONNECT_MAX_DELAY_MS = 15000;
+    
+    // Queue modes the player can pick from
+    const QUEUE_MODES = [
+        { id: 'casual', name: 'Casual', description: 'Matched by level' },
+        { id: 'ranked', name: 'Ranked', description: 'Matched by rating' }
+    ];
     
     /**
      * Initialize the view
@@ -23,13 +39,11 @@ const BattleView = (function() {
         character = options.character;
         callbacks = options;
         
-        // Clean up any existing connections
-        if (battleSocket) {
-            battleSocket.close();
-            battleSocket = null;
-        }
+        // Replace any connection left over from a previous character
+        closeBattleSocket();
         
         fetchBattleHistory();
+        connectBattleSocket();
     }
     
     /**
@@ -42,16 +56,23 @@ const BattleView = (function() {
                 if (data.success) {
                     battleHistory = data.battles || [];
                     
-                    // Check if character is in queue
-                    fetch(`/api/battle/queue/status/${character.id}`)
-                        .then(response => response.json())
-                        .then(queueData => {
+                    // Check if character is in queue and fetch their rank
+                    Promise.all([
+                        fetch(`/api/battle/queue/status/${character.id}`).then(response => response.json()),
+                        fetch(`/api/leaderboard/pvp/${character.id}`).then(response => response.json())
+                    ])
+                        .then(([queueData, standingData]) => {
                             if (queueData.success && queueData.inQueue) {
                                 inQueue = true;
+                                queueMode = queueData.mode;
                                 queueStartTime = new Date(queueData.queueStartTime);
                                 initializeQueueTimer();
                             }
                             
+                            if (standingData.success) {
+                                standing = standingData.standing;
+                            }
+                            
                             render();
                         })
                         .catch(error => {
@@ -76,7 +97,7 @@ const BattleView = (function() {
         container.innerHTML = '';
         
         // Matchmaking section
-        const matchmakingSection = createMatchmakingSection();
+        matchmakingSection = createMatchmakingSection();
         
         // Battle history section
         const historySection = createHistorySection();
@@ -111,9 +132,10 @@ const BattleView = (function() {
         if (inQueue) {
             // In queue content
             content = [
+                createRankDisplay(),
                 UIRenderer.createElement('p', {
                     className: 'mb-3'
-                }, 'Searching for an opponent...'),
+                }, queueMode === 'ranked' ? 'Searching for a ranked opponent...' : 'Searching for an opponent...'),
                 UIRenderer.createElement('div', {
                     className: 'alert alert-primary mb-3',
                     id: 'queue-timer'
@@ -131,9 +153,24 @@ const BattleView = (function() {
         } else {
             // Not in queue content
             content = [
+                createRankDisplay(),
                 UIRenderer.createElement('p', {
                     className: 'mb-3'
-                }, 'Join the matchmaking queue to battle against other players\' characters. Victories will earn you more experience than defeats.'),
+                }, 'Join the matchmaking queue to battle against other players\' characters. Victories will earn you more experience than defeats, and every ranked battle moves your rating.'),
+                UIRenderer.createElement('div', {
+                    className: 'btn-group w-100 mb-3',
+                    role: 'group'
+                }, QUEUE_MODES.map(mode => 
+                    UIRenderer.createButton({
+                        text: `${mode.name} (${mode.description})`,
+                        variant: mode.id === queueMode ? 'secondary' : 'outline-secondary',
+                        size: 'sm',
+                        onClick: () => {
+                            queueMode = mode.id;
+                            render();
+                        }
+                    })
+                )),
                 
                 // Check for rotation first
                 UIRenderer.createElement('div', {
@@ -182,6 +219,44 @@ const BattleView = (function() {
         });
     }
     
+    /**
+     * Create the character's rank summary for the matchmaking card
+     * @returns {HTMLElement} Rank display element
+     */
+    function createRankDisplay() {
+        if (!standing) {
+            return null;
+        }
+        
+        const details = [`Rating ${standing.rating}`, `${standing.wins}W - ${standing.losses}L`];
+        if (standing.position) {
+            details.push(`#${standing.position} on the ladder`);
+        }
+        
+        return UIRenderer.createElement('div', {
+            className: 'd-flex flex-wrap align-items-center gap-2 mb-3'
+        }, [
+            UIRenderer.createElement('span', {
+                className: `badge rank-badge rank-${standing.tier.id}`
+            }, standing.tier.name),
+            UIRenderer.createElement('span', {
+                className: 'fw-bold'
+            }, details.join(' · ')),
+            standing.nextTier ? UIRenderer.createElement('span', {
+                className: 'text-muted small'
+            }, `${standing.nextTier.minRating - standing.rating} to ${standing.nextTier.name}`) : null
+        ]);
+    }
+    
+    /**
+     * Format a rating change with its sign
+     * @param {number} change - Rating change
+     * @returns {string} Formatted change
+     */
+    function formatRatingChange(change) {
+        return change > 0 ? `+${change}` : `${change}`;
+    }
+    
     /**
      * Create the battle history section
      * @returns {HTMLElement} The battle history section
@@ -215,7 +290,7 @@ const BattleView = (function() {
                             ]),
                             UIRenderer.createElement('span', {
                                 className: `fw-bold ${resultClass}`
-                            }, resultText)
+                            }, battle.ratingChange ? `${resultText} (${formatRatingChange(battle.ratingChange)})` : resultText)
                         ])
                     ],
                     onClick: () => viewBattleDetails(battle.id)
@@ -244,7 +319,8 @@ const BattleView = (function() {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                characterId: character.id
+                characterId: character.id,
+                mode: queueMode
             })
         })
             .then(response => response.json())
@@ -253,12 +329,14 @@ const BattleView = (function() {
                     inQueue = true;
                     queueStartTime = new Date();
                     initializeQueueTimer();
-                    connectToMatchmakingSocket();
+                    if (!battleSocket) {
+                        connectBattleSocket();
+                    }
                     render();
                     
                     UIRenderer.showToast({
                         title: 'Matchmaking',
-                        message: 'You have joined the matchmaking queue',
+                        message: `You have joined the ${queueMode} matchmaking queue`,
                         type: 'info'
                     });
                 } else {
@@ -297,10 +375,6 @@ const BattleView = (function() {
                 if (data.success) {
                     inQueue = false;
                     clearQueueTimer();
-                    if (battleSocket) {
-                        battleSocket.close();
-                        battleSocket = null;
-                    }
                     render();
                     
                     UIRenderer.showToast({
@@ -367,336 +441,194 @@ const BattleView = (function() {
     }
     
     /**
-     * Connect to the matchmaking websocket
+     * Check whether the battle view is still the one shown in the container
+     * The battle socket outlives the view, so its messages must not re-render over another view
+     * @returns {boolean} True if the battle view is showing
      */
-    function connectToMatchmakingSocket() {
-        // Close existing connection if any
-        if (battleSocket) {
-            battleSocket.close();
-        }
-        
-        // Create new connection
+    function isShown() {
+        return Boolean(container && matchmakingSection && container.contains(matchmakingSection));
+    }
+    
+    /**
+     * Connect to the battle websocket
+     * The socket stays open while the battle view has a character, and reconnects if it drops
+     */
+    function connectBattleSocket() {
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
         const socket = new WebSocket(`${protocol}//${window.location.host}/ws/battle/${character.id}`);
         
         socket.onopen = function() {
-            console.log('Connected to battle socket');
+            reconnectAttempts = 0;
         };
         
         socket.onmessage = function(event) {
-            const data = JSON.parse(event.data);
+            handleSocketMessage(JSON.parse(event.data));
+        };
+        
+        socket.onclose = function(event) {
+            // Closed on purpose by init
+            if (socket !== battleSocket) return;
             
-            if (data.type === 'match_found') {
-                // Handle match found
+            battleSocket = null;
+            
+            // The server takes a disconnected character out of the queue
+            if (inQueue) {
                 inQueue = false;
                 clearQueueTimer();
-                handleBattleStart(data.battleId);
+                if (isShown()) render();
+                
+                UIRenderer.showToast({
+                    title: 'Matchmaking',
+                    message: 'Connection lost, you have left the matchmaking queue',
+                    type: 'warning'
+                });
+            }
+            
+            // Rejected connections (not our character) are not retried
+            if (event.code !== 1008) {
+                scheduleReconnect();
             }
-        };
-        
-        socket.onclose = function() {
-            console.log('Disconnected from battle socket');
         };
         
         battleSocket = socket;
     }
     
     /**
-     * Handle battle start
-     * @param {string} battleId - The ID of the battle
+     * Reconnect the battle socket after a growing delay
      */
-    function handleBattleStart(battleId) {
-        // Show battle modal
-        UIRenderer.showModal({
-            title: 'Battle Found',
-            content: UIRenderer.createElement('div', {
-                className: 'text-center'
-            }, [
-                UIRenderer.createElement('p', {
-                    className: 'mb-3'
-                }, 'An opponent has been found! Preparing for battle...'),
-                UIRenderer.createElement('div', {
-                    className: 'spinner-border text-primary',
-                    role: 'status'
-                }, [
-                    UIRenderer.createElement('span', {
-                        className: 'visually-hidden'
-                    }, 'Loading...')
-                ])
-            ]),
-            buttons: [],
-            closeButton: false,
-            backdrop: 'static'
-        });
+    function scheduleReconnect() {
+        const delay = Math.min(RECONNECT_BASE_DELAY_MS * Math.pow(2, reconnectAttempts), RECONNECT_MAX_DELAY_MS);
+        reconnectAttempts++;
+        
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            connectBattleSocket();
+        }, delay);
+    }
+    
+    /**
+     * Close the battle socket without reconnecting
+     */
+    function closeBattleSocket() {
+        if (reconnectTimer) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+        }
         
-        // Fetch battle data
-        fetch(`/api/battle/${battleId}`)
-            .then(response => response.json())
-            .then(data => {
-                if (data.success) {
-                    // Hide loading modal
-                    UIRenderer.hideModal();
-                    
-                    // Show battle visualization
-                    showBattleVisualization(data.battle);
-                } else {
-                    UIRenderer.hideModal();
-                    UIRenderer.showToast({
-                        title: 'Error',
-                        message: data.message || 'Failed to load battle data',
-                        type: 'danger'
-                    });
+        if (battleSocket) {
+            const socket = battleSocket;
+            battleSocket = null;
+            socket.close();
+        }
+        
+        reconnectAttempts = 0;
+    }
+    
+    /**
+     * Handle a message from the battle socket
+     * @param {Object} message - The parsed message
+     */
+    function handleSocketMessage(message) {
+        switch (message.type) {
+            case 'match_found':
+                inQueue = false;
+                clearQueueTimer();
+                if (isShown()) render();
+                break;
+            case 'battle_start':
+                showLiveBattle(message.battle, message.events);
+                break;
+            case 'battle_event':
+                // Events arrive in order; anything already shown is skipped
+                if (liveBattle && liveBattle.id === message.battleId && message.index === liveBattle.received) {
+                    liveBattle.replay.addEntry(message.entry);
+                    liveBattle.received++;
                 }
-            })
-            .catch(error => {
-                console.error('Error loading battle:', error);
-                UIRenderer.hideModal();
+                break;
+            case 'battle_end':
+                if (liveBattle && liveBattle.id === message.battleId) {
+                    liveBattle.replay.finish();
+                }
+                break;
+            case 'battle_error':
                 UIRenderer.showToast({
-                    title: 'Error',
-                    message: 'An error occurred while loading battle data',
+                    title: 'Battle',
+                    message: message.message || 'The battle could not be finished',
                     type: 'danger'
                 });
-            });
+                break;
+        }
     }
     
     /**
-     * Show battle visualization
-     * @param {Object} battle - The battle data
+     * Show a battle as it is being fought
+     * When the socket reconnects mid-battle the server sends the battle again with every event so far,
+     * and only the events missed while disconnected are added
+     * @param {Object} battle - The battle being fought
+     * @param {Array} events - Log entries fought so far
      */
-    function showBattleVisualization(battle) {
-        // Determine player and opponent characters
-        const playerChar = battle.characters.find(c => c.id === character.id);
-        const opponentChar = battle.characters.find(c => c.id !== character.id);
+    function showLiveBattle(battle, events) {
+        if (liveBattle && liveBattle.id === battle.id) {
+            events.slice(liveBattle.received).forEach(entry => liveBattle.replay.addEntry(entry));
+            liveBattle.received = Math.max(liveBattle.received, events.length);
+            return;
+        }
         
-        // Create the battle modal content
-        const content = UIRenderer.createElement('div', {
-            className: 'battle-visualization'
-        }, [
-            // Characters section
-            UIRenderer.createElement('div', {
-                className: 'row mb-4'
-            }, [
-                // Player character
-                UIRenderer.createElement('div', {
-                    className: 'col-5'
-                }, [
-                    UIRenderer.createElement('h5', {
-                        className: 'text-center mb-3'
-                    }, playerChar.name),
-                    UIRenderer.createResourceBar({
-                        current: playerChar.health,
-                        max: playerChar.maxHealth,
-                        type: 'health'
-                    }),
-                    UIRenderer.createResourceBar({
-                        current: playerChar.mana,
-                        max: playerChar.maxMana,
-                        type: 'mana'
-                    }),
-                    UIRenderer.createElement('div', {
-                        className: 'battle-effects mt-2',
-                        id: 'player-effects'
-                    })
-                ]),
-                
-                // VS indicator
-                UIRenderer.createElement('div', {
-                    className: 'col-2 d-flex align-items-center justify-content-center'
-                }, [
-                    UIRenderer.createElement('div', {
-                        className: 'fs-1 fw-bold text-danger'
-                    }, 'VS')
-                ]),
-                
-                // Opponent character
-                UIRenderer.createElement('div', {
-                    className: 'col-5'
-                }, [
-                    UIRenderer.createElement('h5', {
-                        className: 'text-center mb-3'
-                    }, opponentChar.name),
-                    UIRenderer.createResourceBar({
-                        current: opponentChar.health,
-                        max: opponentChar.maxHealth,
-                        type: 'health'
-                    }),
-                    UIRenderer.createResourceBar({
-                        current: opponentChar.mana,
-                        max: opponentChar.maxMana,
-                        type: 'mana'
-                    }),
-                    UIRenderer.createElement('div', {
-                        className: 'battle-effects mt-2',
-                        id: 'opponent-effects'
-                    })
-                ])
-            ]),
-            
-            // Battle log
-            UIRenderer.createElement('div', {
-                className: 'battle-log-container'
-            }, [
-                UIRenderer.createElement('h5', {
-                    className: 'mb-2'
-                }, 'Battle Log'),
-                UIRenderer.createElement('div', {
-                    className: 'battle-log',
-                    id: 'battle-log'
-                })
-            ])
-        ]);
+        const replay = BattleReplay.create({
+            battle: { ...battle, log: events },
+            playerId: character.id,
+            live: true,
+            startAtEnd: true,
+            onFinish: () => loadBattleResults(battle.id)
+        });
+        
+        liveBattle = {
+            id: battle.id,
+            replay,
+            received: events.length
+        };
         
-        // Show the battle modal
         UIRenderer.showModal({
             title: 'Battle in Progress',
-            content: content,
+            content: replay.element,
             size: 'lg',
             buttons: [],
-            closeButton: false,
-            backdrop: 'static',
             onClose: () => {
-                // This shouldn't be needed as we'll handle closing ourselves,
-                // but just in case the user manages to close it
-                fetchBattleHistory();
+                replay.destroy();
+                if (liveBattle && liveBattle.replay === replay) {
+                    liveBattle = null;
+                }
+                if (isShown()) fetchBattleHistory();
             }
         });
-        
-        // Start the battle visualization
-        visualizeBattle(battle);
     }
     
     /**
-     * Visualize the battle with animation
-     * @param {Object} battle - The battle data
+     * Load a finished battle and show its results
+     * @param {string} battleId - The ID of the battle
      */
-    function visualizeBattle(battle) {
-        const battleLog = document.getElementById('battle-log');
-        const playerEffectsContainer = document.getElementById('player-effects');
-        const opponentEffectsContainer = document.getElementById('opponent-effects');
-        const playerHealthBar = document.querySelector('.battle-visualization .health-bar:first-of-type .progress-bar');
-        const playerManaBar = document.querySelector('.battle-visualization .mana-bar:first-of-type .progress-bar');
-        const opponentHealthBar = document.querySelector('.battle-visualization .health-bar:nth-of-type(2) .progress-bar');
-        const opponentManaBar = document.querySelector('.battle-visualization .mana-bar:nth-of-type(2) .progress-bar');
-        
-        // Determine player and opponent characters
-        const playerChar = battle.characters.find(c => c.id === character.id);
-        const opponentChar = battle.characters.find(c => c.id !== character.id);
-        
-        // Set initial values
-        let playerHealth = playerChar.maxHealth;
-        let playerMana = playerChar.maxMana;
-        let opponentHealth = opponentChar.maxHealth;
-        let opponentMana = opponentChar.maxMana;
-        let playerEffects = [];
-        let opponentEffects = [];
-        
-        // Sort log entries by timestamp
-        const sortedLog = [...battle.log].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-        
-        // Process each log entry with a delay
-        let entryIndex = 0;
-        
-        function processNextEntry() {
-            if (entryIndex >= sortedLog.length) {
-                // Battle is over, show results
-                showBattleResults(battle);
-                return;
-            }
-            
-            const entry = sortedLog[entryIndex];
-            entryIndex++;
-            
-            // Create log entry element
-            const logEntry = document.createElement('div');
-            logEntry.className = entry.characterId === character.id ? 'player-action' : 'opponent-action';
-            if (entry.type === 'system') {
-                logEntry.className = 'system-message';
-            }
-            
-            logEntry.textContent = `[${new Date(entry.timestamp).toLocaleTimeString()}] ${entry.message}`;
-            battleLog.appendChild(logEntry);
-            battleLog.scrollTop = battleLog.scrollHeight;
-            
-            // Update health and mana if present in entry
-            if (entry.characterId === character.id) {
-                if (entry.health !== undefined) {
-                    playerHealth = entry.health;
-                    updateResourceBar(playerHealthBar, playerHealth, playerChar.maxHealth);
-                }
-                if (entry.mana !== undefined) {
-                    playerMana = entry.mana;
-                    updateResourceBar(playerManaBar, playerMana, playerChar.maxMana);
-                }
-                if (entry.effects !== undefined) {
-                    playerEffects = entry.effects;
-                    updateEffectsDisplay(playerEffectsContainer, playerEffects);
-                }
-            } else {
-                if (entry.health !== undefined) {
-                    opponentHealth = entry.health;
-                    updateResourceBar(opponentHealthBar, opponentHealth, opponentChar.maxHealth);
-                }
-                if (entry.mana !== undefined) {
-                    opponentMana = entry.mana;
-                    updateResourceBar(opponentManaBar, opponentMana, opponentChar.maxMana);
-                }
-                if (entry.effects !== undefined) {
-                    opponentEffects = entry.effects;
-                    updateEffectsDisplay(opponentEffectsContainer, opponentEffects);
+    function loadBattleResults(battleId) {
+        fetch(`/api/battle/${battleId}`)
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    showBattleResults(data.battle);
+                } else {
+                    UIRenderer.showToast({
+                        title: 'Error',
+                        message: data.message || 'Failed to load battle results',
+                        type: 'danger'
+                    });
                 }
-            }
-            
-            // Add visual effect for damage or healing
-            if (entry.type === 'damage' || entry.type === 'heal') {
-                const targetSection = entry.targetId === character.id ? 
-                    document.querySelector('.battle-visualization .col-5:first-of-type') : 
-                    document.querySelector('.battle-visualization .col-5:nth-of-type(3)');
-                
-                targetSection.classList.add('flash');
-                setTimeout(() => {
-                    targetSection.classList.remove('flash');
-                }, 500);
-            }
-            
-            // Schedule next entry
-            setTimeout(processNextEntry, 800);
-        }
-        
-        // Start processing entries
-        processNextEntry();
-    }
-    
-    /**
-     * Update a resource bar (health or mana)
-     * @param {HTMLElement} barElement - The progress bar element
-     * @param {number} current - Current value
-     * @param {number} max - Maximum value
-     */
-    function updateResourceBar(barElement, current, max) {
-        const percent = Math.max(0, Math.min(100, (current / max) * 100));
-        barElement.style.width = `${percent}%`;
-        barElement.textContent = `${current}/${max}`;
-    }
-    
-    /**
-     * Update effects display
-     * @param {HTMLElement} container - The effects container
-     * @param {Array} effects - Array of active effects
-     */
-    function updateEffectsDisplay(container, effects) {
-        container.innerHTML = '';
-        
-        effects.forEach(effect => {
-            const effectClass = effect.type === 'buff' ? 'effect-buff' : 
-                               effect.type === 'debuff' ? 'effect-debuff' : 'effect-dot';
-            
-            const effectIcon = document.createElement('div');
-            effectIcon.className = `effect-icon ${effectClass}`;
-            effectIcon.title = `${effect.name}: ${effect.description}`;
-            effectIcon.textContent = effect.name.charAt(0).toUpperCase();
-            
-            container.appendChild(effectIcon);
-        });
+            })
+            .catch(error => {
+                console.error('Error loading battle results:', error);
+                UIRenderer.showToast({
+                    title: 'Error',
+                    message: 'An error occurred while loading battle results',
+                    type: 'danger'
+                });
+            });
     }
     
     /**
@@ -717,6 +649,9 @@ const BattleView = (function() {
             UIRenderer.createElement('p', {
                 className: 'mb-2'
             }, `Experience gained: ${battle.experienceGained}`),
+            battle.rating !== null ? UIRenderer.createElement('p', {
+                className: `mb-2 fw-bold ${battle.ratingChange >= 0 ? 'text-success' : 'text-danger'}`
+            }, `Rating: ${battle.rating} (${formatRatingChange(battle.ratingChange)})`) : null,
             UIRenderer.createElement('p', {
                 className: 'mb-4'
             }, isVictory ? 'Congratulations on your victory!' : 'Better luck next time!')
@@ -728,8 +663,16 @@ const BattleView = (function() {
         // Update modal title
         document.querySelector('#app-modal .modal-title').textContent = 'Battle Results';
         
-        // Add close button
+        // Add replay and close buttons
         modalFooter.innerHTML = '';
+        modalFooter.appendChild(
+            UIRenderer.createButton({
+                text: 'Watch Replay',
+                variant: 'outline-secondary',
+                icon: 'play-circle',
+                onClick: () => showBattleDetails(battle)
+            })
+        );
         modalFooter.appendChild(
             UIRenderer.createButton({
                 text: 'Close',
@@ -775,19 +718,15 @@ const BattleView = (function() {
      * @param {Object} battle - The battle data
      */
     function showBattleDetails(battle) {
-        // Determine player and opponent characters
-        const playerChar = battle.characters.find(c => c.id === character.id);
         const opponentChar = battle.characters.find(c => c.id !== character.id);
         const isVictory = battle.winner === character.id;
         
-        // Create battle log content
-        const logEntries = battle.log.map(entry => {
-            const entryClass = entry.characterId === character.id ? 'player-action' : 
-                              entry.characterId ? 'opponent-action' : 'system-message';
-            
-            return UIRenderer.createElement('div', {
-                className: entryClass
-            }, `[${new Date(entry.timestamp).toLocaleTimeString()}] ${entry.message}`);
+        // Open on the finished battle so the whole log shows; play or scrub to watch it back
+        const replay = BattleReplay.create({
+            battle,
+            playerId: character.id,
+            autoplay: false,
+            startAtEnd: true
         });
         
         // Create battle details content
@@ -810,13 +749,8 @@ const BattleView = (function() {
                 }, `Experience gained: ${battle.experienceGained}`)
             ]),
             
-            // Battle log
-            UIRenderer.createElement('h5', {
-                className: 'mb-2'
-            }, 'Battle Log'),
-            UIRenderer.createElement('div', {
-                className: 'battle-log'
-            }, logEntries)
+            // Replay with the battle log
+            replay.element
         ]);
         
         // Show battle details modal
@@ -824,7 +758,8 @@ const BattleView = (function() {
             title: 'Battle Details',
             content: content,
             size: 'lg',
-            buttons: []
+            buttons: [],
+            onClose: replay.destroy
         });
     }
     
@@ -280,11 +280,11 @@ const ChallengeView = (function() {
         const equipmentItems = [];
         
         if (currentOpponent.equipment) {
-            // Process each equipment slot
-            ['head', 'chest', 'legs', 'mainHand', 'offHand'].forEach(slot => {
+            // Process each equipment slot the opponent has
+            Object.keys(currentOpponent.equipment).forEach(slot => {
                 const item = currentOpponent.equipment[slot];
                 if (item) {
-                    const slotName = slot.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+                    const slotName = slot.replace(/([A-Z]|\d+)/g, ' $1').replace(/^./, str => str.toUpperCase());
                     
                     const itemSection = UIRenderer.createElement('div', {
                         className: 'mb-3'
@@ -468,7 +468,7 @@ const ChallengeView = (function() {
                             data.levelUp ? 
                                 UIRenderer.createElement('p', {
                                     className: 'alert alert-success'
-                                }, `Level Up! Your character is now level ${character.level}!`) : null
+                                }, `Level Up! Your character is now level ${data.newLevel} and gained ${data.pointsGained} attribute points!`) : null
                         ]),
                         buttons: []
                     });
@@ -1,11 +1,17 @@
 /**
- * Character Creation View
- * Handles creating a new character
+ * Character Roster View
+ * Lists the user's characters and handles creating, selecting and deleting them
  */
 const CharacterView = (function() {
     // Private properties
     let container = null;
     let callbacks = {};
+    let characters = [];
+    let maxCharacters = 0;
+    let selectedCharacterId = null;
+    let classes = [];
+    let abilityNames = {};
+    let selectedClassId = null;
     
     /**
      * Initialize the view
@@ -15,20 +21,122 @@ const CharacterView = (function() {
     function init(containerElement, options = {}) {
         container = containerElement;
         callbacks = options;
+        selectedCharacterId = options.character ? options.character.id : null;
         
-        render();
-        setupEventListeners();
+        loadCharacters();
     }
     
     /**
-     * Render the character creation form
+     * Load the user's characters and the playable classes from the server
+     */
+    function loadCharacters() {
+        Promise.all([
+            fetch('/api/character/list').then(res => res.json()),
+            fetch('/api/character/classes').then(res => res.json()),
+            fetch('/api/abilities/available').then(res => res.json())
+        ])
+            .then(([data, classData, abilityData]) => {
+                if (data.success && classData.success && abilityData.success) {
+                    characters = data.characters;
+                    maxCharacters = data.maxCharacters;
+                    classes = classData.classes;
+                    abilityNames = {};
+                    abilityData.abilities.forEach(ability => {
+                        abilityNames[ability.id] = ability.name;
+                    });
+                    render();
+                    
+                    if (callbacks.onRosterLoaded) {
+                        callbacks.onRosterLoaded(characters);
+                    }
+                } else {
+                    console.error('Failed to load characters:', data.message || classData.message || abilityData.message);
+                }
+            })
+            .catch(error => {
+                console.error('Error loading characters:', error);
+            });
+    }
+    
+    /**
+     * Render the roster and the creation form
      */
     function render() {
-        // Create character creation card
-        const createCharacterCard = UIRenderer.createCard({
+        container.innerHTML = '';
+        
+        const canCreate = characters.length < maxCharacters;
+        
+        const rosterCard = UIRenderer.createCard({
+            className: 'character-creation character-roster mx-auto',
+            title: `Your Characters (${characters.length}/${maxCharacters})`,
+            content: characters.length > 0 ?
+                UIRenderer.createListGroup({
+                    flush: true,
+                    items: characters.map(character => ({
+                        active: character.id === selectedCharacterId,
+                        content: renderRosterEntry(character)
+                    }))
+                }) :
+                UIRenderer.createElement('p', { className: 'text-muted mb-0' }, 'You have no characters yet. Create one below to start playing.')
+        });
+        
+        container.appendChild(rosterCard);
+        
+        if (canCreate) {
+            container.appendChild(renderCreationForm());
+            setupEventListeners();
+        } else {
+            container.appendChild(UIRenderer.createAlert({
+                message: `You have reached the limit of ${maxCharacters} characters. Delete one to create another.`,
+                type: 'secondary',
+                className: 'character-creation mx-auto'
+            }));
+        }
+    }
+    
+    /**
+     * Render a single roster entry
+     * @param {Object} character - Character data
+     * @returns {HTMLElement} Roster entry element
+     */
+    function renderRosterEntry(character) {
+        const isSelected = character.id === selectedCharacterId;
+        
+        return UIRenderer.createElement('div', {
+            className: 'd-flex justify-content-between align-items-center'
+        }, [
+            UIRenderer.createElement('div', {}, [
+                UIRenderer.createElement('h6', { className: 'mb-0' }, character.name),
+                UIRenderer.createElement('small', {
+                    className: isSelected ? '' : 'text-muted'
+                }, `Level ${character.level} ${character.className || 'Adventurer'} · ${character.gold} gold`)
+            ]),
+            UIRenderer.createElement('div', { className: 'd-flex gap-2' }, [
+                UIRenderer.createButton({
+                    text: isSelected ? 'Playing' : 'Play',
+                    variant: isSelected ? 'light' : 'primary',
+                    size: 'sm',
+                    disabled: isSelected,
+                    onClick: () => selectCharacter(character)
+                }),
+                UIRenderer.createButton({
+                    icon: 'trash',
+                    variant: isSelected ? 'outline-light' : 'outline-danger',
+                    size: 'sm',
+                    onClick: () => confirmDelete(character)
+                })
+            ])
+        ]);
+    }
+    
+    /**
+     * Render the character creation form
+     * @returns {HTMLElement} Creation card element
+     */
+    function renderCreationForm() {
+        return UIRenderer.createCard({
             className: 'character-creation mx-auto',
-            style: { maxWidth: '500px' },
-            title: 'Create Your Character',
+            title: 'Create a Character',
             content: [
                 UIRenderer.createElement('form', {
                     id: 'character-form',
@@ -42,21 +150,11 @@ const CharacterView = (function() {
                         required: true
                     }),
                     
-                    // Information text
+                    // Class selection
                     UIRenderer.createElement('div', {
-                        className: 'alert alert-info mb-3'
-                    }, [
-                        UIRenderer.createElement('p', {
-                            className: 'mb-1'
-                        }, 'Your character will be created with:'),
-                        UIRenderer.createElement('ul', {
-                            className: 'mb-0'
-                        }, [
-                            UIRenderer.createElement('li', {}, 'Base stats of 1 in each attribute'),
-                            UIRenderer.createElement('li', {}, '10 random attribute points'),
-                            UIRenderer.createElement('li', {}, 'Starting gold and equipment')
-                        ])
-                    ]),
+                        id: 'class-picker',
+                        className: 'mb-3'
+                    }, renderClassPicker()),
                     
                     // Error message area (hidden by default)
                     UIRenderer.createElement('div', {
@@ -78,9 +176,78 @@ const CharacterView = (function() {
                 ])
             ]
         });
+    }
+    
+    /**
+     * Render the class choices and the details of the selected class
+     * @returns {Array} Class picker elements
+     */
+    function renderClassPicker() {
+        const selectedClass = classes.find(characterClass => characterClass.id === selectedClassId);
+        
+        return [
+            UIRenderer.createElement('label', { className: 'form-label' }, 'Class'),
+            UIRenderer.createListGroup({
+                className: 'class-picker',
+                items: classes.map(characterClass => ({
+                    active: characterClass.id === selectedClassId,
+                    onClick: () => chooseClass(characterClass.id),
+                    content: [
+                        UIRenderer.createElement('h6', { className: 'mb-0' }, characterClass.name),
+                        UIRenderer.createElement('small', {
+                            className: characterClass.id === selectedClassId ? '' : 'text-muted'
+                        }, characterClass.description)
+                    ]
+                }))
+            }),
+            selectedClass ? renderClassDetails(selectedClass) : null
+        ];
+    }
+    
+    /**
+     * Render what a class starts with
+     * @param {Object} characterClass - Class definition
+     * @returns {HTMLElement} Class details element
+     */
+    function renderClassDetails(characterClass) {
+        const attributes = Object.entries(characterClass.attributes)
+            .map(([attr, value]) => `${attr.charAt(0).toUpperCase() + attr.slice(1)} ${value}`)
+            .join(', ');
+        const abilities = characterClass.abilities
+            .map(abilityId => abilityNames[abilityId] || abilityId)
+            .join(', ');
         
-        // Append the card to the container
-        container.appendChild(createCharacterCard);
+        return UIRenderer.createElement('div', {
+            className: 'alert alert-info mt-3 mb-0'
+        }, [
+            UIRenderer.createElement('p', {
+                className: 'mb-1'
+            }, `A ${characterClass.name} starts with:`),
+            UIRenderer.createElement('ul', {
+                className: 'mb-0'
+            }, [
+                UIRenderer.createElement('li', {}, `Attributes: ${attributes}`),
+                UIRenderer.createElement('li', {}, `A ${characterClass.basicAttackType} basic attack and their class weapon`),
+                UIRenderer.createElement('li', {}, `Abilities: ${abilities}`),
+                UIRenderer.createElement('li', {}, 'Starting gold and armor')
+            ])
+        ]);
+    }
+    
+    /**
+     * Select a class in the creation form
+     * @param {string} classId - Class id
+     */
+    function chooseClass(classId) {
+        selectedClassId = classId;
+        
+        const picker = document.getElementById('class-picker');
+        picker.innerHTML = '';
+        renderClassPicker().forEach(element => {
+            if (element) {
+                picker.appendChild(element);
+            }
+        });
     }
     
     /**
@@ -92,6 +259,78 @@ const CharacterView = (function() {
         characterForm.addEventListener('submit', handleCharacterCreation);
     }
     
+    /**
+     * Select a character to play
+     * @param {Object} character - Character data
+     */
+    function selectCharacter(character) {
+        selectedCharacterId = character.id;
+        
+        if (callbacks.onCharacterSelected) {
+            callbacks.onCharacterSelected(character);
+        }
+    }
+    
+    /**
+     * Ask for confirmation before deleting a character
+     * @param {Object} character - Character data
+     */
+    function confirmDelete(character) {
+        UIRenderer.showModal({
+            title: 'Delete Character',
+            content: `Delete ${character.name} (level ${character.level})? Their gear, gold and progress will be lost for good.`,
+            buttons: [
+                {
+                    text: 'Delete',
+                    variant: 'danger',
+                    onClick: () => {
+                        UIRenderer.hideModal();
+                        deleteCharacter(character);
+                    }
+                }
+            ]
+        });
+    }
+    
+    /**
+     * Delete a character
+     * @param {Object} character - Character data
+     */
+    function deleteCharacter(character) {
+        fetch(`/api/character/${character.id}`, {
+            method: 'DELETE'
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    UIRenderer.showToast({
+                        title: 'Character Deleted',
+                        message: `${character.name} has been deleted.`,
+                        type: 'secondary'
+                    });
+                    
+                    if (character.id === selectedCharacterId) {
+                        selectedCharacterId = null;
+                    }
+                    
+                    if (callbacks.onCharacterDeleted) {
+                        callbacks.onCharacterDeleted(character);
+                    }
+                    
+                    loadCharacters();
+                } else {
+                    UIRenderer.showToast({
+                        title: 'Error',
+                        message: data.message || 'Failed to delete character',
+                        type: 'danger'
+                    });
+                }
+            })
+            .catch(error => {
+                console.error('Error deleting character:', error);
+            });
+    }
+    
     /**
      * Handle character creation form submission
      * @param {Event} event - The form submission event
@@ -113,18 +352,25 @@ const CharacterView = (function() {
             return;
         }
         
+        if (!selectedClassId) {
+            showError('Please choose a class');
+            return;
+        }
+        
         // Send character creation request
         fetch('/api/character/create', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ name })
+            body: JSON.stringify({ name, classId: selectedClassId })
         })
             .then(response => response.json())
             .then(data => {
                 if (data.success) {
                     // Character creation successful
+                    selectedCharacterId = data.character.id;
+                    selectedClassId = null;
                     if (callbacks.onCharacterCreated) {
                         callbacks.onCharacterCreated(data.character);
                     }
@@ -158,4 +404,4 @@ const CharacterView = (function() {
     return {
         init
     };
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,341 @@
+/**
+ * Crafting View
+ * Crafts items from recipes and salvages unwanted items into materials
+ */
+const CraftingView = (function() {
+    // Private properties
+    let container = null;
+    let character = null;
+    let callbacks = {};
+    let recipes = [];
+    let salvageableItems = [];
+    let materials = [];
+    let activeTab = 0;
+    
+    /**
+     * Initialize the view
+     * @param {HTMLElement} containerElement - The container element
+     * @param {Object} options - Configuration options
+     */
+    function init(containerElement, options = {}) {
+        container = containerElement;
+        character = options.character;
+        callbacks = options;
+        
+        activeTab = 0;
+        
+        fetchCraftingData();
+    }
+    
+    /**
+     * Fetch the recipes, the salvageable items and the character's materials
+     */
+    function fetchCraftingData() {
+        Promise.all([
+            fetch(`/api/crafting/recipes?characterId=${character.id}`).then(res => res.json()),
+            fetch(`/api/crafting/salvageable/${character.id}`).then(res => res.json()),
+            fetch(`/api/inventory/${character.id}`).then(res => res.json())
+        ])
+            .then(([recipeData, salvageData, inventoryData]) => {
+                if (recipeData.success && salvageData.success && inventoryData.success) {
+                    recipes = recipeData.recipes || [];
+                    salvageableItems = salvageData.items || [];
+                    materials = inventoryData.items.filter(item => item.type === 'material');
+                    render();
+                } else {
+                    console.error('Error fetching crafting data:',
+                        recipeData.message || salvageData.message || inventoryData.message);
+                }
+            })
+            .catch(error => {
+                console.error('Error fetching crafting data:', error);
+            });
+    }
+    
+    /**
+     * Render the crafting view
+     */
+    function render() {
+        container.innerHTML = '';
+        
+        // Crafting introduction
+        const introSection = UIRenderer.createCard({
+            content: [
+                UIRenderer.createElement('h3', {
+                    className: 'mb-3'
+                }, 'Crafting'),
+                UIRenderer.createElement('p', {
+                    className: 'mb-0'
+                }, 'Salvage gear you no longer need into materials, then combine materials and gold into new equipment, potions and upgrade materials.')
+            ],
+            className: 'mb-4'
+        });
+        
+        const tabs = UIRenderer.createTabs({
+            id: 'crafting-tabs',
+            activeTab,
+            onTabChange: index => {
+                activeTab = index;
+            },
+            tabs: [
+                { title: 'Recipes', content: [renderMaterialsSection(), renderRecipesSection()] },
+                { title: `Salvage (${salvageableItems.length})`, content: [renderSalvageSection()] }
+            ]
+        });
+        
+        container.appendChild(introSection);
+        container.appendChild(tabs);
+    }
+    
+    /**
+     * Render the gold and materials the character has to craft with
+     * @returns {HTMLElement} Materials summary element
+     */
+    function renderMaterialsSection() {
+        return UIRenderer.createElement('div', {
+            className: 'alert alert-warning mb-4'
+        }, [
+            UIRenderer.createElement('div', {
+                className: 'd-flex align-items-center mb-1'
+            }, [
+                UIRenderer.createElement('i', {
+                    className: 'bi bi-coin fs-4 me-2'
+                }),
+                UIRenderer.createElement('span', {
+                    className: 'fs-5'
+                }, `Your Gold: ${character.gold || 0}`)
+            ]),
+            UIRenderer.createElement('div', {
+                className: 'crafting-materials'
+            }, materials.length > 0 ?
+                `Materials: ${materials.map(item => `${item.name} ×${item.quantity}`).join(', ')}` :
+                'You have no materials yet. Salvage items to get some.')
+        ]);
+    }
+    
+    /**
+     * Render the recipe list
+     * @returns {HTMLElement} Recipes section
+     */
+    function renderRecipesSection() {
+        return UIRenderer.createCard({
+            title: 'Recipes',
+            content: recipes.length === 0 ?
+                UIRenderer.createElement('div', {
+                    className: 'alert alert-info mb-0'
+                }, 'There are no recipes to craft.') :
+                UIRenderer.createElement('div', {
+                    className: 'row'
+                }, recipes.map(recipe => 
+                    UIRenderer.createElement('div', {
+                        className: 'col-lg-4 col-md-6 mb-3'
+                    }, [
+                        createRecipeCard(recipe)
+                    ])
+                ))
+        });
+    }
+    
+    /**
+     * Create a recipe card
+     * @param {Object} recipe - Recipe with requirements and availability
+     * @returns {HTMLElement} Recipe card element
+     */
+    function createRecipeCard(recipe) {
+        const output = recipe.quantity > 1 ? `${recipe.item.name} ×${recipe.quantity}` : recipe.item.name;
+        const rarity = recipe.minRarity ?
+            `${recipe.minRarity.charAt(0).toUpperCase() + recipe.minRarity.slice(1)} or better` : null;
+        
+        return UIRenderer.createElement('div', {
+            className: `card recipe-card ${recipe.unlocked ? '' : 'locked'}`
+        }, [
+            UIRenderer.createElement('div', {
+                className: 'card-body'
+            }, [
+                UIRenderer.createElement('div', {
+                    className: 'mb-2 d-flex justify-content-between'
+                }, [
+                    UIRenderer.createElement('span', {
+                        className: 'fw-bold'
+                    }, recipe.name),
+                    UIRenderer.createElement('span', {
+                        className: recipe.unlocked ? 'text-muted' : 'text-danger'
+                    }, `Level ${recipe.level}`)
+                ]),
+                UIRenderer.createElement('div', {
+                    className: 'mb-2'
+                }, rarity ? `Makes: ${output} (${rarity})` : `Makes: ${output}`),
+                UIRenderer.createElement('ul', {
+                    className: 'mb-2 ps-3'
+                }, [
+                    UIRenderer.createElement('li', {
+                        className: (character.gold || 0) < recipe.gold ? 'text-danger' : ''
+                    }, `${recipe.gold} gold`),
+                    ...recipe.materials.map(material => 
+                        UIRenderer.createElement('li', {
+                            className: material.owned < material.quantity ? 'text-danger' : ''
+                        }, `${material.quantity} ${material.name} (you have ${material.owned})`)
+                    )
+                ]),
+                UIRenderer.createButton({
+                    text: 'Craft',
+                    variant: recipe.canCraft ? 'primary' : 'outline-secondary',
+                    size: 'sm',
+                    className: 'w-100',
+                    disabled: !recipe.canCraft,
+                    onClick: () => craftRecipe(recipe)
+                })
+            ])
+        ]);
+    }
+    
+    /**
+     * Render the salvage tab
+     * @returns {HTMLElement} Salvage section
+     */
+    function renderSalvageSection() {
+        return UIRenderer.createCard({
+            title: 'Salvage Items',
+            content: salvageableItems.length === 0 ?
+                UIRenderer.createElement('div', {
+                    className: 'alert alert-info mb-0'
+                }, 'You have nothing to salvage. Equipped items must be unequipped before they can be salvaged.') :
+                UIRenderer.createElement('div', {
+                    className: 'row'
+                }, salvageableItems.map(item => 
+                    UIRenderer.createElement('div', {
+                        className: 'col-lg-4 col-md-6 mb-3'
+                    }, [
+                        UIRenderer.createItemCard({
+                            item: { ...item, price: undefined },
+                            actionButton: UIRenderer.createButton({
+                                text: `Salvage for ${formatMaterials(item.salvageYield)}`,
+                                variant: 'outline-warning',
+                                size: 'sm',
+                                className: 'w-100',
+                                onClick: () => confirmSalvage(item)
+                            })
+                        })
+                    ])
+                ))
+        });
+    }
+    
+    /**
+     * Format a list of materials
+     * @param {Array} list - Materials { name, quantity }
+     * @returns {string} Readable list
+     */
+    function formatMaterials(list) {
+        return list.map(material => `${material.quantity} ${material.name}`).join(', ');
+    }
+    
+    /**
+     * Apply the result of crafting or salvaging and refresh the view
+     * @param {Object} data - Crafting response
+     */
+    function applyResult(data) {
+        character.gold = data.gold;
+        recipes = data.recipes || [];
+        salvageableItems = data.salvageable || [];
+        materials = (data.inventory || []).filter(item => item.type === 'material');
+        
+        // Notify parent of character update
+        if (callbacks.onCharacterUpdated) {
+            callbacks.onCharacterUpdated({
+                ...character,
+                gold: data.gold
+            });
+        }
+        
+        render();
+    }
+    
+    /**
+     * Send a crafting request
+     * @param {string} url - Crafting route
+     * @param {Object} body - Request body
+     * @param {Function} onSuccess - Called with the response data
+     */
+    function postCrafting(url, body, onSuccess) {
+        fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                characterId: character.id,
+                ...body
+            })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    applyResult(data);
+                    onSuccess(data);
+                } else {
+                    UIRenderer.showToast({
+                        title: 'Crafting Failed',
+                        message: data.message || 'The request could not be completed',
+                        type: 'danger'
+                    });
+                }
+            })
+            .catch(error => {
+                console.error('Error crafting:', error);
+                UIRenderer.showToast({
+                    title: 'Error',
+                    message: 'An error occurred while crafting',
+                    type: 'danger'
+                });
+            });
+    }
+    
+    /**
+     * Craft a recipe
+     * @param {Object} recipe - The recipe to craft
+     */
+    function craftRecipe(recipe) {
+        postCrafting('/api/crafting/craft', { recipeId: recipe.id }, data => {
+            const rarity = data.item.rarity ? ` (${data.item.rarity})` : '';
+            
+            UIRenderer.showToast({
+                title: 'Item Crafted',
+                message: `You crafted ${data.item.quantity > 1 ? `${data.item.name} ×${data.item.quantity}` : data.item.name}${rarity}`,
+                type: 'success'
+            });
+        });
+    }
+    
+    /**
+     * Ask for confirmation before salvaging an item
+     * @param {Object} item - The item to salvage
+     */
+    function confirmSalvage(item) {
+        UIRenderer.showModal({
+            title: 'Salvage Item',
+            content: `Salvage ${UIRenderer.formatItemName(item)} into ${formatMaterials(item.salvageYield)}? The item will be destroyed.`,
+            buttons: [
+                {
+                    text: 'Salvage',
+                    variant: 'danger',
+                    onClick: () => {
+                        UIRenderer.hideModal();
+                        postCrafting('/api/crafting/salvage', { itemId: item.id }, data => {
+                            UIRenderer.showToast({
+                                title: 'Item Salvaged',
+                                message: `You received ${formatMaterials(data.materials)}`,
+                                type: 'success'
+                            });
+                        });
+                    }
+                }
+            ]
+        });
+    }
+    
+    // Public API
+    return {
+        init
+    };
+})();
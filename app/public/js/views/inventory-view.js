@@ -9,15 +9,33 @@ const InventoryView = (function() {
     let callbacks = {};
     let inventory = [];
     let equipment = {};
+    let sets = [];
+    // Equipment slots as defined by the server, in display order
+    let slots = [];
+    // Stat changes each carried item would make if equipped, keyed by item id
+    let comparisons = {};
     
-    // Equipment slot display names
-    const slotDisplayNames = {
-        head: 'Head',
-        chest: 'Chest',
-        legs: 'Legs',
-        mainHand: 'Main Hand',
-        offHand: 'Off Hand'
-    };
+    // Goals the gear optimizer can aim for
+    const OPTIMIZE_GOALS = [
+        { id: 'physicalDps', name: 'Physical DPS' },
+        { id: 'magicDps', name: 'Magic DPS' },
+        { id: 'effectiveHealth', name: 'Effective HP' },
+        { id: 'custom', name: 'Custom Weights' }
+    ];
+    // Derived stats a custom goal can weight
+    const WEIGHTED_STATS = [
+        { key: 'maxHealth', label: 'Health' },
+        { key: 'maxMana', label: 'Mana' },
+        { key: 'maxPhysicalDamage', label: 'Physical Damage' },
+        { key: 'maxMagicDamage', label: 'Magic Damage' },
+        { key: 'critChance', label: 'Crit Chance' },
+        { key: 'physicalDamageReduction', label: 'Physical Reduction' },
+        { key: 'magicDamageReduction', label: 'Magic Reduction' },
+        { key: 'dodgeChance', label: 'Dodge Chance' },
+        { key: 'blockChance', label: 'Block Chance' }
+    ];
+    let optimizeGoal = OPTIMIZE_GOALS[0].id;
+    let customWeights = {};
     
     /**
      * Initialize the view
@@ -43,8 +61,11 @@ const InventoryView = (function() {
             .then(([inventoryData, equipmentData]) => {
                 if (inventoryData.success && equipmentData.success) {
                     inventory = inventoryData.items || [];
+                    slots = equipmentData.slots || [];
                     equipment = equipmentData.equipment || {};
+                    sets = equipmentData.sets || [];
                     render();
+                    fetchComparisons();
                 } else {
                     console.error('Error fetching inventory data:',
                         inventoryData.success ? '' : inventoryData.message,
@@ -56,6 +77,27 @@ const InventoryView = (function() {
             });
     }
     
+    /**
+     * Compare every equippable carried item with the equipped gear, then re-render with the results
+     */
+    function fetchComparisons() {
+        const equippable = inventory.filter(item => item.slot);
+        
+        Promise.all(equippable.map(item => 
+            fetch(`/api/items/compare?characterId=${character.id}&itemId=${item.id}`).then(res => res.json())
+        ))
+            .then(results => {
+                comparisons = {};
+                results.filter(result => result.success).forEach(result => {
+                    comparisons[result.item.id] = result;
+                });
+                render();
+            })
+            .catch(error => {
+                console.error('Error comparing items:', error);
+            });
+    }
+    
     /**
      * Render the inventory view
      */
@@ -65,11 +107,15 @@ const InventoryView = (function() {
         // Equipment section
         const equipmentSection = createEquipmentSection();
         
+        // Gear optimizer section
+        const optimizeSection = createOptimizeSection();
+        
         // Inventory section
         const inventorySection = createInventorySection();
         
         // Add sections to container
         container.appendChild(equipmentSection);
+        container.appendChild(optimizeSection);
         container.appendChild(inventorySection);
     }
     
@@ -83,52 +129,282 @@ const InventoryView = (function() {
             content: [
                 UIRenderer.createElement('div', {
                     className: 'row'
-                }, [
-                    // First row: Head, Chest, Legs
+                }, slots.map(slot => 
                     UIRenderer.createElement('div', {
-                        className: 'col-md-4'
+                        className: 'col-lg-3 col-md-4 col-sm-6'
                     }, [
-                        createEquipmentSlot('head')
-                    ]),
-                    UIRenderer.createElement('div', {
-                        className: 'col-md-4'
-                    }, [
-                        createEquipmentSlot('chest')
-                    ]),
-                    UIRenderer.createElement('div', {
-                        className: 'col-md-4'
-                    }, [
-                        createEquipmentSlot('legs')
-                    ]),
-                    
-                    // Second row: Main Hand, Off Hand
-                    UIRenderer.createElement('div', {
-                        className: 'col-md-6'
-                    }, [
-                        createEquipmentSlot('mainHand')
-                    ]),
+                        createEquipmentSlot(slot)
+                    ])
+                )),
+                createSetBonusesSection()
+            ].filter(Boolean)
+        });
+    }
+    
+    /**
+     * Create the gear optimizer controls
+     * @returns {HTMLElement} The optimizer section
+     */
+    function createOptimizeSection() {
+        return UIRenderer.createCard({
+            title: 'Optimize Gear',
+            className: 'mb-4',
+            content: [
+                UIRenderer.createElement('p', {
+                    className: 'text-muted'
+                }, 'Find the best combination of your equipment and inventory for a goal, including set bonuses.'),
+                UIRenderer.createElement('div', {
+                    className: 'd-flex flex-wrap align-items-center gap-2'
+                }, [
+                    UIRenderer.createElement('select', {
+                        className: 'form-select form-select-sm w-auto',
+                        onChange: event => {
+                            optimizeGoal = event.target.value;
+                            render();
+                        }
+                    }, OPTIMIZE_GOALS.map(goal => 
+                        UIRenderer.createElement('option', {
+                            value: goal.id,
+                            selected: goal.id === optimizeGoal
+                        }, goal.name)
+                    )),
+                    UIRenderer.createButton({
+                        text: 'Find Best Gear',
+                        variant: 'primary',
+                        size: 'sm',
+                        onClick: findBestGear
+                    })
+                ]),
+                optimizeGoal === 'custom' ? UIRenderer.createElement('div', {
+                    className: 'row mt-3'
+                }, WEIGHTED_STATS.map(stat => 
                     UIRenderer.createElement('div', {
-                        className: 'col-md-6'
+                        className: 'col-lg-3 col-md-4 col-sm-6 mb-2'
                     }, [
-                        createEquipmentSlot('offHand')
+                        UIRenderer.createElement('label', {
+                            className: 'form-label small mb-1'
+                        }, stat.label),
+                        UIRenderer.createElement('input', {
+                            type: 'number',
+                            step: '0.1',
+                            className: 'form-control form-control-sm',
+                            value: customWeights[stat.key] || 0,
+                            onChange: event => {
+                                customWeights[stat.key] = parseFloat(event.target.value) || 0;
+                            }
+                        })
                     ])
+                )) : null
+            ].filter(Boolean)
+        });
+    }
+    
+    /**
+     * Ask the server for the best loadout for the chosen goal and show it for confirmation
+     */
+    function findBestGear() {
+        fetch(`/api/equipment/${character.id}/optimize`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                goal: optimizeGoal,
+                weights: optimizeGoal === 'custom' ? customWeights : undefined
+            })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success) {
+                    UIRenderer.showToast({
+                        title: 'Error',
+                        message: data.message || 'Failed to optimize gear',
+                        type: 'danger'
+                    });
+                    return;
+                }
+                
+                if (data.changes.length === 0) {
+                    UIRenderer.showToast({
+                        title: 'Already Optimal',
+                        message: `Your current gear is the best you have for ${data.goal.name}`,
+                        type: 'info'
+                    });
+                    return;
+                }
+                
+                UIRenderer.showModal({
+                    title: `Best Gear for ${data.goal.name}`,
+                    content: renderOptimizeProposal(data),
+                    buttons: [
+                        {
+                            text: 'Equip All',
+                            variant: 'primary',
+                            onClick: () => {
+                                UIRenderer.hideModal();
+                                applyLoadout(data.equipment);
+                            }
+                        }
+                    ]
+                });
+            })
+            .catch(error => {
+                console.error('Error optimizing gear:', error);
+                UIRenderer.showToast({
+                    title: 'Error',
+                    message: 'An error occurred while optimizing gear',
+                    type: 'danger'
+                });
+            });
+    }
+    
+    /**
+     * Render the slot changes, score and stat changes of a proposed loadout
+     * @param {Object} proposal - Loadout proposal from the server
+     * @returns {HTMLElement} Proposal element
+     */
+    function renderOptimizeProposal(proposal) {
+        const slotName = slotId => (slots.find(slot => slot.id === slotId) || { name: slotId }).name;
+        
+        return UIRenderer.createElement('div', {}, [
+            UIRenderer.createTable({
+                headers: ['Slot', 'Now', 'Proposed'],
+                rows: proposal.changes.map(change => [
+                    slotName(change.slot),
+                    change.from ? UIRenderer.formatItemName(change.from) : 'Empty',
+                    change.to ? UIRenderer.formatItemName(change.to) : 'Empty'
                 ])
-            ]
+            }),
+            UIRenderer.createElement('p', {}, `${proposal.goal.name}: ${proposal.score.before} → ${proposal.score.after}`),
+            UIRenderer.createComparisonBadges(proposal)
+        ]);
+    }
+    
+    /**
+     * Equip a proposed loadout in one request
+     * @param {Object} proposed - Proposed items keyed by slot
+     */
+    function applyLoadout(proposed) {
+        const loadout = {};
+        Object.entries(proposed).forEach(([slot, item]) => {
+            loadout[slot] = item ? item.id : null;
         });
+        
+        fetch(`/api/equipment/${character.id}/optimize/apply`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                equipment: loadout
+            })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    equipment = data.equipment;
+                    sets = data.sets || [];
+                    inventory = data.inventory;
+                    
+                    character = {
+                        ...character,
+                        ...data.character
+                    };
+                    
+                    if (callbacks.onCharacterUpdated) {
+                        callbacks.onCharacterUpdated(character);
+                    }
+                    
+                    UIRenderer.showToast({
+                        title: 'Success',
+                        message: 'Your new gear is equipped',
+                        type: 'success'
+                    });
+                    
+                    render();
+                    fetchComparisons();
+                } else {
+                    UIRenderer.showToast({
+                        title: 'Error',
+                        message: data.message || 'Failed to equip the new gear',
+                        type: 'danger'
+                    });
+                }
+            })
+            .catch(error => {
+                console.error('Error equipping gear:', error);
+                UIRenderer.showToast({
+                    title: 'Error',
+                    message: 'An error occurred while equipping the new gear',
+                    type: 'danger'
+                });
+            });
+    }
+    
+    /**
+     * Create the list of item sets the character has pieces of, with their bonus tiers
+     * @returns {HTMLElement|null} The set bonuses section
+     */
+    function createSetBonusesSection() {
+        if (sets.length === 0) {
+            return null;
+        }
+        
+        return UIRenderer.createElement('div', {
+            className: 'set-bonuses mt-3'
+        }, [
+            UIRenderer.createElement('h4', {
+                className: 'border-bottom pb-2 mb-3'
+            }, 'Set Bonuses'),
+            ...sets.map(set => UIRenderer.createElement('div', {
+                className: 'mb-3'
+            }, [
+                UIRenderer.createElement('h6', {
+                    className: 'mb-1'
+                }, `${set.name} (${set.equipped}/${set.pieces.length})`),
+                UIRenderer.createElement('div', {
+                    className: 'small text-muted mb-1'
+                }, set.pieces.map(piece => piece.equipped ? piece.name : `${piece.name} (missing)`).join(', ')),
+                UIRenderer.createElement('ul', {
+                    className: 'mb-0 ps-3'
+                }, set.tiers.map(tier => 
+                    UIRenderer.createElement('li', {
+                        className: tier.active ? 'set-tier-active' : 'text-muted'
+                    }, `${tier.pieces} pieces: ${formatSetTier(tier)}${tier.active ? ' (active)' : ''}`)
+                ))
+            ]))
+        ]);
+    }
+    
+    /**
+     * Describe what a set tier grants
+     * @param {Object} tier - Set tier { bonuses, effects }
+     * @returns {string} Readable description
+     */
+    function formatSetTier(tier) {
+        return [
+            ...Object.entries(tier.bonuses).map(([stat, value]) => 
+                `+${value} ${stat.charAt(0).toUpperCase() + stat.slice(1)}`
+            ),
+            ...tier.effects
+        ].join(', ');
     }
     
     /**
      * Create an equipment slot element
-     * @param {string} slot - The equipment slot
+     * @param {Object} slot - The equipment slot definition { id, name }
      * @returns {HTMLElement} The equipment slot element
      */
     function createEquipmentSlot(slot) {
-        const item = equipment[slot] || null;
+        const item = equipment[slot.id] || null;
+        const set = item && item.set ? sets.find(candidate => candidate.id === item.set) : null;
         
         return UIRenderer.createEquipmentSlot({
-            name: slotDisplayNames[slot],
+            name: slot.name,
             item: item,
-            onUnequip: item ? () => unequipItem(slot) : null
+            setName: set ? set.name : null,
+            onUnequip: item ? () => unequipItem(slot.id) : null,
+            onUpgrade: item ? confirmUpgrade : null
         });
     }
     
@@ -147,6 +423,9 @@ const InventoryView = (function() {
             // Group items by type
             const weapons = inventory.filter(item => item.type === 'weapon');
             const armors = inventory.filter(item => item.type === 'armor');
+            const accessories = inventory.filter(item => item.type === 'accessory');
+            const consumables = inventory.filter(item => item.type === 'consumable');
+            const materials = inventory.filter(item => item.type === 'material');
             
             content = [
                 // Weapons section
@@ -168,7 +447,9 @@ const InventoryView = (function() {
                 ]) : null,
                 
                 // Armors section
-                armors.length > 0 ? UIRenderer.createElement('div', {}, [
+                armors.length > 0 ? UIRenderer.createElement('div', {
+                    className: 'mb-4'
+                }, [
                     UIRenderer.createElement('h4', {
                         className: 'border-bottom pb-2 mb-3'
                     }, 'Armor'),
@@ -181,6 +462,61 @@ const InventoryView = (function() {
                             createInventoryItemCard(item)
                         ])
                     ))
+                ]) : null,
+                
+                // Accessories section
+                accessories.length > 0 ? UIRenderer.createElement('div', {
+                    className: 'mb-4'
+                }, [
+                    UIRenderer.createElement('h4', {
+                        className: 'border-bottom pb-2 mb-3'
+                    }, 'Accessories'),
+                    UIRenderer.createElement('div', {
+                        className: 'row'
+                    }, accessories.map(item => 
+                        UIRenderer.createElement('div', {
+                            className: 'col-lg-4 col-md-6 mb-3'
+                        }, [
+                            createInventoryItemCard(item)
+                        ])
+                    ))
+                ]) : null,
+                
+                // Consumables section
+                consumables.length > 0 ? UIRenderer.createElement('div', {}, [
+                    UIRenderer.createElement('h4', {
+                        className: 'border-bottom pb-2 mb-3'
+                    }, 'Consumables'),
+                    UIRenderer.createElement('p', {
+                        className: 'text-muted'
+                    }, 'Consumables are used automatically by the rules set on the Rotation page.'),
+                    UIRenderer.createElement('div', {
+                        className: 'row'
+                    }, consumables.map(item => 
+                        UIRenderer.createElement('div', {
+                            className: 'col-lg-4 col-md-6 mb-3'
+                        }, [
+                            UIRenderer.createItemCard({ item })
+                        ])
+                    ))
+                ]) : null,
+                
+                // Materials section
+                materials.length > 0 ? UIRenderer.createElement('div', {
+                    className: 'mt-4'
+                }, [
+                    UIRenderer.createElement('h4', {
+                        className: 'border-bottom pb-2 mb-3'
+                    }, 'Materials'),
+                    UIRenderer.createElement('div', {
+                        className: 'row'
+                    }, materials.map(item => 
+                        UIRenderer.createElement('div', {
+                            className: 'col-lg-4 col-md-6 mb-3'
+                        }, [
+                            UIRenderer.createItemCard({ item })
+                        ])
+                    ))
                 ]) : null
             ].filter(Boolean);
         }
@@ -207,10 +543,152 @@ const InventoryView = (function() {
         
         return UIRenderer.createItemCard({
             item: item,
-            actionButton: equipButton
+            actionButton: equipButton,
+            onUpgrade: confirmUpgrade,
+            comparison: comparisons[item.id] || null
         });
     }
     
+    /**
+     * Fetch the next upgrade of an item and ask for confirmation with its odds and stat preview
+     * @param {Object} item - The item to upgrade
+     */
+    function confirmUpgrade(item) {
+        fetch(`/api/items/${item.id}/upgrade?characterId=${character.id}`)
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    UIRenderer.showModal({
+                        title: `Upgrade ${UIRenderer.formatItemName(item)}`,
+                        content: renderUpgradePreview(data),
+                        buttons: [
+                            {
+                                text: `Upgrade for ${data.cost.gold} gold`,
+                                variant: 'primary',
+                                disabled: !data.cost.canAfford,
+                                onClick: () => {
+                                    UIRenderer.hideModal();
+                                    upgradeItem(item);
+                                }
+                            }
+                        ]
+                    });
+                } else {
+                    UIRenderer.showToast({
+                        title: 'Error',
+                        message: data.message || 'Failed to load upgrade',
+                        type: 'danger'
+                    });
+                }
+            })
+            .catch(error => {
+                console.error('Error loading upgrade:', error);
+            });
+    }
+    
+    /**
+     * Render the odds, stat changes and cost of an upgrade
+     * @param {Object} preview - Upgrade preview from the server
+     * @returns {HTMLElement} Preview element
+     */
+    function renderUpgradePreview(preview) {
+        const { item, upgraded, level, successChance, cost } = preview;
+        const rows = [];
+        
+        if (item.type === 'weapon' && item.minDamage !== undefined) {
+            rows.push(['Damage', `${item.minDamage}-${item.maxDamage}`, `${upgraded.minDamage}-${upgraded.maxDamage}`]);
+        } else {
+            Object.entries(upgraded.bonuses || {}).forEach(([stat, value]) => {
+                rows.push([stat.charAt(0).toUpperCase() + stat.slice(1), `+${(item.bonuses || {})[stat] || 0}`, `+${value}`]);
+            });
+        }
+        
+        return UIRenderer.createElement('div', {}, [
+            UIRenderer.createElement('p', {
+                className: successChance < 1 ? 'text-danger' : 'text-success'
+            }, `Chance to reach +${level}: ${Math.round(successChance * 100)}%`),
+            successChance < 1 ? UIRenderer.createElement('p', {
+                className: 'small text-muted'
+            }, 'If the upgrade fails, the gold and materials are lost and the item keeps its current level.') : null,
+            UIRenderer.createTable({
+                headers: ['Stat', 'Now', `At +${level}`],
+                rows
+            }),
+            UIRenderer.createElement('h6', {}, 'Cost'),
+            UIRenderer.createElement('ul', {
+                className: 'mb-0 ps-3'
+            }, [
+                UIRenderer.createElement('li', {
+                    className: (character.gold || 0) < cost.gold ? 'text-danger' : ''
+                }, `${cost.gold} gold (you have ${character.gold || 0})`),
+                ...cost.materials.map(material => 
+                    UIRenderer.createElement('li', {
+                        className: material.owned < material.quantity ? 'text-danger' : ''
+                    }, `${material.quantity} ${material.name} (you have ${material.owned})`)
+                )
+            ])
+        ].filter(Boolean));
+    }
+    
+    /**
+     * Attempt to upgrade an item
+     * @param {Object} item - The item to upgrade
+     */
+    function upgradeItem(item) {
+        fetch(`/api/items/${item.id}/upgrade`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                characterId: character.id
+            })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    // Update local data
+                    equipment = data.equipment;
+                    inventory = data.inventory;
+                    
+                    // Gold was spent and equipped upgrades change stats
+                    character = {
+                        ...character,
+                        ...data.character
+                    };
+                    
+                    if (callbacks.onCharacterUpdated) {
+                        callbacks.onCharacterUpdated(character);
+                    }
+                    
+                    UIRenderer.showToast({
+                        title: data.upgraded ? 'Upgrade Succeeded' : 'Upgrade Failed',
+                        message: data.upgraded ?
+                            `${UIRenderer.formatItemName(data.item)} is ready` :
+                            `${UIRenderer.formatItemName(data.item)} was not upgraded and the materials were lost`,
+                        type: data.upgraded ? 'success' : 'warning'
+                    });
+                    
+                    render();
+                    fetchComparisons();
+                } else {
+                    UIRenderer.showToast({
+                        title: 'Error',
+                        message: data.message || 'Failed to upgrade item',
+                        type: 'danger'
+                    });
+                }
+            })
+            .catch(error => {
+                console.error('Error upgrading item:', error);
+                UIRenderer.showToast({
+                    title: 'Error',
+                    message: 'An error occurred while upgrading the item',
+                    type: 'danger'
+                });
+            });
+    }
+    
     /**
      * Equip an item
      * @param {Object} item - The item to equip
@@ -230,6 +708,7 @@ const InventoryView = (function() {
                 if (data.success) {
                     // Update local data
                     equipment = data.equipment;
+                    sets = data.sets || [];
                     inventory = data.inventory;
                     
                     // Update character stats
@@ -250,8 +729,9 @@ const InventoryView = (function() {
                         type: 'success'
                     });
                     
-                    // Re-render view
+                    // Re-render view, then refresh the comparisons against the new gear
                     render();
+                    fetchComparisons();
                 } else {
                     // Handle equipment failure
                     UIRenderer.showToast({
@@ -290,6 +770,7 @@ const InventoryView = (function() {
                 if (data.success) {
                     // Update local data
                     equipment = data.equipment;
+                    sets = data.sets || [];
                     inventory = data.inventory;
                     
                     // Update character stats
@@ -310,8 +791,9 @@ const InventoryView = (function() {
                         type: 'success'
                     });
                     
-                    // Re-render view
+                    // Re-render view, then refresh the comparisons against the new gear
                     render();
+                    fetchComparisons();
                 } else {
                     // Handle unequip failure
                     UIRenderer.showToast({
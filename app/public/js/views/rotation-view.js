@@ -10,7 +10,15 @@ const RotationView = (function() {
     let availableAbilities = [];
     let characterRotation = [];
     let basicAttackType = 'physical';
+    let consumableRules = [];
+    let consumableItems = [];
     let sortableInstance = null;
+    const MAX_CONSUMABLE_RULES = 3;
+    const CONSUMABLE_CONDITIONS = [
+        { value: 'healthBelow', label: 'My health below' },
+        { value: 'manaBelow', label: 'My mana below' },
+        { value: 'enemyHealthBelow', label: 'Enemy health below' }
+    ];
     
     /**
      * Initialize the view
@@ -30,14 +38,18 @@ const RotationView = (function() {
      */
     function fetchRotationData() {
         Promise.all([
-            fetch(`/api/abilities/available`).then(res => res.json()),
-            fetch(`/api/rotation/${character.id}`).then(res => res.json())
+            fetch(`/api/abilities/available?characterId=${character.id}`).then(res => res.json()),
+            fetch(`/api/rotation/${character.id}`).then(res => res.json()),
+            fetch('/api/items').then(res => res.json())
         ])
-            .then(([abilitiesData, rotationData]) => {
+            .then(([abilitiesData, rotationData, itemsData]) => {
                 if (abilitiesData.success && rotationData.success) {
                     availableAbilities = abilitiesData.abilities || [];
                     characterRotation = rotationData.rotation || [];
                     basicAttackType = rotationData.basicAttackType || 'physical';
+                    consumableRules = rotationData.consumableRules || [];
+                    consumableItems = itemsData.success ?
+                        itemsData.items.filter(item => item.type === 'consumable') : [];
                     render();
                 } else {
                     console.error('Error fetching rotation data:',
@@ -118,6 +130,9 @@ const RotationView = (function() {
         // Character rotation section
         const rotationSection = createRotationSection();
         
+        // Consumable usage rules
+        const consumablesSection = createConsumablesSection();
+        
         // Save button
         const saveButtonContainer = UIRenderer.createElement('div', {
             className: 'd-grid gap-2 mt-4'
@@ -136,12 +151,113 @@ const RotationView = (function() {
         container.appendChild(attackTypeSection);
         container.appendChild(availableSection);
         container.appendChild(rotationSection);
+        container.appendChild(consumablesSection);
         container.appendChild(saveButtonContainer);
         
         // Initialize drag and drop after rendering
         initializeDragAndDrop();
     }
     
+    /**
+     * Create the consumable usage rules section
+     * @returns {HTMLElement} The consumables section
+     */
+    function createConsumablesSection() {
+        const ruleRows = consumableRules.map((rule, index) => 
+            UIRenderer.createElement('div', {
+                className: 'd-flex flex-wrap align-items-center gap-2 mb-2'
+            }, [
+                UIRenderer.createElement('select', {
+                    className: 'form-select form-select-sm w-auto',
+                    onChange: event => updateConsumableRule(index, { itemId: event.target.value })
+                }, consumableItems.map(item => 
+                    UIRenderer.createElement('option', {
+                        value: item.id,
+                        selected: item.id === rule.itemId
+                    }, item.name)
+                )),
+                UIRenderer.createElement('span', {}, 'when'),
+                UIRenderer.createElement('select', {
+                    className: 'form-select form-select-sm w-auto',
+                    onChange: event => updateConsumableRule(index, { condition: event.target.value })
+                }, CONSUMABLE_CONDITIONS.map(condition => 
+                    UIRenderer.createElement('option', {
+                        value: condition.value,
+                        selected: condition.value === rule.condition
+                    }, condition.label)
+                )),
+                UIRenderer.createElement('input', {
+                    type: 'number',
+                    className: 'form-control form-control-sm consumable-threshold',
+                    min: 1,
+                    max: 99,
+                    value: rule.threshold,
+                    onChange: event => updateConsumableRule(index, { threshold: parseInt(event.target.value, 10) })
+                }),
+                UIRenderer.createElement('span', {}, '%'),
+                UIRenderer.createButton({
+                    icon: 'x-lg',
+                    variant: 'outline-danger',
+                    size: 'sm',
+                    onClick: () => removeConsumableRule(index)
+                })
+            ])
+        );
+        
+        return UIRenderer.createCard({
+            title: 'Consumables',
+            className: 'mt-4',
+            content: [
+                UIRenderer.createElement('p', {
+                    className: 'mb-3'
+                }, 'Rules are checked in order before each action. The first rule that matches uses one item from your inventory and takes that turn. On adventures, potions are also used between encounters.'),
+                ...(ruleRows.length > 0 ? ruleRows : [
+                    UIRenderer.createElement('p', {
+                        className: 'text-muted'
+                    }, 'No consumable rules set.')
+                ]),
+                UIRenderer.createButton({
+                    text: 'Add Rule',
+                    icon: 'plus',
+                    variant: 'outline-primary',
+                    size: 'sm',
+                    disabled: consumableRules.length >= MAX_CONSUMABLE_RULES || consumableItems.length === 0,
+                    onClick: addConsumableRule
+                })
+            ]
+        });
+    }
+    
+    /**
+     * Add a consumable rule with sensible defaults
+     */
+    function addConsumableRule() {
+        consumableRules.push({
+            itemId: consumableItems[0].id,
+            condition: 'healthBelow',
+            threshold: 30
+        });
+        render();
+    }
+    
+    /**
+     * Change part of a consumable rule
+     * @param {number} index - Rule position
+     * @param {Object} changes - Fields to update
+     */
+    function updateConsumableRule(index, changes) {
+        consumableRules[index] = { ...consumableRules[index], ...changes };
+    }
+    
+    /**
+     * Remove a consumable rule
+     * @param {number} index - Rule position
+     */
+    function removeConsumableRule(index) {
+        consumableRules.splice(index, 1);
+        render();
+    }
+    
     /**
      * Create the available abilities section
      * @returns {HTMLElement} The available abilities section
@@ -360,7 +476,8 @@ const RotationView = (function() {
         const rotationData = {
             characterId: character.id,
             basicAttackType: basicAttackType,
-            rotation: characterRotation.map(ability => ability.id)
+            rotation: characterRotation.map(ability => ability.id),
+            consumableRules: consumableRules
         };
         
         // Send save request
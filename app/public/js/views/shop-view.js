@@ -1,6 +1,6 @@
 /**
  * Shop View
- * Displays items available for purchase
+ * Displays the character's rotating stock, sells inventory items and buys back recent sales
  */
 const ShopView = (function() {
     // Private properties
@@ -8,6 +8,19 @@ const ShopView = (function() {
     let character = null;
     let callbacks = {};
     let shopItems = [];
+    let featuredItems = [];
+    let supplies = [];
+    let nextRefreshAt = null;
+    let refreshCost = 0;
+    let countdownTimer = null;
+    const SUPPLY_SINGLE = 1;
+    const SUPPLY_BUNDLE = 5;
+    let sellableItems = [];
+    let buybackItems = [];
+    let rarities = [];
+    // Stat changes each item for sale would make if equipped, keyed by item id
+    let comparisons = {};
+    let activeTab = 0;
     
     /**
      * Initialize the view
@@ -19,28 +32,207 @@ const ShopView = (function() {
         character = options.character;
         callbacks = options;
         
-        fetchShopItems();
+        activeTab = 0;
+        
+        // Clear any existing timers
+        clearInterval(countdownTimer);
+        
+        fetchShopData();
     }
     
     /**
-     * Fetch items available in the shop
+     * Fetch the shop stock, the character's sellable items and their buyback list
      */
-    function fetchShopItems() {
-        fetch('/api/shop/items')
-            .then(response => response.json())
-            .then(data => {
-                if (data.success) {
-                    shopItems = data.items || [];
+    function fetchShopData() {
+        Promise.all([
+            fetch(`/api/shop/items?characterId=${character.id}`).then(res => res.json()),
+            fetch(`/api/shop/sellable/${character.id}`).then(res => res.json()),
+            fetch(`/api/shop/buyback/${character.id}`).then(res => res.json()),
+            fetch('/api/items/rarities').then(res => res.json())
+        ])
+            .then(([shopData, sellableData, buybackData, rarityData]) => {
+                if (shopData.success && sellableData.success && buybackData.success && rarityData.success) {
+                    applyStock(shopData);
+                    sellableItems = sellableData.items || [];
+                    buybackItems = buybackData.items || [];
+                    rarities = rarityData.rarities || [];
                     render();
+                    fetchComparisons();
                 } else {
-                    console.error('Error fetching shop items:', data.message);
+                    console.error('Error fetching shop data:',
+                        shopData.message || sellableData.message || buybackData.message || rarityData.message);
                 }
             })
             .catch(error => {
-                console.error('Error fetching shop items:', error);
+                console.error('Error fetching shop data:', error);
             });
     }
     
+    /**
+     * Store the stock returned by the shop
+     * @param {Object} data - Shop response with items, featured items and refresh timing
+     */
+    function applyStock(data) {
+        shopItems = data.items || [];
+        featuredItems = data.featured || [];
+        supplies = data.supplies || [];
+        nextRefreshAt = data.nextRefreshAt;
+        refreshCost = data.refreshCost || 0;
+    }
+    
+    /**
+     * Compare every item for sale with the character's equipped gear, then re-render with the results
+     */
+    function fetchComparisons() {
+        Promise.all([...featuredItems, ...shopItems].map(item => 
+            fetch(`/api/items/compare?characterId=${character.id}&itemId=${item.id}`).then(res => res.json())
+        ))
+            .then(results => {
+                comparisons = {};
+                results.filter(result => result.success).forEach(result => {
+                    comparisons[result.item.id] = result;
+                });
+                render();
+            })
+            .catch(error => {
+                console.error('Error comparing items:', error);
+            });
+    }
+    
+    /**
+     * Format the time left until the next scheduled refresh
+     * @returns {string} Countdown text
+     */
+    function formatCountdown() {
+        const remaining = Math.max(0, new Date(nextRefreshAt) - Date.now());
+        const hours = Math.floor(remaining / 3600000);
+        const minutes = Math.floor((remaining % 3600000) / 60000);
+        const seconds = Math.floor((remaining % 60000) / 1000);
+        
+        return `${hours}h ${String(minutes).padStart(2, '0')}m ${String(seconds).padStart(2, '0')}s`;
+    }
+    
+    /**
+     * Tick the refresh countdown, reloading the stock once it is due
+     */
+    function updateCountdown() {
+        const countdownElement = document.getElementById('shop-refresh-countdown');
+        
+        // Stop once the shop is no longer on screen
+        if (!countdownElement) {
+            clearInterval(countdownTimer);
+            return;
+        }
+        
+        if (new Date(nextRefreshAt) <= Date.now()) {
+            clearInterval(countdownTimer);
+            fetchShopData();
+            return;
+        }
+        
+        countdownElement.textContent = formatCountdown();
+    }
+    
+    /**
+     * Render the refresh countdown and the paid refresh button
+     * @returns {HTMLElement} Refresh bar element
+     */
+    function renderRefreshBar() {
+        const canAfford = (character.gold || 0) >= refreshCost;
+        
+        return UIRenderer.createElement('div', {
+            className: 'd-flex flex-wrap justify-content-between align-items-center gap-2 mb-3'
+        }, [
+            UIRenderer.createElement('span', {}, [
+                'New stock in ',
+                UIRenderer.createElement('strong', {
+                    id: 'shop-refresh-countdown'
+                }, formatCountdown())
+            ]),
+            UIRenderer.createButton({
+                text: `Refresh now (${refreshCost} gold)`,
+                icon: 'arrow-clockwise',
+                variant: canAfford ? 'outline-primary' : 'outline-secondary',
+                size: 'sm',
+                disabled: !canAfford,
+                onClick: confirmRefresh
+            })
+        ]);
+    }
+    
+    /**
+     * Render the limited-quantity featured items
+     * @returns {HTMLElement|null} Featured section
+     */
+    function renderFeaturedSection() {
+        if (featuredItems.length === 0) {
+            return null;
+        }
+        
+        return UIRenderer.createElement('div', {
+            className: 'mb-4'
+        }, [
+            UIRenderer.createElement('h4', {
+                className: 'border-bottom pb-2 mb-3'
+            }, 'Featured'),
+            UIRenderer.createElement('div', {
+                className: 'row'
+            }, featuredItems.map(item => 
+                UIRenderer.createElement('div', {
+                    className: 'col-lg-4 col-md-6 mb-3 shop-featured'
+                }, [
+                    UIRenderer.createBadge({
+                        text: `${item.quantity} left`,
+                        color: 'warning',
+                        pill: true,
+                        className: 'shop-featured-quantity text-dark'
+                    }),
+                    createShopItemCard(item)
+                ])
+            ))
+        ]);
+    }
+    
+    /**
+     * Render the consumables and materials that are always in stock
+     * @returns {HTMLElement|null} Supplies section
+     */
+    function renderSuppliesSection() {
+        if (supplies.length === 0) {
+            return null;
+        }
+        
+        return UIRenderer.createCard({
+            title: 'Supplies',
+            className: 'mt-4',
+            content: UIRenderer.createElement('div', {
+                className: 'row'
+            }, supplies.map(item => {
+                const gold = character.gold || 0;
+                
+                return UIRenderer.createElement('div', {
+                    className: 'col-lg-4 col-md-6 mb-3'
+                }, [
+                    UIRenderer.createItemCard({
+                        item,
+                        actionButton: UIRenderer.createElement('div', {
+                            className: 'd-flex gap-2'
+                        }, [SUPPLY_SINGLE, SUPPLY_BUNDLE].map(quantity => 
+                            UIRenderer.createButton({
+                                text: `Buy ${quantity}`,
+                                variant: gold >= item.price * quantity ? 'success' : 'secondary',
+                                size: 'sm',
+                                className: 'flex-fill',
+                                disabled: gold < item.price * quantity,
+                                onClick: () => purchaseItem(item, quantity)
+                            })
+                        ))
+                    })
+                ]);
+            }))
+        });
+    }
+    
     /**
      * Render the shop view
      */
@@ -55,7 +247,7 @@ const ShopView = (function() {
                 }, 'Equipment Shop'),
                 UIRenderer.createElement('p', {
                     className: 'mb-0'
-                }, 'Welcome to the shop! Purchase equipment to enhance your character\'s combat capabilities.')
+                }, 'Welcome to the shop! Purchase equipment to enhance your character\'s combat capabilities, or sell what you no longer need.')
             ],
             className: 'mb-4'
         });
@@ -79,16 +271,19 @@ const ShopView = (function() {
         // Items for sale
         let itemsContent;
         
-        if (shopItems.length === 0) {
+        if (shopItems.length === 0 && featuredItems.length === 0) {
             itemsContent = UIRenderer.createElement('div', {
                 className: 'alert alert-info mb-0'
-            }, 'No items available in the shop at the moment. Check back later!');
+            }, 'You have bought out the shop. Check back when the stock refreshes!');
         } else {
             // Group items by type
             const weapons = shopItems.filter(item => item.type === 'weapon');
             const armors = shopItems.filter(item => item.type === 'armor');
+            const accessories = shopItems.filter(item => item.type === 'accessory');
             
             itemsContent = [
+                renderFeaturedSection(),
+                
                 // Weapons section
                 weapons.length > 0 ? UIRenderer.createElement('div', {
                     className: 'mb-4'
@@ -108,7 +303,9 @@ const ShopView = (function() {
                 ]) : null,
                 
                 // Armors section
-                armors.length > 0 ? UIRenderer.createElement('div', {}, [
+                armors.length > 0 ? UIRenderer.createElement('div', {
+                    className: 'mb-4'
+                }, [
                     UIRenderer.createElement('h4', {
                         className: 'border-bottom pb-2 mb-3'
                     }, 'Armor'),
@@ -121,19 +318,147 @@ const ShopView = (function() {
                             createShopItemCard(item)
                         ])
                     ))
+                ]) : null,
+                
+                // Accessories section
+                accessories.length > 0 ? UIRenderer.createElement('div', {}, [
+                    UIRenderer.createElement('h4', {
+                        className: 'border-bottom pb-2 mb-3'
+                    }, 'Accessories'),
+                    UIRenderer.createElement('div', {
+                        className: 'row'
+                    }, accessories.map(item => 
+                        UIRenderer.createElement('div', {
+                            className: 'col-lg-4 col-md-6 mb-3'
+                        }, [
+                            createShopItemCard(item)
+                        ])
+                    ))
                 ]) : null
             ].filter(Boolean);
         }
         
         const itemsSection = UIRenderer.createCard({
             title: 'Items for Sale',
-            content: itemsContent
+            content: [renderRefreshBar(), ...[].concat(itemsContent)]
+        });
+        
+        const suppliesSection = renderSuppliesSection();
+        
+        const tabs = UIRenderer.createTabs({
+            id: 'shop-tabs',
+            activeTab,
+            onTabChange: index => {
+                activeTab = index;
+            },
+            tabs: [
+                { title: 'Buy', content: [itemsSection, suppliesSection] },
+                { title: `Sell (${sellableItems.length})`, content: [renderSellSection()] },
+                { title: `Buyback (${buybackItems.length})`, content: [renderBuybackSection()] }
+            ]
         });
         
         // Add sections to container
         container.appendChild(introSection);
         container.appendChild(goldSection);
-        container.appendChild(itemsSection);
+        container.appendChild(tabs);
+        
+        clearInterval(countdownTimer);
+        countdownTimer = setInterval(updateCountdown, 1000);
+    }
+    
+    /**
+     * Render the sell tab with bulk sell controls and the character's inventory
+     * @returns {HTMLElement} Sell section
+     */
+    function renderSellSection() {
+        // Selling "below common" would never match anything, so start from the second tier
+        const bulkSellForm = UIRenderer.createElement('div', {
+            className: 'd-flex flex-wrap align-items-center gap-2 mb-3'
+        }, [
+            UIRenderer.createElement('label', {
+                className: 'form-label mb-0',
+                for: 'bulk-sell-rarity'
+            }, 'Sell every item below'),
+            UIRenderer.createElement('select', {
+                id: 'bulk-sell-rarity',
+                className: 'form-select form-select-sm w-auto'
+            }, rarities.slice(1).map(rarity => 
+                UIRenderer.createElement('option', { value: rarity.id }, rarity.name)
+            )),
+            UIRenderer.createButton({
+                text: 'Sell',
+                variant: 'outline-danger',
+                size: 'sm',
+                disabled: sellableItems.length === 0,
+                onClick: () => confirmBulkSell(document.getElementById('bulk-sell-rarity').value)
+            })
+        ]);
+        
+        const itemsContent = sellableItems.length === 0 ?
+            UIRenderer.createElement('div', {
+                className: 'alert alert-info mb-0'
+            }, 'Your inventory is empty. Equipped items must be unequipped before they can be sold.') :
+            UIRenderer.createElement('div', {
+                className: 'row'
+            }, sellableItems.map(item => 
+                UIRenderer.createElement('div', {
+                    className: 'col-lg-4 col-md-6 mb-3'
+                }, [
+                    UIRenderer.createItemCard({
+                        item: { ...item, price: undefined },
+                        actionButton: UIRenderer.createButton({
+                            text: `Sell for ${item.sellPrice} gold`,
+                            variant: 'outline-warning',
+                            size: 'sm',
+                            className: 'w-100',
+                            onClick: () => sellItem(item)
+                        })
+                    })
+                ])
+            ));
+        
+        return UIRenderer.createCard({
+            title: 'Sell Items',
+            content: [bulkSellForm, itemsContent]
+        });
+    }
+    
+    /**
+     * Render the buyback tab
+     * @returns {HTMLElement} Buyback section
+     */
+    function renderBuybackSection() {
+        const itemsContent = buybackItems.length === 0 ?
+            UIRenderer.createElement('div', {
+                className: 'alert alert-info mb-0'
+            }, 'Items you sell appear here and can be bought back for the price you sold them at.') :
+            UIRenderer.createElement('div', {
+                className: 'row'
+            }, buybackItems.map(item => {
+                const canAfford = (character.gold || 0) >= item.price;
+                
+                return UIRenderer.createElement('div', {
+                    className: 'col-lg-4 col-md-6 mb-3'
+                }, [
+                    UIRenderer.createItemCard({
+                        item,
+                        actionButton: UIRenderer.createButton({
+                            text: 'Buy back',
+                            variant: canAfford ? 'success' : 'secondary',
+                            size: 'sm',
+                            className: 'w-100',
+                            disabled: !canAfford,
+                            onClick: () => buyBackItem(item)
+                        })
+                    })
+                ]);
+            }));
+        
+        return UIRenderer.createCard({
+            title: 'Recently Sold',
+            content: itemsContent
+        });
     }
     
     /**
@@ -155,15 +480,17 @@ const ShopView = (function() {
         
         return UIRenderer.createItemCard({
             item: item,
-            actionButton: buyButton
+            actionButton: buyButton,
+            comparison: comparisons[item.id] || null
         });
     }
     
     /**
      * Purchase an item from the shop
      * @param {Object} item - The item to purchase
+     * @param {number} quantity - How many to buy (supplies only)
      */
-    function purchaseItem(item) {
+    function purchaseItem(item, quantity = 1) {
         fetch(`/api/shop/buy`, {
             method: 'POST',
             headers: {
@@ -171,14 +498,16 @@ const ShopView = (function() {
             },
             body: JSON.stringify({
                 characterId: character.id,
-                itemId: item.id
+                itemId: item.id,
+                quantity
             })
         })
             .then(response => response.json())
             .then(data => {
                 if (data.success) {
-                    // Update character gold
+                    // Update character gold and what is left in stock
                     character.gold = data.gold;
+                    applyStock(data);
                     
                     // Notify parent of character update
                     if (callbacks.onCharacterUpdated) {
@@ -191,12 +520,14 @@ const ShopView = (function() {
                     // Show success message
                     UIRenderer.showToast({
                         title: 'Purchase Successful',
-                        message: `You purchased ${item.name} for ${item.price} gold`,
+                        message: quantity > 1 ?
+                            `You purchased ${quantity} × ${item.name} for ${item.price * quantity} gold` :
+                            `You purchased ${item.name} for ${item.price} gold`,
                         type: 'success'
                     });
                     
-                    // Re-render view
-                    render();
+                    // Reload so the new item shows up in the sell tab
+                    fetchShopData();
                 } else {
                     // Handle purchase failure
                     UIRenderer.showToast({
@@ -216,6 +547,235 @@ const ShopView = (function() {
             });
     }
     
+    /**
+     * Ask for confirmation before paying for an early refresh
+     */
+    function confirmRefresh() {
+        UIRenderer.showModal({
+            title: 'Refresh Shop',
+            content: `Pay ${refreshCost} gold to replace the current stock now? The next free refresh is in ${formatCountdown()}.`,
+            buttons: [
+                {
+                    text: 'Refresh',
+                    variant: 'primary',
+                    onClick: () => {
+                        UIRenderer.hideModal();
+                        refreshStock();
+                    }
+                }
+            ]
+        });
+    }
+    
+    /**
+     * Pay to refresh the stock early
+     */
+    function refreshStock() {
+        fetch('/api/shop/refresh', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                characterId: character.id
+            })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    character.gold = data.gold;
+                    applyStock(data);
+                    
+                    // Notify parent of character update
+                    if (callbacks.onCharacterUpdated) {
+                        callbacks.onCharacterUpdated({
+                            ...character,
+                            gold: data.gold
+                        });
+                    }
+                    
+                    UIRenderer.showToast({
+                        title: 'Shop Refreshed',
+                        message: 'The shop has new stock for you',
+                        type: 'success'
+                    });
+                    
+                    render();
+                    fetchComparisons();
+                } else {
+                    UIRenderer.showToast({
+                        title: 'Refresh Failed',
+                        message: data.message || 'Failed to refresh the shop',
+                        type: 'danger'
+                    });
+                }
+            })
+            .catch(error => {
+                console.error('Error refreshing shop:', error);
+                UIRenderer.showToast({
+                    title: 'Error',
+                    message: 'An error occurred while refreshing the shop',
+                    type: 'danger'
+                });
+            });
+    }
+    
+    /**
+     * Apply the result of a sale or buyback and refresh the view
+     * @param {Object} data - Trade response
+     */
+    function applyTrade(data) {
+        character.gold = data.gold;
+        sellableItems = data.inventory || [];
+        buybackItems = data.buyback || [];
+        
+        // Notify parent of character update
+        if (callbacks.onCharacterUpdated) {
+            callbacks.onCharacterUpdated({
+                ...character,
+                gold: data.gold
+            });
+        }
+        
+        render();
+    }
+    
+    /**
+     * Send a trade request to the shop
+     * @param {string} url - Shop route
+     * @param {Object} body - Request body
+     * @param {Function} onSuccess - Called with the response data
+     */
+    function postTrade(url, body, onSuccess) {
+        fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                characterId: character.id,
+                ...body
+            })
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    applyTrade(data);
+                    onSuccess(data);
+                } else {
+                    UIRenderer.showToast({
+                        title: 'Trade Failed',
+                        message: data.message || 'The shop could not complete the trade',
+                        type: 'danger'
+                    });
+                }
+            })
+            .catch(error => {
+                console.error('Error trading with the shop:', error);
+                UIRenderer.showToast({
+                    title: 'Error',
+                    message: 'An error occurred while trading with the shop',
+                    type: 'danger'
+                });
+            });
+    }
+    
+    /**
+     * Sell a single item
+     * @param {Object} item - The item to sell
+     */
+    function sellItem(item) {
+        postTrade('/api/shop/sell', { itemId: item.id }, data => {
+            UIRenderer.showToast({
+                title: 'Item Sold',
+                message: `You sold ${item.name} for ${data.goldEarned} gold`,
+                type: 'success'
+            });
+        });
+    }
+    
+    /**
+     * Ask for confirmation before selling every item below a rarity
+     * @param {string} rarityId - Rarity threshold
+     */
+    function confirmBulkSell(rarityId) {
+        const rarity = rarities.find(tier => tier.id === rarityId);
+        const rarityName = rarity ? rarity.name : rarityId;
+        
+        // Ask the server which items the sale would take, so the list matches the sale exactly
+        fetch(`/api/shop/sell-bulk/${character.id}?rarity=${encodeURIComponent(rarityId)}`)
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success) {
+                    UIRenderer.showToast({
+                        title: 'Error',
+                        message: data.message || 'Failed to check which items would be sold',
+                        type: 'danger'
+                    });
+                    return;
+                }
+                
+                if (data.items.length === 0) {
+                    UIRenderer.showToast({
+                        title: 'Sell Items',
+                        message: `You have no items below ${rarityName} rarity to sell`,
+                        type: 'info'
+                    });
+                    return;
+                }
+                
+                UIRenderer.showModal({
+                    title: 'Sell Items',
+                    content: UIRenderer.createElement('div', {}, [
+                        UIRenderer.createElement('p', {}, `Sell these ${data.items.length} items for ${data.goldEarned} gold? Consumables and materials are kept. You can buy back the last few from the Buyback tab.`),
+                        UIRenderer.createElement('ul', {
+                            className: 'mb-0'
+                        }, data.items.map(item => 
+                            UIRenderer.createElement('li', {}, `${UIRenderer.formatItemName(item)} (${item.sellPrice} gold)`)
+                        ))
+                    ]),
+                    buttons: [
+                        {
+                            text: 'Sell',
+                            variant: 'danger',
+                            onClick: () => {
+                                UIRenderer.hideModal();
+                                postTrade('/api/shop/sell-bulk', { rarity: rarityId }, result => {
+                                    UIRenderer.showToast({
+                                        title: 'Items Sold',
+                                        message: `You sold ${result.soldCount} items for ${result.goldEarned} gold`,
+                                        type: 'success'
+                                    });
+                                });
+                            }
+                        }
+                    ]
+                });
+            })
+            .catch(error => {
+                console.error('Error previewing bulk sale:', error);
+                UIRenderer.showToast({
+                    title: 'Error',
+                    message: 'An error occurred while checking which items would be sold',
+                    type: 'danger'
+                });
+            });
+    }
+    
+    /**
+     * Buy back a previously sold item
+     * @param {Object} item - The buyback item
+     */
+    function buyBackItem(item) {
+        postTrade('/api/shop/buyback', { itemId: item.id }, () => {
+            UIRenderer.showToast({
+                title: 'Item Bought Back',
+                message: `You bought back ${item.name} for ${item.price} gold`,
+                type: 'success'
+            });
+        });
+    }
+    
     // Public API
     return {
         init
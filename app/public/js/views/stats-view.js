@@ -9,6 +9,8 @@ const StatsView = (function() {
     let character = null;
     let callbacks = {};
     let attributePoints = 0;
+    let statBreakdown = null;
+    let popovers = [];
     let pendingAttributes = {
         strength: 0,
         agility: 0,
@@ -43,17 +45,20 @@ const StatsView = (function() {
     }
     
     /**
-     * Fetch the character's current stats
+     * Fetch the character's current stats and their breakdown
      */
     function fetchCharacterStats() {
-        fetch(`/api/character/${character.id}/stats`)
-            .then(response => response.json())
-            .then(data => {
+        Promise.all([
+            fetch(`/api/character/${character.id}/stats`).then(response => response.json()),
+            fetch(`/api/character/${character.id}/stats/breakdown`).then(response => response.json())
+        ])
+            .then(([data, breakdownData]) => {
                 if (data.success) {
                     character = {
                         ...character,
                         ...data.character
                     };
+                    statBreakdown = breakdownData.success ? breakdownData.breakdown : null;
                     render();
                 } else {
                     console.error('Error fetching character stats:', data.message);
@@ -68,6 +73,7 @@ const StatsView = (function() {
      * Render the stats view
      */
     function render() {
+        disposePopovers();
         container.innerHTML = '';
         
         // Character overview section
@@ -110,6 +116,71 @@ const StatsView = (function() {
         ].filter(Boolean).forEach(section => {
             container.appendChild(section);
         });
+        
+        attachBreakdownPopovers();
+    }
+    
+    /**
+     * Attach a hover popover listing the contributions behind each stat row
+     */
+    function attachBreakdownPopovers() {
+        if (!statBreakdown) return;
+        
+        container.querySelectorAll('[data-stat]').forEach(row => {
+            const statKeys = row.getAttribute('data-stat').split(',');
+            const entries = statKeys.map(key => ({ key, stat: statBreakdown[key] })).filter(entry => entry.stat);
+            
+            if (entries.length === 0) return;
+            
+            row.classList.add('stat-breakdown-trigger');
+            popovers.push(new bootstrap.Popover(row, {
+                trigger: 'hover focus',
+                placement: 'right',
+                html: true,
+                title: row.querySelector('.stat-label').textContent.replace(/:\s*$/, ''),
+                content: createBreakdownContent(entries)
+            }));
+        });
+    }
+    
+    /**
+     * Build the popover body for one or more stats
+     * @param {Array} entries - Stat keys with their breakdown
+     * @returns {HTMLElement} Popover content
+     */
+    function createBreakdownContent(entries) {
+        return UIRenderer.createElement('div', {
+            className: 'stat-breakdown'
+        }, entries.map(({ key, stat }) => UIRenderer.createElement('div', {
+            className: 'mb-2'
+        }, [
+            entries.length > 1 ?
+                UIRenderer.createElement('div', {
+                    className: 'fw-bold small'
+                }, key.startsWith('min') ? 'Minimum' : 'Maximum') : null,
+            ...stat.contributions.map(part => UIRenderer.createElement('div', {
+                className: `d-flex justify-content-between small ${part.source === 'cap' ? 'text-danger' : ''}`
+            }, [
+                UIRenderer.createElement('span', {
+                    className: 'me-3'
+                }, part.label),
+                UIRenderer.createElement('span', {}, `${part.amount >= 0 ? '+' : ''}${part.amount}`)
+            ])),
+            UIRenderer.createElement('div', {
+                className: 'd-flex justify-content-between small fw-bold border-top mt-1 pt-1'
+            }, [
+                UIRenderer.createElement('span', {}, 'Total'),
+                UIRenderer.createElement('span', {}, `${stat.value}`)
+            ])
+        ])));
+    }
+    
+    /**
+     * Dispose the popovers of the previous render
+     */
+    function disposePopovers() {
+        popovers.forEach(popover => popover.dispose());
+        popovers = [];
     }
     
     /**
@@ -190,10 +261,33 @@ const StatsView = (function() {
                         createAttributeControls('wisdom')
                     ])
                 ])
-            ]
+            ],
+            footer: UIRenderer.createElement('div', {
+                className: 'd-flex justify-content-between align-items-center'
+            }, [
+                UIRenderer.createElement('small', {
+                    className: 'text-muted'
+                }, `Refund all allocated points for ${character.respecCost} gold.`),
+                UIRenderer.createButton({
+                    text: 'Reset attributes',
+                    variant: 'outline-danger',
+                    size: 'sm',
+                    icon: 'arrow-counterclockwise',
+                    disabled: getAllocatedPoints() === 0,
+                    onClick: confirmRespec
+                })
+            ])
         });
     }
     
+    /**
+     * Count the attribute points the character has allocated so far
+     * @returns {number} Allocated points
+     */
+    function getAllocatedPoints() {
+        return Object.values(character.allocatedAttributes || {}).reduce((sum, value) => sum + value, 0);
+    }
+    
     /**
      * Create an attribute display element
      * @param {string} label - The attribute label
@@ -279,19 +373,23 @@ const StatsView = (function() {
                     }, [
                         UIRenderer.createStatDisplay({
                             label: 'Health',
-                            value: `${character.health}/${character.maxHealth}`
+                            value: `${character.health}/${character.maxHealth}`,
+                            statKeys: ['maxHealth']
                         }),
                         UIRenderer.createStatDisplay({
                             label: 'Mana',
-                            value: `${character.mana}/${character.maxMana}`
+                            value: `${character.mana}/${character.maxMana}`,
+                            statKeys: ['maxMana']
                         }),
                         UIRenderer.createStatDisplay({
                             label: 'Physical Damage',
-                            value: `${character.minPhysicalDamage}-${character.maxPhysicalDamage}`
+                            value: `${character.minPhysicalDamage}-${character.maxPhysicalDamage}`,
+                            statKeys: ['minPhysicalDamage', 'maxPhysicalDamage']
                         }),
                         UIRenderer.createStatDisplay({
                             label: 'Magic Damage',
-                            value: `${character.minMagicDamage}-${character.maxMagicDamage}`
+                            value: `${character.minMagicDamage}-${character.maxMagicDamage}`,
+                            statKeys: ['minMagicDamage', 'maxMagicDamage']
                         })
                     ]),
                     
@@ -301,23 +399,28 @@ const StatsView = (function() {
                     }, [
                         UIRenderer.createStatDisplay({
                             label: 'Attack Speed',
-                            value: `${character.attackSpeed.toFixed(2)}s`
+                            value: `${character.attackSpeed.toFixed(2)}s`,
+                            statKeys: ['attackSpeed']
                         }),
                         UIRenderer.createStatDisplay({
                             label: 'Critical Chance',
-                            value: `${character.critChance.toFixed(2)}%`
+                            value: `${character.critChance.toFixed(2)}%`,
+                            statKeys: ['critChance']
                         }),
                         UIRenderer.createStatDisplay({
                             label: 'Spell Critical Chance',
-                            value: `${character.spellCritChance.toFixed(2)}%`
+                            value: `${character.spellCritChance.toFixed(2)}%`,
+                            statKeys: ['spellCritChance']
                         }),
                         UIRenderer.createStatDisplay({
                             label: 'Physical Damage Reduction',
-                            value: `${character.physicalDamageReduction.toFixed(2)}%`
+                            value: `${character.physicalDamageReduction.toFixed(2)}%`,
+                            statKeys: ['physicalDamageReduction']
                         }),
                         UIRenderer.createStatDisplay({
                             label: 'Magic Damage Reduction',
-                            value: `${character.magicDamageReduction.toFixed(2)}%`
+                            value: `${character.magicDamageReduction.toFixed(2)}%`,
+                            statKeys: ['magicDamageReduction']
                         })
                     ])
                 ])
@@ -341,11 +444,13 @@ const StatsView = (function() {
                     }, [
                         UIRenderer.createStatDisplay({
                             label: 'Dodge Chance',
-                            value: `${character.dodgeChance.toFixed(2)}%`
+                            value: `${character.dodgeChance.toFixed(2)}%`,
+                            statKeys: ['dodgeChance']
                         }),
                         UIRenderer.createStatDisplay({
                             label: 'Accuracy',
-                            value: `${character.accuracy.toFixed(2)}%`
+                            value: `${character.accuracy.toFixed(2)}%`,
+                            statKeys: ['accuracy']
                         })
                     ]),
                     UIRenderer.createElement('div', {
@@ -353,7 +458,8 @@ const StatsView = (function() {
                     }, [
                         UIRenderer.createStatDisplay({
                             label: 'Block Chance',
-                            value: `${character.blockChance.toFixed(2)}%`
+                            value: `${character.blockChance.toFixed(2)}%`,
+                            statKeys: ['blockChance']
                         })
                     ])
                 ]),
@@ -400,6 +506,84 @@ const StatsView = (function() {
         render();
     }
     
+    /**
+     * Ask for confirmation before resetting attributes
+     */
+    function confirmRespec() {
+        const allocated = getAllocatedPoints();
+        const canAfford = character.gold >= character.respecCost;
+        
+        UIRenderer.showModal({
+            title: 'Reset Attributes',
+            content: UIRenderer.createElement('div', {}, [
+                UIRenderer.createElement('p', {}, `All ${allocated} allocated attribute points will be refunded so you can spend them again.`),
+                UIRenderer.createElement('p', {
+                    className: canAfford ? 'mb-0' : 'mb-0 text-danger'
+                }, `Cost: ${character.respecCost} gold (you have ${character.gold}).`)
+            ]),
+            buttons: [
+                {
+                    text: 'Reset',
+                    variant: 'danger',
+                    disabled: !canAfford,
+                    onClick: () => {
+                        UIRenderer.hideModal();
+                        respecAttributes();
+                    }
+                }
+            ]
+        });
+    }
+    
+    /**
+     * Refund all allocated attribute points
+     */
+    function respecAttributes() {
+        fetch(`/api/character/${character.id}/respec`, {
+            method: 'POST'
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    character = {
+                        ...character,
+                        ...data.character
+                    };
+                    
+                    // Discard pending changes and start from the refunded pool
+                    attributePoints = character.attributePoints;
+                    pendingAttributes = {
+                        strength: 0,
+                        agility: 0,
+                        stamina: 0,
+                        intellect: 0,
+                        wisdom: 0
+                    };
+                    
+                    if (callbacks.onCharacterUpdated) {
+                        callbacks.onCharacterUpdated(character);
+                    }
+                    
+                    UIRenderer.showToast({
+                        title: 'Attributes Reset',
+                        message: `Refunded your attribute points for ${data.cost} gold`,
+                        type: 'success'
+                    });
+                    
+                    fetchCharacterStats();
+                } else {
+                    UIRenderer.showToast({
+                        title: 'Error',
+                        message: data.message || 'Failed to reset attributes',
+                        type: 'danger'
+                    });
+                }
+            })
+            .catch(error => {
+                console.error('Error resetting attributes:', error);
+            });
+    }
+    
     /**
      * Save attribute changes
      */
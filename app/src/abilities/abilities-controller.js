@@ -0,0 +1,42 @@
+/**
+ * Abilities Controller
+ * Registers the /api/abilities and /api/rotation routes
+ */
+const abilitiesService = require('./abilities-service');
+const characterService = require('../character/character-service');
+
+/**
+ * Abilities routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function abilitiesController(fastify) {
+    fastify.get('/abilities/available', async (request) => {
+        const { characterId } = request.query;
+
+        // With a character, only the abilities its class allows are listed
+        const abilities = characterId ?
+            abilitiesService.getAbilitiesForCharacter(characterService.getCharacter(characterId)) :
+            abilitiesService.getAbilities();
+
+        return { success: true, abilities };
+    });
+
+    fastify.get('/rotation/:characterId', async (request) => {
+        const { rotation, basicAttackType, consumableRules } = abilitiesService.getRotation(request.params.characterId);
+        return { success: true, rotation, basicAttackType, consumableRules };
+    });
+
+    fastify.get('/rotation/:characterId/check', async (request) => {
+        const character = characterService.getCharacter(request.params.characterId);
+        return { success: true, isValid: abilitiesService.isRotationValid(character) };
+    });
+
+    fastify.post('/rotation/save', async (request) => {
+        const { characterId, rotation, basicAttackType, consumableRules } = request.body || {};
+        abilitiesService.saveRotation(characterId, rotation, basicAttackType, consumableRules);
+
+        return { success: true };
+    });
+}
+
+module.exports = abilitiesController;
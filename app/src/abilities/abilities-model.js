@@ -0,0 +1,31 @@
+/**
+ * Abilities Model
+ * Defines the rules a combat rotation must follow
+ */
+
+// Model constants
+const MIN_ROTATION_SIZE = 3;
+const BASIC_ATTACK_TYPES = ['physical', 'magic'];
+const MAX_CONSUMABLE_RULES = 3;
+
+/**
+ * Create a rotation record from validated input
+ * @param {Array} abilityIds - Ordered ability ids
+ * @param {string} basicAttackType - Fallback attack type
+ * @param {Array} consumableRules - Ordered usage rules { itemId, condition, threshold }
+ * @returns {Object} Rotation fields to store on the character
+ */
+function createRotation(abilityIds, basicAttackType, consumableRules = []) {
+    return {
+        rotation: [...abilityIds],
+        basicAttackType,
+        consumableRules: consumableRules.map(({ itemId, condition, threshold }) => ({ itemId, condition, threshold }))
+    };
+}
+
+module.exports = {
+    MIN_ROTATION_SIZE,
+    BASIC_ATTACK_TYPES,
+    MAX_CONSUMABLE_RULES,
+    createRotation
+};
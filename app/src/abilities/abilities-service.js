@@ -0,0 +1,151 @@
+/**
+ * Abilities Service
+ * Provides ability definitions and manages character rotations
+ */
+const dataService = require('../shared/data-service');
+const AppError = require('../shared/app-error');
+const abilitiesModel = require('./abilities-model');
+const characterService = require('../character/character-service');
+const itemsService = require('../items/items-service');
+const consumablesService = require('../inventory/consumables-service');
+
+// Private properties
+const ABILITIES_COLLECTION = 'abilities';
+
+/**
+ * Get every ability definition
+ * @returns {Array} Ability definitions
+ */
+function getAbilities() {
+    return dataService.getCollection(ABILITIES_COLLECTION);
+}
+
+/**
+ * Get a single ability definition
+ * @param {string} abilityId - Ability id
+ * @returns {Object|null} The ability definition
+ */
+function getAbility(abilityId) {
+    return getAbilities().find(ability => ability.id === abilityId) || null;
+}
+
+/**
+ * Get the abilities a character's class allows
+ * @param {Object} character - The character
+ * @returns {Array} Ability definitions
+ */
+function getAbilitiesForCharacter(character) {
+    const allowedIds = characterService.getAllowedAbilityIds(character);
+    return allowedIds ? getAbilities().filter(ability => allowedIds.includes(ability.id)) : getAbilities();
+}
+
+/**
+ * Resolve a character's rotation into ability definitions
+ * @param {Object} character - The character
+ * @returns {Array} Ordered ability definitions
+ */
+function resolveRotation(character) {
+    return (character.rotation || []).map(getAbility).filter(Boolean);
+}
+
+/**
+ * Get a character's rotation
+ * @param {string} characterId - Character id
+ * @returns {Object} Rotation abilities and basic attack type
+ */
+function getRotation(characterId) {
+    const character = characterService.getCharacter(characterId);
+
+    return {
+        rotation: resolveRotation(character),
+        basicAttackType: character.basicAttackType,
+        consumableRules: character.consumableRules || []
+    };
+}
+
+/**
+ * Check whether a character's rotation meets the minimum requirements
+ * @param {Object} character - The character
+ * @returns {boolean} Whether the rotation is valid
+ */
+function isRotationValid(character) {
+    return resolveRotation(character).length >= abilitiesModel.MIN_ROTATION_SIZE;
+}
+
+/**
+ * Check a list of consumable usage rules
+ * @param {Array} rules - Rules { itemId, condition, threshold }
+ */
+function validateConsumableRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new AppError('Consumable rules must be a list');
+    }
+
+    if (rules.length > abilitiesModel.MAX_CONSUMABLE_RULES) {
+        throw new AppError(`You can set at most ${abilitiesModel.MAX_CONSUMABLE_RULES} consumable rules`);
+    }
+
+    rules.forEach(rule => {
+        const template = itemsService.getItemTemplates().find(item => item.id === (rule && rule.itemId));
+
+        if (!consumablesService.isConsumable(template)) {
+            throw new AppError('Consumable rules can only use consumable items');
+        }
+
+        if (!consumablesService.CONDITIONS.includes(rule.condition)) {
+            throw new AppError('Invalid consumable condition');
+        }
+
+        if (!Number.isInteger(rule.threshold) || rule.threshold < 1 || rule.threshold > 99) {
+            throw new AppError('Consumable thresholds must be a whole percentage between 1 and 99');
+        }
+    });
+}
+
+/**
+ * Save a character's rotation
+ * @param {string} characterId - Character id
+ * @param {Array} abilityIds - Ordered ability ids
+ * @param {string} basicAttackType - Fallback attack type
+ * @param {Array} [consumableRules] - Ordered consumable usage rules
+ * @returns {Object} The updated character
+ */
+function saveRotation(characterId, abilityIds, basicAttackType, consumableRules = []) {
+    const character = characterService.getCharacter(characterId);
+
+    if (!Array.isArray(abilityIds) || abilityIds.length < abilitiesModel.MIN_ROTATION_SIZE) {
+        throw new AppError(`Your rotation must have at least ${abilitiesModel.MIN_ROTATION_SIZE} abilities`);
+    }
+
+    if (new Set(abilityIds).size !== abilityIds.length) {
+        throw new AppError('An ability can only appear once in your rotation');
+    }
+
+    if (abilityIds.some(abilityId => !getAbility(abilityId))) {
+        throw new AppError('Unknown ability in rotation');
+    }
+
+    const allowedIds = characterService.getAllowedAbilityIds(character);
+    if (allowedIds && abilityIds.some(abilityId => !allowedIds.includes(abilityId))) {
+        throw new AppError('Your class cannot use one of the abilities in this rotation');
+    }
+
+    if (!abilitiesModel.BASIC_ATTACK_TYPES.includes(basicAttackType)) {
+        throw new AppError('Invalid basic attack type');
+    }
+
+    validateConsumableRules(consumableRules);
+
+    Object.assign(character, abilitiesModel.createRotation(abilityIds, basicAttackType, consumableRules));
+    return characterService.saveCharacter(character);
+}
+
+module.exports = {
+    getAbilities,
+    getAbility,
+    getAbilitiesForCharacter,
+    resolveRotation,
+    getRotation,
+    isRotationValid,
+    saveRotation
+};
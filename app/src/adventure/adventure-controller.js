@@ -0,0 +1,46 @@
+/**
+ * Adventure Controller
+ * Registers the /api/adventure routes
+ */
+const adventureService = require('./adventure-service');
+const adventureModel = require('./adventure-model');
+const characterService = require('../character/character-service');
+
+/**
+ * Adventure routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function adventureController(fastify) {
+    fastify.get('/adventure/:characterId/status', async (request) => {
+        return { success: true, adventure: adventureService.getAdventureStatus(request.params.characterId) };
+    });
+
+    fastify.get('/adventure/:characterId/progress', async (request) => {
+        const { adventure, character } = adventureService.getAdventureProgress(request.params.characterId);
+
+        return {
+            success: true,
+            adventure: adventureModel.toStatus(adventure),
+            character: characterService.toClientCharacter(character)
+        };
+    });
+
+    fastify.post('/adventure/:characterId/start', async (request) => {
+        const { duration } = request.body || {};
+        const adventure = adventureService.startAdventure(request.params.characterId, duration);
+
+        return { success: true, adventure: adventureModel.toStatus(adventure) };
+    });
+
+    fastify.post('/adventure/:characterId/end', async (request) => {
+        const { results, character } = adventureService.endAdventure(request.params.characterId);
+        return { success: true, results, character: characterService.toClientCharacter(character) };
+    });
+
+    fastify.post('/adventure/:characterId/complete', async (request) => {
+        const { results, character } = adventureService.completeAdventure(request.params.characterId);
+        return { success: true, results, character: characterService.toClientCharacter(character) };
+    });
+}
+
+module.exports = adventureController;
@@ -0,0 +1,140 @@
+/**
+ * Adventure Model
+ * Defines stored adventures and how their progress is measured
+ */
+const crypto = require('crypto');
+
+// Model constants
+const DURATIONS = [0.5, 1, 1.5, 2, 3, 4, 5];
+const MS_PER_DAY = 60 * 60 * 1000;
+const EVENTS_PER_DAY = 4;
+const EVENT_WEIGHTS = {
+    combat: 45,
+    gold: 20,
+    experience: 15,
+    item: 10,
+    rest: 10
+};
+
+/**
+ * Pick an event type using the configured weights
+ * @returns {string} Event type
+ */
+function rollEventType() {
+    const total = Object.values(EVENT_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+    let roll = Math.random() * total;
+
+    for (const [type, weight] of Object.entries(EVENT_WEIGHTS)) {
+        roll -= weight;
+        if (roll < 0) {
+            return type;
+        }
+    }
+
+    return 'combat';
+}
+
+/**
+ * Schedule the events of an adventure, spread evenly with some jitter
+ * @param {number} duration - Duration in days
+ * @returns {Array} Scheduled events ordered by day
+ */
+function scheduleEvents(duration) {
+    const count = Math.max(1, Math.round(duration * EVENTS_PER_DAY));
+    const spacing = duration / (count + 1);
+
+    return Array.from({ length: count }, (_, index) => ({
+        day: Math.min(duration, spacing * (index + 1) + (Math.random() - 0.5) * spacing),
+        type: rollEventType(),
+        resolved: false
+    }));
+}
+
+/**
+ * Create an adventure
+ * @param {string} characterId - Character id
+ * @param {number} duration - Duration in days
+ * @returns {Object} The adventure record
+ */
+function createAdventure(characterId, duration) {
+    const startTime = new Date();
+    const endTime = new Date(startTime.getTime() + duration * MS_PER_DAY);
+
+    return {
+        id: crypto.randomUUID(),
+        characterId,
+        active: true,
+        startTime: startTime.toISOString(),
+        endTime: endTime.toISOString(),
+        duration,
+        scheduledEvents: scheduleEvents(duration),
+        events: [],
+        rewards: {
+            gold: 0,
+            experience: 0,
+            items: []
+        },
+        defeated: false
+    };
+}
+
+/**
+ * Get the number of in-game days elapsed
+ * @param {Object} adventure - The adventure record
+ * @param {Date} now - Current time
+ * @returns {number} Elapsed days, capped at the duration
+ */
+function getElapsedDays(adventure, now = new Date()) {
+    const elapsed = (now - new Date(adventure.startTime)) / MS_PER_DAY;
+    return Math.max(0, Math.min(adventure.duration, elapsed));
+}
+
+/**
+ * Get the completion fraction of an adventure
+ * @param {Object} adventure - The adventure record
+ * @param {Date} now - Current time
+ * @returns {number} Progress between 0 and 1
+ */
+function getProgress(adventure, now = new Date()) {
+    if (adventure.defeated) {
+        return 1;
+    }
+
+    return getElapsedDays(adventure, now) / adventure.duration;
+}
+
+/**
+ * Reduce an adventure to the status the client displays
+ * @param {Object|null} adventure - The adventure record
+ * @returns {Object} Adventure status
+ */
+function toStatus(adventure) {
+    if (!adventure || !adventure.active) {
+        return {
+            active: false,
+            startTime: null,
+            duration: 0,
+            endTime: null,
+            progress: 0,
+            events: []
+        };
+    }
+
+    return {
+        active: true,
+        startTime: adventure.startTime,
+        duration: adventure.duration,
+        endTime: adventure.endTime,
+        progress: getProgress(adventure),
+        events: adventure.events,
+        rewards: adventure.rewards
+    };
+}
+
+module.exports = {
+    DURATIONS,
+    createAdventure,
+    getElapsedDays,
+    getProgress,
+    toStatus
+};
@@ -0,0 +1,397 @@
+/**
+ * Adventure Service
+ * Runs timed adventures, resolving their events as time passes
+ */
+const crypto = require('crypto');
+const dataService = require('../shared/data-service');
+const AppError = require('../shared/app-error');
+const adventureModel = require('./adventure-model');
+const characterModel = require('../character/character-model');
+const characterService = require('../character/character-service');
+const progressionService = require('../character/progression-service');
+const abilitiesService = require('../abilities/abilities-service');
+const itemsService = require('../items/items-service');
+const inventoryService = require('../inventory/inventory-service');
+const consumablesService = require('../inventory/consumables-service');
+const battleService = require('../battle/battle-service');
+
+// Private properties
+const ADVENTURES_COLLECTION = 'adventures';
+const DEFEAT_REWARD_RATE = 0.5;
+const REST_HEAL_RATE = 0.3;
+const MONSTERS = [
+    { name: 'Goblin Scout', focus: ['agility', 'strength'], basicAttackType: 'physical' },
+    { name: 'Bandit', focus: ['strength', 'stamina'], basicAttackType: 'physical' },
+    { name: 'Dire Wolf', focus: ['agility', 'stamina'], basicAttackType: 'physical' },
+    { name: 'Cultist', focus: ['intellect', 'wisdom'], basicAttackType: 'magic' },
+    { name: 'Skeleton Mage', focus: ['intellect', 'stamina'], basicAttackType: 'magic' },
+    { name: 'Cave Troll', focus: ['stamina', 'strength'], basicAttackType: 'physical' }
+];
+
+/**
+ * Pick a random element of an array
+ * @param {Array} values - Candidate values
+ * @returns {*} A random element
+ */
+function pick(values) {
+    return values[Math.floor(Math.random() * values.length)];
+}
+
+/**
+ * Random integer in an inclusive range
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @returns {number} Random integer
+ */
+function randomInt(min, max) {
+    return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+/**
+ * Get a character's adventure record
+ * @param {string} characterId - Character id
+ * @returns {Object|null} The adventure record
+ */
+function findAdventure(characterId) {
+    return dataService.getCollection(ADVENTURES_COLLECTION)
+        .find(adventure => adventure.characterId === characterId) || null;
+}
+
+/**
+ * Get a character's active adventure or fail
+ * @param {string} characterId - Character id
+ * @returns {Object} The active adventure
+ */
+function getActiveAdventure(characterId) {
+    const adventure = findAdventure(characterId);
+
+    if (!adventure || !adventure.active) {
+        throw new AppError('You are not on an adventure');
+    }
+
+    return adventure;
+}
+
+/**
+ * Persist an adventure record
+ * @param {Object} adventure - The adventure record
+ * @returns {Object} The saved record
+ */
+function saveAdventure(adventure) {
+    return dataService.upsert(ADVENTURES_COLLECTION, adventure);
+}
+
+/**
+ * Generate a monster near the character's level
+ * @param {Object} character - The adventuring character
+ * @returns {Object} A character-shaped monster
+ */
+function generateMonster(character) {
+    const template = pick(MONSTERS);
+    const level = Math.max(1, character.level + randomInt(-1, 1));
+    const attributes = {};
+    characterModel.ATTRIBUTES.forEach(attr => {
+        attributes[attr] = 1 + level;
+    });
+    // Monsters pour extra points into their focus attributes
+    for (let i = 0; i < level * 3; i++) {
+        attributes[pick(template.focus)]++;
+    }
+
+    const weapons = itemsService.getItemTemplatesForLevel(level).filter(item =>
+        item.type === 'weapon' && (item.damageType || 'physical') === template.basicAttackType);
+    const equipment = {};
+    characterModel.EQUIPMENT_SLOTS.forEach(slot => {
+        equipment[slot] = null;
+    });
+    if (weapons.length > 0) {
+        equipment.mainHand = itemsService.createItem(pick(weapons).id);
+    }
+
+    const rotation = abilitiesService.getAbilities()
+        .filter(ability => ability.type !== 'magic' || template.basicAttackType === 'magic')
+        .map(ability => ability.id)
+        .sort(() => Math.random() - 0.5)
+        .slice(0, 3);
+
+    return {
+        id: crypto.randomUUID(),
+        name: template.name,
+        level,
+        ...attributes,
+        equipment,
+        rotation,
+        basicAttackType: template.basicAttackType,
+        health: null,
+        mana: null
+    };
+}
+
+/**
+ * Resolve a combat encounter
+ * @param {Object} adventure - The adventure (modified in place)
+ * @param {Object} character - The character (modified in place)
+ * @param {number} day - Event day
+ */
+function resolveCombat(adventure, character, day) {
+    const monster = generateMonster(character);
+    const hero = battleService.createCombatant(character);
+    const result = battleService.recordBattle('adventure', hero, battleService.createCombatant(monster));
+
+    character.health = hero.health;
+    character.mana = hero.mana;
+    battleService.consumeUsedItems(character, hero);
+
+    if (result.winner === character.id) {
+        const gold = randomInt(3, 8) * monster.level;
+        const experience = randomInt(10, 20) * monster.level;
+        adventure.rewards.gold += gold;
+        adventure.rewards.experience += experience;
+        adventure.events.push({
+            day,
+            type: 'combat',
+            battleId: result.id,
+            message: `Defeated a level ${monster.level} ${monster.name}, earning ${gold} gold and ${experience} experience.`
+        });
+
+        // Patch up with potions before the next encounter
+        consumablesService.useBetweenEncounters(character).forEach(use => {
+            adventure.events.push({ day, type: 'consumable', message: `Used a ${use.name}, ${use.description}.` });
+        });
+    } else {
+        adventure.defeated = true;
+        adventure.events.push({
+            day,
+            type: 'combat',
+            battleId: result.id,
+            message: `Was defeated by a level ${monster.level} ${monster.name} and retreated home.`
+        });
+    }
+}
+
+/**
+ * Resolve a single scheduled event
+ * @param {Object} adventure - The adventure (modified in place)
+ * @param {Object} character - The character (modified in place)
+ * @param {Object} event - The scheduled event
+ */
+function resolveEvent(adventure, character, event) {
+    const { day } = event;
+
+    switch (event.type) {
+        case 'combat':
+            resolveCombat(adventure, character, day);
+            break;
+        case 'gold': {
+            const gold = randomInt(5, 15) * character.level;
+            adventure.rewards.gold += gold;
+            adventure.events.push({ day, type: 'gold', message: `Found a pouch containing ${gold} gold.` });
+            break;
+        }
+        case 'experience': {
+            const experience = randomInt(10, 20) * character.level;
+            adventure.rewards.experience += experience;
+            adventure.events.push({ day, type: 'experience', message: `Learned from a wandering mentor, gaining ${experience} experience.` });
+            break;
+        }
+        case 'item': {
+            const item = itemsService.generateItemForLevel(character.level);
+            adventure.rewards.items.push(item);
+            adventure.events.push({ day, type: 'item', message: `Discovered ${item.name}.` });
+            break;
+        }
+        default: {
+            const stats = characterService.getDerivedStats(character);
+            const current = character.health === null ? stats.maxHealth : character.health;
+            character.health = Math.min(stats.maxHealth, current + Math.round(stats.maxHealth * REST_HEAL_RATE));
+            adventure.events.push({ day, type: 'rest', message: 'Rested at a campfire and recovered some health.' });
+        }
+    }
+
+    event.resolved = true;
+}
+
+/**
+ * Resolve every scheduled event that has happened by now
+ * @param {Object} adventure - The adventure (modified in place)
+ * @param {Object} character - The character (modified in place)
+ * @param {number} untilDay - Resolve events up to this day
+ */
+function resolveEvents(adventure, character, untilDay) {
+    for (const event of adventure.scheduledEvents) {
+        if (adventure.defeated || event.day > untilDay) {
+            break;
+        }
+        if (!event.resolved) {
+            resolveEvent(adventure, character, event);
+        }
+    }
+}
+
+/**
+ * Bring an adventure up to date and persist it
+ * @param {string} characterId - Character id
+ * @returns {Object} The adventure and character
+ */
+function updateAdventure(characterId) {
+    const adventure = getActiveAdventure(characterId);
+    const character = characterService.getCharacter(characterId);
+
+    resolveEvents(adventure, character, adventureModel.getElapsedDays(adventure));
+    saveAdventure(adventure);
+    characterService.saveCharacter(character);
+
+    return { adventure, character };
+}
+
+/**
+ * Get a character's adventure status
+ * @param {string} characterId - Character id
+ * @returns {Object} Adventure status
+ */
+function getAdventureStatus(characterId) {
+    characterService.getCharacter(characterId);
+    const adventure = findAdventure(characterId);
+
+    if (!adventure || !adventure.active) {
+        return adventureModel.toStatus(null);
+    }
+
+    return adventureModel.toStatus(updateAdventure(characterId).adventure);
+}
+
+/**
+ * Get the latest progress of an active adventure
+ * @param {string} characterId - Character id
+ * @returns {Object} The adventure and character
+ */
+function getAdventureProgress(characterId) {
+    return updateAdventure(characterId);
+}
+
+/**
+ * Start an adventure
+ * @param {string} characterId - Character id
+ * @param {number} duration - Duration in days
+ * @returns {Object} The adventure record
+ */
+function startAdventure(characterId, duration) {
+    const character = characterService.getCharacter(characterId);
+
+    if (!adventureModel.DURATIONS.includes(duration)) {
+        throw new AppError('Invalid adventure duration');
+    }
+
+    if (!abilitiesService.isRotationValid(character)) {
+        throw new AppError('You need a valid rotation to go on an adventure');
+    }
+
+    const existing = findAdventure(characterId);
+    if (existing && existing.active) {
+        throw new AppError('You are already on an adventure');
+    }
+
+    const adventure = adventureModel.createAdventure(characterId, duration);
+    if (existing) {
+        adventure.id = existing.id;
+    }
+
+    characterService.restoreResources(character);
+    characterService.saveCharacter(character);
+
+    return saveAdventure(adventure);
+}
+
+/**
+ * Close an adventure and hand out its rewards
+ * @param {Object} adventure - The adventure (modified in place)
+ * @param {Object} character - The character (modified in place)
+ * @param {boolean} completed - Whether the adventure ran its full course
+ * @returns {Object} Adventure results
+ */
+function finishAdventure(adventure, character, completed) {
+    const rewardRate = adventure.defeated ? DEFEAT_REWARD_RATE : 1;
+    const gold = Math.floor(adventure.rewards.gold * rewardRate);
+    const experience = Math.floor(adventure.rewards.experience * rewardRate);
+    const items = adventure.defeated ? [] : adventure.rewards.items;
+
+    character.gold += gold;
+    items.forEach(item => inventoryService.addItem(character, item));
+    const levelInfo = progressionService.grantExperience(character, experience);
+    characterService.restoreResources(character);
+
+    adventure.active = false;
+
+    let summary;
+    if (adventure.defeated) {
+        summary = 'Your character was defeated and limped home, keeping only part of the rewards.';
+    } else if (completed) {
+        summary = `Your character returned from a ${adventure.duration}-day adventure after ${adventure.events.length} events.`;
+    } else {
+        summary = `Your character returned early after ${adventure.events.length} events.`;
+    }
+
+    return {
+        success: completed && !adventure.defeated,
+        gold,
+        experience,
+        items,
+        summary,
+        ...levelInfo
+    };
+}
+
+/**
+ * Complete a finished adventure
+ * @param {string} characterId - Character id
+ * @returns {Object} Adventure results and the updated character
+ */
+function completeAdventure(characterId) {
+    const { adventure, character } = updateAdventure(characterId);
+
+    if (adventureModel.getProgress(adventure) < 1) {
+        throw new AppError('Your adventure is not finished yet');
+    }
+
+    const results = finishAdventure(adventure, character, true);
+    saveAdventure(adventure);
+    characterService.saveCharacter(character);
+
+    return { results, character };
+}
+
+/**
+ * End an adventure before it finishes
+ * @param {string} characterId - Character id
+ * @returns {Object} Adventure results and the updated character
+ */
+function endAdventure(characterId) {
+    const { adventure, character } = updateAdventure(characterId);
+
+    const results = finishAdventure(adventure, character, false);
+    saveAdventure(adventure);
+    characterService.saveCharacter(character);
+
+    return { results, character };
+}
+
+/**
+ * Remove a character's adventure record
+ * @param {string} characterId - Character id
+ */
+function deleteAdventure(characterId) {
+    const adventure = findAdventure(characterId);
+
+    if (adventure) {
+        dataService.remove(ADVENTURES_COLLECTION, adventure.id);
+    }
+}
+
+module.exports = {
+    getAdventureStatus,
+    getAdventureProgress,
+    startAdventure,
+    completeAdventure,
+    endAdventure,
+    deleteAdventure
+};
@@ -0,0 +1,70 @@
+/**
+ * Auth Controller
+ * Registers the /api/auth routes used by the login view
+ */
+const authService = require('./auth-service');
+const authModel = require('./auth-model');
+
+// Private properties
+const cookieOptions = {
+    path: '/',
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: authModel.SESSION_TTL_MS / 1000
+};
+
+/**
+ * Start a session and attach its cookie to the reply
+ * @param {Object} reply - Fastify reply
+ * @param {Object} user - The public user data
+ */
+function startSession(reply, user) {
+    const session = authService.createSession(user.id);
+    reply.setCookie(authService.SESSION_COOKIE, session.token, cookieOptions);
+}
+
+/**
+ * Auth routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function authController(fastify) {
+    fastify.post('/auth/register', async (request, reply) => {
+        const { username, password } = request.body || {};
+        const user = authService.register(username, password);
+
+        startSession(reply, user);
+        return { success: true, user };
+    });
+
+    fastify.post('/auth/login', async (request, reply) => {
+        const { username, password } = request.body || {};
+        const user = authService.login(username, password);
+
+        // Never reuse a token that existed before login
+        const previous = request.cookies[authService.SESSION_COOKIE];
+        if (previous) {
+            authService.destroySession(previous);
+        }
+
+        startSession(reply, user);
+        return { success: true, user };
+    });
+
+    fastify.post('/auth/logout', async (request, reply) => {
+        const token = request.cookies[authService.SESSION_COOKIE];
+        if (token) {
+            authService.destroySession(token);
+        }
+
+        reply.clearCookie(authService.SESSION_COOKIE, { path: cookieOptions.path });
+        return { success: true };
+    });
+
+    fastify.get('/auth/status', async (request) => {
+        const { user } = request;
+        return { authenticated: Boolean(user), user };
+    });
+}
+
+module.exports = authController;
@@ -0,0 +1,112 @@
+/**
+ * Auth Model
+ * Defines user accounts, credential rules and login sessions
+ */
+const crypto = require('crypto');
+
+// Model constants
+const USERNAME_MIN_LENGTH = 3;
+const USERNAME_MAX_LENGTH = 20;
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const PASSWORD_MIN_LENGTH = 6;
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Check a username against the account rules
+ * @param {string} username - Desired username
+ * @returns {string|null} An error message, or null when valid
+ */
+function validateUsername(username) {
+    if (username.length < USERNAME_MIN_LENGTH) {
+        return `Username must be at least ${USERNAME_MIN_LENGTH} characters`;
+    }
+
+    if (username.length > USERNAME_MAX_LENGTH) {
+        return `Username must be at most ${USERNAME_MAX_LENGTH} characters`;
+    }
+
+    if (!USERNAME_PATTERN.test(username)) {
+        return 'Username may only contain letters, numbers, dashes and underscores';
+    }
+
+    return null;
+}
+
+/**
+ * Check a password against the account rules
+ * @param {string} password - Desired password
+ * @returns {string|null} An error message, or null when valid
+ */
+function validatePassword(password) {
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+    }
+
+    return null;
+}
+
+/**
+ * Create a user record
+ * @param {Object} params - User fields
+ * @param {string} params.username - Username
+ * @param {string} params.salt - Hex encoded password salt
+ * @param {string} params.passwordHash - Hex encoded password hash
+ * @returns {Object} The user record
+ */
+function createUser({ username, salt, passwordHash }) {
+    return {
+        id: crypto.randomUUID(),
+        username,
+        salt,
+        passwordHash,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Create a login session for a user
+ * @param {string} userId - The user id
+ * @returns {Object} The session record, keyed by its token
+ */
+function createSession(userId) {
+    const now = Date.now();
+
+    return {
+        token: crypto.randomBytes(32).toString('hex'),
+        userId,
+        createdAt: now,
+        expiresAt: now + SESSION_TTL_MS
+    };
+}
+
+/**
+ * Check whether a session has run out
+ * @param {Object} session - The session record
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} Whether the session is expired
+ */
+function isSessionExpired(session, now = Date.now()) {
+    return session.expiresAt <= now;
+}
+
+/**
+ * Strip private fields from a user record
+ * @param {Object} user - Stored user record
+ * @returns {Object} User data safe to send to the client
+ */
+function toPublicUser(user) {
+    return {
+        id: user.id,
+        username: user.username
+    };
+}
+
+module.exports = {
+    SESSION_TTL_MS,
+    validateUsername,
+    validatePassword,
+    createUser,
+    createSession,
+    isSessionExpired,
+    toPublicUser
+};
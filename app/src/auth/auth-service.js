@@ -0,0 +1,141 @@
+/**
+ * Auth Service
+ * Handles account registration, password verification and login sessions
+ * Sessions live in memory and are keyed by the token stored in the session cookie
+ */
+const crypto = require('crypto');
+const dataService = require('../shared/data-service');
+const AppError = require('../shared/app-error');
+const authModel = require('./auth-model');
+
+// Private properties
+const USERS_COLLECTION = 'users';
+const SESSION_COOKIE = 'sid';
+const SALT_BYTES = 16;
+const HASH_BYTES = 64;
+const sessions = new Map();
+
+/**
+ * Hash a password with the given salt
+ * @param {string} password - Plain text password
+ * @param {string} salt - Hex encoded salt
+ * @returns {string} Hex encoded hash
+ */
+function hashPassword(password, salt) {
+    return crypto.scryptSync(password, salt, HASH_BYTES).toString('hex');
+}
+
+/**
+ * Find a user by username (case insensitive)
+ * @param {string} username - Username to look up
+ * @returns {Object|null} The stored user record
+ */
+function findUserByUsername(username) {
+    const normalized = username.toLowerCase();
+    return dataService.getCollection(USERS_COLLECTION)
+        .find(user => user.username.toLowerCase() === normalized) || null;
+}
+
+/**
+ * Register a new account
+ * @param {string} username - Desired username
+ * @param {string} password - Plain text password
+ * @returns {Object} The public user data
+ */
+function register(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string' || !username.trim() || !password) {
+        throw new AppError('Please fill in all fields');
+    }
+
+    const trimmed = username.trim();
+    const error = authModel.validateUsername(trimmed) || authModel.validatePassword(password);
+    if (error) {
+        throw new AppError(error);
+    }
+
+    if (findUserByUsername(trimmed)) {
+        throw new AppError('Username is already taken', 409);
+    }
+
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const user = authModel.createUser({
+        username: trimmed,
+        salt,
+        passwordHash: hashPassword(password, salt)
+    });
+
+    dataService.upsert(USERS_COLLECTION, user);
+    return authModel.toPublicUser(user);
+}
+
+/**
+ * Verify credentials
+ * @param {string} username - Username
+ * @param {string} password - Plain text password
+ * @returns {Object} The public user data
+ */
+function login(username, password) {
+    const user = typeof username === 'string' ? findUserByUsername(username.trim()) : null;
+
+    if (!user || typeof password !== 'string') {
+        throw new AppError('Invalid username or password', 401);
+    }
+
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    const actual = Buffer.from(hashPassword(password, user.salt), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        throw new AppError('Invalid username or password', 401);
+    }
+
+    return authModel.toPublicUser(user);
+}
+
+/**
+ * Start a session for a user
+ * @param {string} userId - The user id
+ * @returns {Object} The session record
+ */
+function createSession(userId) {
+    const session = authModel.createSession(userId);
+    sessions.set(session.token, session);
+    return session;
+}
+
+/**
+ * End a session
+ * @param {string} token - The session token
+ */
+function destroySession(token) {
+    sessions.delete(token);
+}
+
+/**
+ * Resolve the user behind a session token
+ * @param {string} token - The session token
+ * @returns {Object|null} The public user data
+ */
+function getSessionUser(token) {
+    const session = token ? sessions.get(token) : null;
+
+    if (!session) {
+        return null;
+    }
+
+    if (authModel.isSessionExpired(session)) {
+        sessions.delete(token);
+        return null;
+    }
+
+    const user = dataService.findById(USERS_COLLECTION, session.userId);
+    return user ? authModel.toPublicUser(user) : null;
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    register,
+    login,
+    createSession,
+    destroySession,
+    getSessionUser
+};
@@ -0,0 +1,53 @@
+/**
+ * Battle Controller
+ * Registers the /api/battle routes for PvP history and matchmaking
+ */
+const battleService = require('./battle-service');
+const matchmakingService = require('./matchmaking-service');
+const characterService = require('../character/character-service');
+
+/**
+ * Battle routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function battleController(fastify) {
+    fastify.get('/battle/history/:characterId', async (request) => {
+        return { success: true, battles: battleService.getBattleHistory(request.params.characterId) };
+    });
+
+    fastify.get('/battle/queue/status/:characterId', async (request) => {
+        const status = matchmakingService.getQueueStatus(request.params.characterId);
+        return { success: true, ...status };
+    });
+
+    fastify.post('/battle/queue/join', async (request) => {
+        const { characterId, mode } = request.body || {};
+        const entry = matchmakingService.joinQueue(characterId, mode);
+
+        return { success: true, mode: entry.mode, queueStartTime: entry.queueStartTime };
+    });
+
+    fastify.post('/battle/queue/leave', async (request) => {
+        const { characterId } = request.body || {};
+        matchmakingService.leaveQueue(characterId);
+
+        return { success: true };
+    });
+
+    fastify.get('/battle/:battleId', async (request) => {
+        const battle = battleService.getBattle(request.params.battleId);
+
+        // Report rewards from the point of view of the user's participating character
+        const ownIds = characterService.getCharactersForUser(request.user.id).map(character => character.id);
+        const viewer = battle.characters.find(c => ownIds.includes(c.id));
+
+        return { success: true, battle: battleService.toClientBattle(battle, viewer ? viewer.id : null) };
+    });
+
+    fastify.get('/battle/:battleId/replay', async (request) => {
+        const battle = battleService.getBattle(request.params.battleId);
+        return { success: true, replay: battleService.verifyReplay(battle) };
+    });
+}
+
+module.exports = battleController;
@@ -0,0 +1,99 @@
+/**
+ * Battle Model
+ * Defines stored battle records and the log entries they contain
+ */
+const crypto = require('crypto');
+const effectsModel = require('../effects/effects-model');
+
+// Model constants
+const BATTLE_MODES = ['pvp', 'challenge', 'adventure'];
+
+/**
+ * Create a snapshot of a combatant for the battle record
+ * @param {Object} combatant - Combatant at the start of the battle
+ * @returns {Object} Character snapshot
+ */
+function createCharacterSnapshot(combatant) {
+    return {
+        id: combatant.id,
+        name: combatant.name,
+        level: combatant.level,
+        health: combatant.health,
+        maxHealth: combatant.stats.maxHealth,
+        mana: combatant.mana,
+        maxMana: combatant.stats.maxMana
+    };
+}
+
+/**
+ * Copy everything about a character that a battle depends on, so it can be replayed later
+ * Only consumables are kept from the inventory, since nothing else is used in combat
+ * @param {Object} character - Stored character or generated opponent
+ * @returns {Object} Replay snapshot
+ */
+function createReplaySnapshot(character) {
+    const { userId, ...data } = JSON.parse(JSON.stringify(character));
+    data.inventory = (data.inventory || []).filter(item => item.type === 'consumable');
+
+    return data;
+}
+
+/**
+ * Create a log entry
+ * @param {Object} options - Entry fields
+ * @returns {Object} Log entry
+ */
+function createLogEntry({ time, actor = null, target = null, type, message, targetState = false }) {
+    const entry = {
+        timestamp: new Date(time).toISOString(),
+        characterId: actor ? actor.id : null,
+        targetId: target ? target.id : null,
+        type,
+        message
+    };
+
+    if (actor) {
+        entry.health = actor.health;
+        entry.mana = actor.mana;
+        entry.effects = (actor.effects || []).map(effectsModel.toLogEffect);
+    }
+
+    // Damage entries also carry the target's resulting state
+    if (target && targetState) {
+        entry.targetHealth = target.health;
+        entry.targetMana = target.mana;
+        entry.targetEffects = (target.effects || []).map(effectsModel.toLogEffect);
+    }
+
+    return entry;
+}
+
+/**
+ * Create a battle record
+ * The seed, start time and replay snapshots are enough to simulate the battle again
+ * @param {Object} options - Battle fields; id is only given when it was handed out before the battle ended
+ * @returns {Object} Battle record
+ */
+function createBattle({ id = crypto.randomUUID(), mode, ranked = false, characters, log, winner, rewards = {}, seed = null, startTime = Date.now(), snapshots = [] }) {
+    return {
+        id,
+        mode,
+        ranked,
+        date: new Date().toISOString(),
+        startedAt: new Date(startTime).toISOString(),
+        seed,
+        characters,
+        snapshots,
+        log,
+        winner,
+        rewards
+    };
+}
+
+module.exports = {
+    BATTLE_MODES,
+    createCharacterSnapshot,
+    createReplaySnapshot,
+    createLogEntry,
+    createBattle
+};
@@ -0,0 +1,690 @@
+/**
+ * Battle Service
+ * Simulates combat between two characters and stores battle records
+ * Battles run on a simulated clock: each combatant acts whenever their attack speed allows,
+ * effects tick every second, and every random roll comes from a seeded generator, so a battle
+ * can be reproduced exactly from its seed, start time and the two character snapshots
+ */
+const crypto = require('crypto');
+const dataService = require('../shared/data-service');
+const AppError = require('../shared/app-error');
+const random = require('../shared/random');
+const battleModel = require('./battle-model');
+const ratingService = require('./rating-service');
+const characterService = require('../character/character-service');
+const abilitiesService = require('../abilities/abilities-service');
+const itemsService = require('../items/items-service');
+const consumablesService = require('../inventory/consumables-service');
+const progressionService = require('../character/progression-service');
+const effectsService = require('../effects/effects-service');
+const effectsModel = require('../effects/effects-model');
+const setService = require('../equipment/set-service');
+
+// Private properties
+const BATTLES_COLLECTION = 'battles';
+const TICK_INTERVAL_MS = 1000;
+const MAX_BATTLE_MS = 180000;
+const CRIT_MULTIPLIER = 1.5;
+const BLOCK_MULTIPLIER = 0.5;
+const PVP_WIN_EXPERIENCE = 50;
+const PVP_LOSS_EXPERIENCE = 20;
+const PVP_EXPERIENCE_PER_LEVEL = 5;
+
+/**
+ * Build a combatant from a character
+ * @param {Object} character - Stored character, generated opponent or replay snapshot
+ * @returns {Object} Combatant state
+ */
+function createCombatant(character) {
+    const snapshot = battleModel.createReplaySnapshot(character);
+    const stats = characterService.getDerivedStats(snapshot);
+    const health = character.health === null || character.health === undefined ?
+        stats.maxHealth : Math.min(character.health, stats.maxHealth);
+    const mana = character.mana === null || character.mana === undefined ?
+        stats.maxMana : Math.min(character.mana, stats.maxMana);
+
+    return {
+        id: character.id,
+        name: character.name,
+        level: character.level,
+        snapshot,
+        stats,
+        // Derived stats for each combination of active effects seen so far
+        statCache: { '': stats },
+        health,
+        mana,
+        rotation: abilitiesService.resolveRotation(character),
+        basicAttackType: character.basicAttackType || 'physical',
+        cooldowns: {},
+        // Set effects that tick (damage or healing over time) run for the whole battle
+        effects: setService.getSetModifiers(snapshot).effects
+            .filter(effect => effect.tick)
+            .map(effect => effectsModel.createLastingEffect(effect, character.id)),
+        nextActionAt: 0,
+        consumableRules: character.consumableRules || [],
+        consumables: consumablesService.countConsumables(character),
+        // Consumables used during the battle, removed from the inventory afterwards
+        consumablesUsed: {}
+    };
+}
+
+/**
+ * Remove the consumables a combatant used from the character it was built from
+ * @param {Object} character - The character (modified in place)
+ * @param {Object} combatant - The combatant after the battle
+ */
+function consumeUsedItems(character, combatant) {
+    consumablesService.removeConsumables(character, combatant.consumablesUsed);
+}
+
+/**
+ * Recalculate a combatant's stats after their active effects change
+ * @param {Object} combatant - Combatant (modified in place)
+ */
+function refreshStats(combatant) {
+    // Only effects with modifiers change stats; damage and healing over time do not
+    const modifying = combatant.effects.filter(effect => Object.keys(effect.modifiers).length > 0);
+    const key = modifying.map(effect => effect.id).sort().join(',');
+
+    if (!combatant.statCache[key]) {
+        combatant.statCache[key] = characterService.getDerivedStats(combatant.snapshot, modifying);
+    }
+
+    combatant.stats = combatant.statCache[key];
+    combatant.health = Math.min(combatant.health, combatant.stats.maxHealth);
+    combatant.mana = Math.min(combatant.mana, combatant.stats.maxMana);
+}
+
+/**
+ * Get the time a combatant needs between actions
+ * @param {Object} combatant - Combatant
+ * @returns {number} Delay in ms
+ */
+function getActionDelay(combatant) {
+    return Math.round(combatant.stats.attackSpeed * 1000);
+}
+
+/**
+ * Apply an effect to a combatant, refreshing its duration if it is already active
+ * @param {Object} target - Combatant receiving the effect
+ * @param {string} effectId - Effect id
+ * @param {string} sourceId - Id of the combatant applying it
+ * @returns {Object} The effect definition
+ */
+function applyEffect(target, effectId, sourceId) {
+    const effect = effectsService.getEffect(effectId);
+    // A lasting set effect is never refreshed into a timed one; the applied effect stacks with it
+    const active = target.effects.find(candidate => candidate.id === effectId && !candidate.lasting);
+
+    if (active) {
+        active.remaining = effect.duration;
+        active.sourceId = sourceId;
+    } else {
+        target.effects.push(effectsModel.createActiveEffect(effect, sourceId));
+        refreshStats(target);
+    }
+
+    return effect;
+}
+
+/**
+ * Tick a combatant's active effects once, applying damage and healing and expiring them
+ * @param {Object} combatant - Combatant (modified in place)
+ * @param {number} time - Timestamp of the tick in ms
+ * @returns {Array} Log entries
+ */
+function tickEffects(combatant, time) {
+    const entries = [];
+
+    combatant.effects.forEach(effect => {
+        if (combatant.health <= 0 || !effect.tick) {
+            return;
+        }
+
+        if (effect.tick.damage) {
+            const damage = applyReduction(combatant, effect.tick.damageType || 'physical', effect.tick.damage);
+            combatant.health = Math.max(0, combatant.health - damage);
+            entries.push(battleModel.createLogEntry({
+                time, actor: combatant, target: combatant, type: 'damage',
+                message: `${combatant.name} takes ${damage} damage from ${effect.name}`
+            }));
+        }
+
+        if (effect.tick.heal) {
+            const health = Math.min(combatant.stats.maxHealth, combatant.health + effect.tick.heal);
+            const amount = health - combatant.health;
+            combatant.health = health;
+            entries.push(battleModel.createLogEntry({
+                time, actor: combatant, target: combatant, type: 'heal',
+                message: `${combatant.name} recovers ${amount} health from ${effect.name}`
+            }));
+        }
+    });
+
+    combatant.effects.forEach(effect => {
+        effect.remaining--;
+    });
+
+    const expired = combatant.effects.filter(effect => effect.remaining <= 0);
+    if (expired.length > 0 && combatant.health > 0) {
+        combatant.effects = combatant.effects.filter(effect => effect.remaining > 0);
+        refreshStats(combatant);
+        entries.push(battleModel.createLogEntry({
+            time, actor: combatant, type: 'system',
+            message: `${expired.map(effect => effect.name).join(', ')} wore off ${combatant.name}`
+        }));
+    }
+
+    return entries;
+}
+
+/**
+ * Roll damage of a type for an attacker
+ * @param {Object} attacker - Attacking combatant
+ * @param {string} damageType - 'physical' or 'magic'
+ * @param {number} multiplier - Damage multiplier
+ * @param {Function} rng - Seeded random number generator
+ * @returns {number} Damage before reductions
+ */
+function rollDamage(attacker, damageType, multiplier, rng) {
+    const min = damageType === 'magic' ? attacker.stats.minMagicDamage : attacker.stats.minPhysicalDamage;
+    const max = damageType === 'magic' ? attacker.stats.maxMagicDamage : attacker.stats.maxPhysicalDamage;
+    const roll = min + rng() * (max - min);
+
+    return Math.max(1, Math.round(roll * multiplier));
+}
+
+/**
+ * Apply damage reductions to a hit
+ * @param {Object} target - Target combatant
+ * @param {string} damageType - 'physical' or 'magic'
+ * @param {number} damage - Damage before reductions
+ * @returns {number} Damage dealt
+ */
+function applyReduction(target, damageType, damage) {
+    const reduction = damageType === 'magic' ?
+        target.stats.magicDamageReduction : target.stats.physicalDamageReduction;
+
+    return Math.max(1, Math.round(damage * (1 - reduction / 100)));
+}
+
+/**
+ * Resolve an attack: accuracy, then dodge, then critical hits, blocks and reductions
+ * Only physical attacks can be blocked
+ * @param {Object} attacker - Attacking combatant
+ * @param {Object} target - Target combatant (health is reduced in place)
+ * @param {string} damageType - 'physical' or 'magic'
+ * @param {number} multiplier - Damage multiplier
+ * @param {Function} rng - Seeded random number generator
+ * @returns {Object} { hit, missed, dodged, critical, blocked, damage }
+ */
+function resolveAttack(attacker, target, damageType, multiplier, rng) {
+    if (rng() * 100 >= attacker.stats.accuracy) {
+        return { hit: false, missed: true, damage: 0 };
+    }
+
+    if (rng() * 100 < target.stats.dodgeChance) {
+        return { hit: false, dodged: true, damage: 0 };
+    }
+
+    let damage = rollDamage(attacker, damageType, multiplier, rng);
+
+    const critChance = damageType === 'magic' ? attacker.stats.spellCritChance : attacker.stats.critChance;
+    const critical = rng() * 100 < critChance;
+    if (critical) {
+        damage = Math.round(damage * CRIT_MULTIPLIER);
+    }
+
+    const blocked = damageType === 'physical' && rng() * 100 < target.stats.blockChance;
+    if (blocked) {
+        damage = Math.round(damage * BLOCK_MULTIPLIER);
+    }
+
+    damage = applyReduction(target, damageType, damage);
+    target.health = Math.max(0, target.health - damage);
+
+    return { hit: true, critical, blocked, damage };
+}
+
+/**
+ * Describe the outcome of an attack for the log
+ * @param {Object} result - Result of resolveAttack
+ * @param {Object} target - Target combatant
+ * @returns {string} Text such as "for 12 damage (critical)"
+ */
+function describeAttack(result, target) {
+    if (result.missed) {
+        return 'but misses';
+    }
+
+    if (result.dodged) {
+        return `but ${target.name} dodges`;
+    }
+
+    const notes = [result.critical ? 'critical' : null, result.blocked ? 'blocked' : null].filter(Boolean);
+    return `for ${result.damage} damage${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+}
+
+/**
+ * Pick the first rotation ability that is off cooldown and affordable
+ * @param {Object} actor - Acting combatant
+ * @param {number} elapsed - Battle time in ms
+ * @returns {Object|null} The chosen ability
+ */
+function chooseAbility(actor, elapsed) {
+    return actor.rotation.find(ability =>
+        (actor.cooldowns[ability.id] || 0) <= elapsed && actor.mana >= (ability.manaCost || 0)
+    ) || null;
+}
+
+/**
+ * Use the first consumable whose rule fires, if any
+ * Using a consumable takes the combatant's action
+ * @param {Object} actor - Acting combatant
+ * @param {Object} target - Opposing combatant
+ * @param {number} time - Timestamp of the action in ms
+ * @returns {Object|null} Log entry, or null when no rule fired
+ */
+function useConsumable(actor, target, time) {
+    const rule = actor.consumableRules.find(candidate =>
+        (actor.consumables[candidate.itemId] || 0) > 0 &&
+        consumablesService.isRuleTriggered(candidate, actor, target)
+    );
+
+    if (!rule) {
+        return null;
+    }
+
+    const template = itemsService.getItemTemplate(rule.itemId);
+    const result = consumablesService.applyConsumable(template, actor, target);
+
+    actor.consumables[rule.itemId]--;
+    actor.consumablesUsed[rule.itemId] = (actor.consumablesUsed[rule.itemId] || 0) + 1;
+
+    if (result.type === 'damage') {
+        return battleModel.createLogEntry({
+            time, actor, target, type: 'damage', targetState: true,
+            message: `${actor.name} reads a ${template.name} at ${target.name}, ${consumablesService.describeResult(template, result)}`
+        });
+    }
+
+    return battleModel.createLogEntry({
+        time, actor, target: actor, type: 'heal',
+        message: `${actor.name} uses a ${template.name}, ${consumablesService.describeResult(template, result)}`
+    });
+}
+
+/**
+ * Use an ability from the rotation, spending its mana and starting its cooldown
+ * Damaging abilities only apply their effect when they hit
+ * @param {Object} actor - Acting combatant
+ * @param {Object} target - Opposing combatant
+ * @param {Object} ability - The ability
+ * @param {number} elapsed - Battle time in ms
+ * @param {number} time - Timestamp of the action in ms
+ * @param {Function} rng - Seeded random number generator
+ * @returns {Object} Log entry
+ */
+function useAbility(actor, target, ability, elapsed, time, rng) {
+    actor.mana -= ability.manaCost || 0;
+    actor.cooldowns[ability.id] = elapsed + ability.cooldown * 1000;
+
+    const effectTarget = ability.effectTarget === 'self' ? actor : target;
+
+    if (ability.type === 'heal') {
+        const amount = rollDamage(actor, 'magic', ability.healMultiplier || 1, rng);
+        const health = Math.min(actor.stats.maxHealth, actor.health + amount);
+        const healed = health - actor.health;
+        actor.health = health;
+
+        return battleModel.createLogEntry({
+            time, actor, target: actor, type: 'heal',
+            message: `${actor.name} casts ${ability.name} and heals for ${healed}`
+        });
+    }
+
+    if (ability.damageMultiplier) {
+        const damageType = ability.damageType || (ability.type === 'magic' ? 'magic' : 'physical');
+        const result = resolveAttack(actor, target, damageType, ability.damageMultiplier, rng);
+        const effect = result.hit && ability.effect ? applyEffect(effectTarget, ability.effect, actor.id) : null;
+
+        return battleModel.createLogEntry({
+            time, actor, target, type: 'damage', targetState: true,
+            message: `${actor.name} uses ${ability.name} on ${target.name} ${describeAttack(result, target)}` +
+                (effect ? `, applying ${effect.name}` : '')
+        });
+    }
+
+    // Abilities without damage exist to apply their effect
+    const effect = ability.effect ? applyEffect(effectTarget, ability.effect, actor.id) : null;
+
+    return battleModel.createLogEntry({
+        time, actor, target: effectTarget, type: effectTarget === actor ? 'heal' : 'damage', targetState: true,
+        message: effect ?
+            `${actor.name} casts ${ability.name}, applying ${effect.name} to ${effectTarget === actor ? 'themselves' : target.name}` :
+            `${actor.name} casts ${ability.name}`
+    });
+}
+
+/**
+ * Perform a single action for a combatant
+ * @param {Object} actor - Acting combatant
+ * @param {Object} target - Opposing combatant
+ * @param {number} elapsed - Battle time in ms
+ * @param {number} time - Timestamp of the action in ms
+ * @param {Function} rng - Seeded random number generator
+ * @returns {Object} Log entry describing the action
+ */
+function performAction(actor, target, elapsed, time, rng) {
+    const consumableEntry = useConsumable(actor, target, time);
+    if (consumableEntry) {
+        return consumableEntry;
+    }
+
+    const ability = chooseAbility(actor, elapsed);
+    if (ability) {
+        return useAbility(actor, target, ability, elapsed, time, rng);
+    }
+
+    const result = resolveAttack(actor, target, actor.basicAttackType, 1, rng);
+
+    return battleModel.createLogEntry({
+        time, actor, target, type: 'damage', targetState: true,
+        message: `${actor.name} attacks ${target.name} ${describeAttack(result, target)}`
+    });
+}
+
+/**
+ * Run a battle between two combatants one log entry at a time
+ * The combatant whose next action comes first acts, with ties going to the first combatant;
+ * effect ticks happen before actions due at the same moment. Nothing is simulated until the
+ * next entry is asked for, so a live battle can advance at the pace of its timestamps
+ * @param {Object} first - First combatant (wins ties)
+ * @param {Object} second - Second combatant
+ * @param {Object} [options] - Simulation options
+ * @param {number|string} [options.seed] - Random seed; a new one is created when omitted
+ * @param {number} [options.startTime] - Start timestamp in ms; defaults to now
+ * @returns {Generator} Yields log entries and returns { winner, seed, startTime, snapshots }
+ */
+function* runBattle(first, second, options = {}) {
+    const seed = options.seed === undefined || options.seed === null ? random.createSeed() : options.seed;
+    const startTime = options.startTime === undefined ? Date.now() : options.startTime;
+    const rng = random.createRandom(seed);
+    const snapshots = [first.snapshot, second.snapshot];
+
+    yield battleModel.createLogEntry({
+        time: startTime,
+        type: 'system',
+        message: `${first.name} vs ${second.name} - the battle begins!`
+    });
+
+    first.nextActionAt = getActionDelay(first);
+    second.nextActionAt = getActionDelay(second);
+
+    let elapsed = 0;
+    let nextTickAt = TICK_INTERVAL_MS;
+
+    while (first.health > 0 && second.health > 0 && elapsed < MAX_BATTLE_MS) {
+        const nextActionAt = Math.min(first.nextActionAt, second.nextActionAt);
+
+        if (nextTickAt <= nextActionAt) {
+            elapsed = nextTickAt;
+            yield* tickEffects(first, startTime + elapsed);
+            yield* tickEffects(second, startTime + elapsed);
+            nextTickAt += TICK_INTERVAL_MS;
+            continue;
+        }
+
+        elapsed = nextActionAt;
+        const actor = first.nextActionAt <= second.nextActionAt ? first : second;
+        const target = actor === first ? second : first;
+
+        yield performAction(actor, target, elapsed, startTime + elapsed, rng);
+        actor.nextActionAt = elapsed + getActionDelay(actor);
+    }
+
+    // A battle that runs out of time goes to whoever has the most health left
+    const winner = second.health <= 0 || (first.health > 0 && first.health >= second.health) ? first : second;
+    const loser = winner === first ? second : first;
+
+    yield battleModel.createLogEntry({
+        time: startTime + elapsed,
+        type: 'system',
+        message: `${loser.name} has been defeated. ${winner.name} wins!`
+    });
+
+    return { winner: winner.id, seed, startTime, snapshots };
+}
+
+/**
+ * Simulate a whole battle between two combatants at once
+ * @param {Object} first - First combatant (wins ties)
+ * @param {Object} second - Second combatant
+ * @param {Object} [options] - Simulation options, as for runBattle
+ * @returns {Object} { log, winner, seed, startTime, snapshots }
+ */
+function simulateBattle(first, second, options = {}) {
+    const battle = runBattle(first, second, options);
+    const log = [];
+    let step = battle.next();
+
+    while (!step.done) {
+        log.push(step.value);
+        step = battle.next();
+    }
+
+    return { log, ...step.value };
+}
+
+/**
+ * Simulate a stored battle again from its seed, start time and snapshots
+ * @param {Object} battle - Battle record
+ * @returns {Object} Result of simulateBattle, which matches the stored log
+ */
+function replayBattle(battle) {
+    if (battle.seed === null || battle.seed === undefined || !battle.snapshots || battle.snapshots.length !== 2) {
+        throw new AppError('This battle cannot be replayed');
+    }
+
+    const [first, second] = battle.snapshots.map(createCombatant);
+    return simulateBattle(first, second, { seed: battle.seed, startTime: Date.parse(battle.startedAt) });
+}
+
+/**
+ * Check that a stored battle replays exactly from its seed
+ * @param {Object} battle - Battle record
+ * @returns {Object} { log, winner, matches } where matches is true when the replay agrees with the record
+ */
+function verifyReplay(battle) {
+    const replay = replayBattle(battle);
+
+    return {
+        log: replay.log,
+        winner: replay.winner,
+        matches: replay.winner === battle.winner && JSON.stringify(replay.log) === JSON.stringify(battle.log)
+    };
+}
+
+/**
+ * Store a battle record
+ * @param {Object} battle - Battle record
+ * @returns {Object} The saved battle
+ */
+function saveBattle(battle) {
+    return dataService.upsert(BATTLES_COLLECTION, battle);
+}
+
+/**
+ * Simulate a whole battle and store it with its seed and snapshots, so it can be replayed later
+ * @param {string} mode - Battle mode
+ * @param {Object} first - First combatant (wins ties)
+ * @param {Object} second - Second combatant
+ * @returns {Object} The saved battle record
+ */
+function recordBattle(mode, first, second) {
+    const characters = [first, second].map(battleModel.createCharacterSnapshot);
+    const result = simulateBattle(first, second);
+
+    return saveBattle(battleModel.createBattle({
+        mode,
+        characters,
+        log: result.log,
+        winner: result.winner,
+        seed: result.seed,
+        startTime: result.startTime,
+        snapshots: result.snapshots
+    }));
+}
+
+/**
+ * Get a battle record
+ * @param {string} battleId - Battle id
+ * @returns {Object} The battle record
+ */
+function getBattle(battleId) {
+    const battle = dataService.findById(BATTLES_COLLECTION, battleId);
+
+    if (!battle) {
+        throw new AppError('Battle not found', 404);
+    }
+
+    return battle;
+}
+
+/**
+ * Format a battle for a participating character
+ * @param {Object} battle - Battle record
+ * @param {string} characterId - Viewing character id
+ * @returns {Object} Battle data for the client
+ */
+function toClientBattle(battle, characterId) {
+    const rewards = battle.rewards[characterId] || {};
+    return {
+        ...battle,
+        experienceGained: rewards.experience || 0,
+        levelUp: Boolean(rewards.levelUp),
+        pointsGained: rewards.pointsGained || 0,
+        rating: rewards.rating ? rewards.rating.after : null,
+        ratingChange: rewards.rating ? rewards.rating.change : 0
+    };
+}
+
+/**
+ * Get a character's PvP battle history, newest first
+ * @param {string} characterId - Character id
+ * @returns {Array} Battle summaries
+ */
+function getBattleHistory(characterId) {
+    return dataService.getCollection(BATTLES_COLLECTION)
+        .filter(battle => battle.mode === 'pvp' && battle.characters.some(c => c.id === characterId))
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .map(battle => {
+            const opponent = battle.characters.find(c => c.id !== characterId);
+            const rewards = battle.rewards[characterId] || {};
+            return {
+                id: battle.id,
+                date: battle.date,
+                winner: battle.winner,
+                opponentName: opponent ? opponent.name : 'Unknown',
+                experienceGained: rewards.experience || 0,
+                ratingChange: rewards.rating ? rewards.rating.change : 0
+            };
+        });
+}
+
+/**
+ * Grant PvP experience to both participants of a finished battle
+ * Each reward is recorded on the battle alongside its level-up result
+ * @param {Object} battle - Battle record (rewards are added in place)
+ * @returns {Object} Rewards keyed by character id
+ */
+function grantBattleRewards(battle) {
+    battle.characters.forEach(snapshot => {
+        const character = characterService.getCharacter(snapshot.id);
+        const won = battle.winner === character.id;
+        const experience = (won ? PVP_WIN_EXPERIENCE : PVP_LOSS_EXPERIENCE) +
+            snapshot.level * PVP_EXPERIENCE_PER_LEVEL;
+
+        const levelInfo = progressionService.grantExperience(character, experience);
+        characterService.saveCharacter(character);
+
+        battle.rewards[character.id] = { experience, ...levelInfo };
+    });
+
+    return battle.rewards;
+}
+
+/**
+ * Start a PvP battle between two characters
+ * Both start at full health and mana. The battle runs as it is read from the returned engine,
+ * and is stored with finishPvpBattle once the engine is done
+ * @param {string} firstId - First character id (wins ties)
+ * @param {string} secondId - Second character id
+ * @param {boolean} [ranked] - Whether the battle counts towards ratings
+ * @returns {Object} { id, ranked, characters, startTime, combatants, engine }
+ */
+function startPvpBattle(firstId, secondId, ranked = false) {
+    const combatants = [firstId, secondId].map(characterId =>
+        createCombatant({ ...characterService.getCharacter(characterId), health: null, mana: null }));
+    const startTime = Date.now();
+
+    return {
+        id: crypto.randomUUID(),
+        ranked,
+        characters: combatants.map(battleModel.createCharacterSnapshot),
+        startTime,
+        combatants,
+        engine: runBattle(combatants[0], combatants[1], { startTime })
+    };
+}
+
+/**
+ * Store a finished PvP battle
+ * Consumables the combatants used are spent, both earn experience and in ranked battles both ratings are updated
+ * @param {Object} pvpBattle - The battle from startPvpBattle
+ * @param {Array} log - Every log entry the engine produced
+ * @param {Object} result - The engine's return value
+ * @returns {Object} The saved battle record
+ */
+function finishPvpBattle(pvpBattle, log, result) {
+    pvpBattle.combatants.forEach(combatant => {
+        const character = characterService.getCharacter(combatant.id);
+        consumeUsedItems(character, combatant);
+        characterService.saveCharacter(character);
+    });
+
+    const battle = battleModel.createBattle({
+        id: pvpBattle.id,
+        mode: 'pvp',
+        ranked: pvpBattle.ranked,
+        characters: pvpBattle.characters,
+        log,
+        winner: result.winner,
+        seed: result.seed,
+        startTime: result.startTime,
+        snapshots: result.snapshots
+    });
+    grantBattleRewards(battle);
+    if (battle.ranked) {
+        ratingService.updateRatings(battle);
+    }
+
+    return saveBattle(battle);
+}
+
+module.exports = {
+    createCombatant,
+    consumeUsedItems,
+    runBattle,
+    simulateBattle,
+    replayBattle,
+    verifyReplay,
+    saveBattle,
+    recordBattle,
+    getBattle,
+    toClientBattle,
+    getBattleHistory,
+    grantBattleRewards,
+    startPvpBattle,
+    finishPvpBattle
+};
@@ -0,0 +1,68 @@
+/**
+ * Battle Socket Service
+ * Tracks the open battle sockets of each character and sends them messages
+ */
+
+// Private properties
+const connections = new Map();
+
+/**
+ * Register a character's battle socket
+ * @param {string} characterId - Character id
+ * @param {Object} socket - WebSocket
+ */
+function addConnection(characterId, socket) {
+    if (!connections.has(characterId)) {
+        connections.set(characterId, new Set());
+    }
+
+    connections.get(characterId).add(socket);
+}
+
+/**
+ * Forget a closed battle socket
+ * @param {string} characterId - Character id
+ * @param {Object} socket - WebSocket
+ * @returns {boolean} True when it was the character's last open socket
+ */
+function removeConnection(characterId, socket) {
+    const sockets = connections.get(characterId);
+    if (!sockets) {
+        return false;
+    }
+
+    sockets.delete(socket);
+    if (sockets.size > 0) {
+        return false;
+    }
+
+    connections.delete(characterId);
+    return true;
+}
+
+/**
+ * Check whether a character has a battle socket open
+ * @param {string} characterId - Character id
+ * @returns {boolean} True when at least one socket is open
+ */
+function isConnected(characterId) {
+    return connections.has(characterId);
+}
+
+/**
+ * Send a message to every open socket of a character
+ * @param {string} characterId - Character id
+ * @param {Object} message - Message, sent as JSON
+ */
+function send(characterId, message) {
+    (connections.get(characterId) || new Set()).forEach(socket => {
+        socket.send(JSON.stringify(message));
+    });
+}
+
+module.exports = {
+    addConnection,
+    removeConnection,
+    isConnected,
+    send
+};
@@ -0,0 +1,155 @@
+/**
+ * Live Battle Service
+ * Runs PvP battles in real time and streams their log to both players' battle sockets
+ * The engine is only asked for its next entry once the previous one is due, and each entry is
+ * sent when the clock reaches its timestamp; the battle is stored when the engine finishes.
+ * A player who reconnects mid-battle is sent everything that has happened so far
+ */
+const battleService = require('./battle-service');
+const battleSocketService = require('./battle-socket-service');
+
+// Private properties
+const liveBattles = new Map();
+
+/**
+ * Send a message to both players of a live battle
+ * @param {Object} live - Live battle
+ * @param {Object} message - Message
+ */
+function broadcast(live, message) {
+    live.battle.characters.forEach(snapshot => {
+        battleSocketService.send(snapshot.id, message);
+    });
+}
+
+/**
+ * Build the message that brings a player up to date with a live battle
+ * @param {Object} live - Live battle
+ * @returns {Object} battle_start message with the battle and every entry sent so far
+ */
+function createStartMessage(live) {
+    return {
+        type: 'battle_start',
+        battle: {
+            id: live.battle.id,
+            mode: 'pvp',
+            ranked: live.battle.ranked,
+            characters: live.battle.characters,
+            startedAt: new Date(live.battle.startTime).toISOString()
+        },
+        events: live.log
+    };
+}
+
+/**
+ * Drop a live battle that failed and tell both players
+ * @param {Object} live - Live battle
+ * @param {Error} error - What went wrong
+ */
+function abortLiveBattle(live, error) {
+    liveBattles.delete(live.battle.id);
+    console.error('Error running live battle:', error);
+    broadcast(live, { type: 'battle_error', battleId: live.battle.id, message: 'The battle could not be completed' });
+}
+
+/**
+ * Store a battle whose engine has finished and tell both players
+ * @param {Object} live - Live battle
+ * @param {Object} result - The engine's return value
+ */
+function finishLiveBattle(live, result) {
+    try {
+        battleService.finishPvpBattle(live.battle, live.log, result);
+    } catch (error) {
+        abortLiveBattle(live, error);
+        return;
+    }
+
+    liveBattles.delete(live.battle.id);
+    broadcast(live, { type: 'battle_end', battleId: live.battle.id });
+}
+
+/**
+ * Send every entry that is due, then wait for the next one
+ * @param {Object} live - Live battle
+ */
+function advance(live) {
+    const now = Date.now();
+
+    try {
+        while (!live.next.done && Date.parse(live.next.value.timestamp) <= now) {
+            live.log.push(live.next.value);
+            broadcast(live, {
+                type: 'battle_event',
+                battleId: live.battle.id,
+                index: live.log.length - 1,
+                entry: live.next.value
+            });
+            live.next = live.battle.engine.next();
+        }
+    } catch (error) {
+        abortLiveBattle(live, error);
+        return;
+    }
+
+    if (live.next.done) {
+        finishLiveBattle(live, live.next.value);
+        return;
+    }
+
+    setTimeout(() => advance(live), Date.parse(live.next.value.timestamp) - now);
+}
+
+/**
+ * Start a live PvP battle and begin streaming it
+ * @param {string} firstId - First character id
+ * @param {string} secondId - Second character id
+ * @param {boolean} [ranked] - Whether the battle came from the ranked queue
+ * @returns {string} Battle id
+ */
+function startLiveBattle(firstId, secondId, ranked = false) {
+    const battle = battleService.startPvpBattle(firstId, secondId, ranked);
+    const live = { battle, log: [], next: battle.engine.next() };
+
+    liveBattles.set(battle.id, live);
+    broadcast(live, { type: 'match_found', battleId: battle.id });
+    broadcast(live, createStartMessage(live));
+    advance(live);
+
+    return battle.id;
+}
+
+/**
+ * Find the live battle a character is fighting
+ * @param {string} characterId - Character id
+ * @returns {Object|null} Live battle
+ */
+function findLiveBattle(characterId) {
+    return [...liveBattles.values()]
+        .find(live => live.battle.characters.some(snapshot => snapshot.id === characterId)) || null;
+}
+
+/**
+ * Check whether a character is in a live battle
+ * @param {string} characterId - Character id
+ * @returns {boolean} True while their battle is running
+ */
+function isInBattle(characterId) {
+    return Boolean(findLiveBattle(characterId));
+}
+
+/**
+ * Get the message that lets a reconnecting player resume their live battle
+ * @param {string} characterId - Character id
+ * @returns {Object|null} battle_start message, or null when they are not in a battle
+ */
+function getResumeMessage(characterId) {
+    const live = findLiveBattle(characterId);
+    return live ? createStartMessage(live) : null;
+}
+
+module.exports = {
+    startLiveBattle,
+    isInBattle,
+    getResumeMessage
+};
@@ -0,0 +1,193 @@
+/**
+ * Matchmaking Service
+ * Keeps the PvP queue and pairs queued characters of similar level, or of similar rating in ranked mode
+ * Each character accepts opponents within a band that widens the longer they wait; when two
+ * characters in the same mode fall within each other's bands their battle starts live on both
+ * players' battle sockets
+ */
+const AppError = require('../shared/app-error');
+const liveBattleService = require('./live-battle-service');
+const battleSocketService = require('./battle-socket-service');
+const characterService = require('../character/character-service');
+const abilitiesService = require('../abilities/abilities-service');
+const ratingService = require('./rating-service');
+
+// Private properties
+const QUEUE_MODES = ['casual', 'ranked'];
+const BAND_WIDEN_SECONDS = 10;
+// Starting width of each mode's band and how much it grows every BAND_WIDEN_SECONDS
+const MATCH_BANDS = {
+    casual: { base: 2, step: 1 },
+    ranked: { base: 100, step: 50 }
+};
+const MATCH_INTERVAL_MS = 2000;
+const queue = new Map();
+let matchTimer = null;
+
+/**
+ * Get the value a queue entry is matched on
+ * @param {Object} entry - Queue entry
+ * @returns {number} Rating in ranked mode, level otherwise
+ */
+function getMatchValue(entry) {
+    return entry.mode === 'ranked' ? entry.rating : entry.level;
+}
+
+/**
+ * Work out how far from a character's level or rating an opponent may be
+ * @param {Object} entry - Queue entry
+ * @param {number} now - Current timestamp in ms
+ * @returns {number} Allowed difference
+ */
+function getMatchBand(entry, now) {
+    const band = MATCH_BANDS[entry.mode];
+    const waitedSeconds = (now - Date.parse(entry.queueStartTime)) / 1000;
+    return band.base + band.step * Math.floor(waitedSeconds / BAND_WIDEN_SECONDS);
+}
+
+/**
+ * Check whether two queued characters can fight each other
+ * Characters of the same account are never paired
+ * @param {Object} first - Queue entry
+ * @param {Object} second - Queue entry
+ * @param {number} now - Current timestamp in ms
+ * @returns {boolean} True when both are in the same mode and each is within the other's band
+ */
+function canMatch(first, second, now) {
+    const difference = Math.abs(getMatchValue(first) - getMatchValue(second));
+
+    return first.mode === second.mode &&
+        first.userId !== second.userId &&
+        difference <= getMatchBand(first, now) &&
+        difference <= getMatchBand(second, now);
+}
+
+/**
+ * Take a matched pair out of the queue and start their battle
+ * @param {Object} first - Queue entry of the longer waiter
+ * @param {Object} second - Queue entry of the opponent
+ */
+function startMatch(first, second) {
+    queue.delete(first.characterId);
+    queue.delete(second.characterId);
+
+    try {
+        liveBattleService.startLiveBattle(first.characterId, second.characterId, first.mode === 'ranked');
+    } catch (error) {
+        console.error('Error starting matched battle:', error);
+    }
+}
+
+/**
+ * Pair up every queued character that has a match, longest waiting first
+ * Characters without an open socket are left waiting, since they could not be told about the battle
+ */
+function findMatches() {
+    const now = Date.now();
+    const waiting = [...queue.values()]
+        .filter(entry => battleSocketService.isConnected(entry.characterId))
+        .sort((a, b) => Date.parse(a.queueStartTime) - Date.parse(b.queueStartTime));
+    const matched = new Set();
+
+    waiting.forEach(entry => {
+        if (matched.has(entry)) {
+            return;
+        }
+
+        // Prefer the closest level or rating, then whoever has waited longest
+        const distance = other => Math.abs(getMatchValue(other) - getMatchValue(entry));
+        const opponent = waiting
+            .filter(other => other !== entry && !matched.has(other) && canMatch(entry, other, now))
+            .sort((a, b) => distance(a) - distance(b))[0];
+
+        if (opponent) {
+            matched.add(entry);
+            matched.add(opponent);
+            startMatch(entry, opponent);
+        }
+    });
+
+    updateMatchTimer();
+}
+
+/**
+ * Run matching regularly while anyone is queued, so bands keep widening, and stop when the queue empties
+ */
+function updateMatchTimer() {
+    if (queue.size > 0 && !matchTimer) {
+        matchTimer = setInterval(findMatches, MATCH_INTERVAL_MS);
+        matchTimer.unref();
+    } else if (queue.size === 0 && matchTimer) {
+        clearInterval(matchTimer);
+        matchTimer = null;
+    }
+}
+
+/**
+ * Add a character to the matchmaking queue
+ * Joining again in another mode switches modes without losing the time already waited
+ * @param {string} characterId - Character id
+ * @param {string} [mode] - 'casual' or 'ranked'
+ * @returns {Object} The queue entry
+ */
+function joinQueue(characterId, mode = 'casual') {
+    const character = characterService.getCharacter(characterId);
+
+    if (!QUEUE_MODES.includes(mode)) {
+        throw new AppError('Unknown queue mode');
+    }
+
+    if (!abilitiesService.isRotationValid(character)) {
+        throw new AppError('You need a valid rotation to join the queue');
+    }
+
+    if (liveBattleService.isInBattle(characterId)) {
+        throw new AppError('Finish your current battle before joining the queue');
+    }
+
+    if (!queue.has(characterId)) {
+        queue.set(characterId, {
+            characterId,
+            userId: character.userId,
+            level: character.level,
+            rating: ratingService.getRating(character).rating,
+            queueStartTime: new Date().toISOString()
+        });
+    }
+
+    const entry = queue.get(characterId);
+    entry.mode = mode;
+    findMatches();
+
+    return entry;
+}
+
+/**
+ * Remove a character from the matchmaking queue
+ * @param {string} characterId - Character id
+ */
+function leaveQueue(characterId) {
+    queue.delete(characterId);
+    updateMatchTimer();
+}
+
+/**
+ * Get a character's queue status
+ * @param {string} characterId - Character id
+ * @returns {Object} Queue status
+ */
+function getQueueStatus(characterId) {
+    const entry = queue.get(characterId);
+    return {
+        inQueue: Boolean(entry),
+        mode: entry ? entry.mode : null,
+        queueStartTime: entry ? entry.queueStartTime : null
+    };
+}
+
+module.exports = {
+    findMatches,
+    joinQueue,
+    leaveQueue,
+    getQueueStatus
+};
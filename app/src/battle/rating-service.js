@@ -0,0 +1,118 @@
+/**
+ * Rating Service
+ * Keeps each character's PvP rating and rank tier
+ * Ratings follow the Elo system: the winner takes points from the loser, more of them for an
+ * upset, and new characters move faster until their first few battles have placed them
+ */
+const characterService = require('../character/character-service');
+
+// Private properties
+const STARTING_RATING = 1000;
+const PROVISIONAL_BATTLES = 10;
+const PROVISIONAL_K_FACTOR = 48;
+const K_FACTOR = 24;
+const RATING_SCALE = 400;
+
+// Rank tiers, lowest first, with the rating each one starts at
+const RANK_TIERS = [
+    { id: 'bronze', name: 'Bronze', minRating: 0 },
+    { id: 'silver', name: 'Silver', minRating: 1100 },
+    { id: 'gold', name: 'Gold', minRating: 1250 },
+    { id: 'platinum', name: 'Platinum', minRating: 1400 },
+    { id: 'diamond', name: 'Diamond', minRating: 1550 },
+    { id: 'master', name: 'Master', minRating: 1700 },
+    { id: 'champion', name: 'Champion', minRating: 1850 }
+];
+
+/**
+ * Get a character's PvP record
+ * Characters that have never fought a ranked battle start at the base rating
+ * @param {Object} character - The character
+ * @returns {Object} { rating, wins, losses }
+ */
+function getPvpRecord(character) {
+    return character.pvp || { rating: STARTING_RATING, wins: 0, losses: 0 };
+}
+
+/**
+ * Find the tier a rating belongs to
+ * @param {number} rating - Rating
+ * @returns {Object} The rank tier
+ */
+function getRankTier(rating) {
+    return RANK_TIERS.filter(tier => rating >= tier.minRating).pop();
+}
+
+/**
+ * Describe a character's rating and rank
+ * @param {Object} character - The character
+ * @returns {Object} { rating, wins, losses, tier, nextTier }
+ */
+function getRating(character) {
+    const record = getPvpRecord(character);
+    const tier = getRankTier(record.rating);
+
+    return {
+        ...record,
+        tier,
+        nextTier: RANK_TIERS[RANK_TIERS.indexOf(tier) + 1] || null
+    };
+}
+
+/**
+ * Work out the chance of one rating beating another
+ * @param {number} rating - Player rating
+ * @param {number} opponentRating - Opponent rating
+ * @returns {number} Expected score between 0 and 1
+ */
+function getExpectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / RATING_SCALE));
+}
+
+/**
+ * Update both participants' ratings after a ranked battle
+ * Each change is recorded on the battle's rewards alongside the experience
+ * @param {Object} battle - Battle record (rewards are updated in place)
+ */
+function updateRatings(battle) {
+    const characters = battle.characters.map(snapshot => characterService.getCharacter(snapshot.id));
+    const records = characters.map(getPvpRecord);
+
+    characters.forEach((character, index) => {
+        const record = records[index];
+        const opponent = records[1 - index];
+        const won = battle.winner === character.id;
+        const kFactor = record.wins + record.losses < PROVISIONAL_BATTLES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+        const change = Math.round(kFactor * ((won ? 1 : 0) - getExpectedScore(record.rating, opponent.rating)));
+
+        character.pvp = {
+            rating: Math.max(0, record.rating + change),
+            wins: record.wins + (won ? 1 : 0),
+            losses: record.losses + (won ? 0 : 1)
+        };
+        characterService.saveCharacter(character);
+
+        battle.rewards[character.id] = {
+            ...battle.rewards[character.id],
+            rating: { before: record.rating, after: character.pvp.rating, change: character.pvp.rating - record.rating }
+        };
+    });
+}
+
+/**
+ * List every character that has fought a ranked battle, best rating first
+ * @returns {Array} Characters with their rating, ties going to more wins, then name
+ */
+function getRatedCharacters() {
+    return characterService.getAllCharacters()
+        .filter(character => character.pvp && character.pvp.wins + character.pvp.losses > 0)
+        .sort((a, b) => b.pvp.rating - a.pvp.rating || b.pvp.wins - a.pvp.wins || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    RANK_TIERS,
+    getRating,
+    getRankTier,
+    updateRatings,
+    getRatedCharacters
+};
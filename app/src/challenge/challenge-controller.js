@@ -0,0 +1,72 @@
+/**
+ * Challenge Controller
+ * Registers the /api/challenge routes
+ */
+const challengeService = require('./challenge-service');
+const challengeModel = require('./challenge-model');
+const characterService = require('../character/character-service');
+
+/**
+ * Challenge routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function challengeController(fastify) {
+    fastify.get('/challenge/:characterId/status', async (request) => {
+        return { success: true, challenge: challengeService.getChallengeStatus(request.params.characterId) };
+    });
+
+    fastify.get('/challenge/:characterId/opponent', async (request) => {
+        return { success: true, opponent: challengeService.getOpponent(request.params.characterId) };
+    });
+
+    fastify.post('/challenge/:characterId/start', async (request) => {
+        const challenge = challengeService.startChallenge(request.params.characterId);
+
+        return {
+            success: true,
+            challenge: challengeModel.toStatus(challenge),
+            opponent: challenge.opponent
+        };
+    });
+
+    fastify.post('/challenge/:characterId/battle', async (request) => {
+        const result = challengeService.fightChallengeBattle(request.params.characterId);
+
+        return {
+            success: true,
+            battle: result.battle,
+            challenge: challengeModel.toStatus(result.challenge),
+            opponent: result.challenge.opponent,
+            character: characterService.toClientCharacter(result.character),
+            levelUp: result.levelUp,
+            newLevel: result.newLevel,
+            pointsGained: result.pointsGained
+        };
+    });
+
+    fastify.post('/challenge/:characterId/collect', async (request) => {
+        const result = challengeService.collectExperience(request.params.characterId);
+
+        return {
+            success: true,
+            experienceCollected: result.experienceCollected,
+            challenge: challengeModel.toStatus(result.challenge),
+            character: characterService.toClientCharacter(result.character),
+            levelUp: result.levelUp,
+            newLevel: result.newLevel,
+            pointsGained: result.pointsGained
+        };
+    });
+
+    fastify.post('/challenge/:characterId/reset', async (request) => {
+        const result = challengeService.resetChallenge(request.params.characterId);
+
+        return {
+            success: true,
+            challenge: challengeModel.toStatus(result.challenge),
+            character: characterService.toClientCharacter(result.character)
+        };
+    });
+}
+
+module.exports = challengeController;
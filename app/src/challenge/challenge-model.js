@@ -0,0 +1,44 @@
+/**
+ * Challenge Model
+ * Defines the stored state of a character's challenge run
+ */
+const crypto = require('crypto');
+
+/**
+ * Create a challenge run for a character
+ * @param {string} characterId - Character id
+ * @returns {Object} The challenge record
+ */
+function createChallenge(characterId) {
+    return {
+        id: crypto.randomUUID(),
+        characterId,
+        active: true,
+        round: 1,
+        experienceAccumulated: 0,
+        opponent: null,
+        startedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Reduce a challenge record to the status the client displays
+ * @param {Object|null} challenge - The challenge record
+ * @returns {Object} Challenge status
+ */
+function toStatus(challenge) {
+    if (!challenge) {
+        return { round: 0, experienceAccumulated: 0, active: false };
+    }
+
+    return {
+        round: challenge.round,
+        experienceAccumulated: challenge.experienceAccumulated,
+        active: challenge.active
+    };
+}
+
+module.exports = {
+    createChallenge,
+    toStatus
+};
@@ -0,0 +1,425 @@
+/**
+ * Challenge Service
+ * Runs the roguelike challenge mode against evolving opponents
+ */
+const crypto = require('crypto');
+const dataService = require('../shared/data-service');
+const AppError = require('../shared/app-error');
+const geneticAlgorithm = require('../shared/genetic-algorithm');
+const challengeModel = require('./challenge-model');
+const characterModel = require('../character/character-model');
+const characterService = require('../character/character-service');
+const progressionService = require('../character/progression-service');
+const abilitiesService = require('../abilities/abilities-service');
+const itemsService = require('../items/items-service');
+const random = require('../shared/random');
+const battleService = require('../battle/battle-service');
+
+// Private properties
+const CHALLENGES_COLLECTION = 'challenges';
+const CONSOLATION_RATE = 0.25;
+const OPPONENT_TITLES = ['Brutal', 'Cunning', 'Relentless', 'Vile', 'Savage', 'Mystic', 'Grim', 'Wicked'];
+const OPPONENT_NAMES = ['Gorath', 'Sylva', 'Morgrim', 'Thessa', 'Valk', 'Drennic', 'Ysolde', 'Karnak'];
+
+/**
+ * Get a character's challenge record
+ * @param {string} characterId - Character id
+ * @returns {Object|null} The challenge record
+ */
+function findChallenge(characterId) {
+    return dataService.getCollection(CHALLENGES_COLLECTION)
+        .find(challenge => challenge.characterId === characterId) || null;
+}
+
+/**
+ * Get a character's active challenge or fail
+ * @param {string} characterId - Character id
+ * @returns {Object} The active challenge record
+ */
+function getActiveChallenge(characterId) {
+    const challenge = findChallenge(characterId);
+
+    if (!challenge || !challenge.active) {
+        throw new AppError('You do not have an active challenge');
+    }
+
+    return challenge;
+}
+
+/**
+ * Persist a challenge record
+ * @param {Object} challenge - The challenge record
+ * @returns {Object} The saved record
+ */
+function saveChallenge(challenge) {
+    return dataService.upsert(CHALLENGES_COLLECTION, challenge);
+}
+
+/**
+ * Pick a random element of an array
+ * @param {Array} values - Candidate values
+ * @returns {*} A random element
+ */
+function pick(values) {
+    return values[Math.floor(Math.random() * values.length)];
+}
+
+/**
+ * Experience awarded for winning a round
+ * @param {number} round - The round won
+ * @param {number} level - Character level
+ * @returns {number} Experience
+ */
+function getRoundExperience(round, level) {
+    return 20 + round * 10 + level * 5;
+}
+
+/**
+ * Create a random opponent genome within an attribute budget
+ * @param {number} budget - Attribute points to distribute
+ * @param {number} level - Opponent level
+ * @returns {Object} Opponent genome
+ */
+function createRandomGenome(budget, level) {
+    const attributes = {};
+    characterModel.ATTRIBUTES.forEach(attr => {
+        attributes[attr] = 1;
+    });
+    for (let i = characterModel.ATTRIBUTES.length; i < budget; i++) {
+        attributes[pick(characterModel.ATTRIBUTES)]++;
+    }
+
+    const templates = itemsService.getItemTemplatesForLevel(level);
+    const equipment = {};
+    characterModel.EQUIPMENT_SLOTS.forEach(slot => {
+        const options = templates.filter(item => item.slot === characterModel.getAcceptedItemSlot(slot));
+        equipment[slot] = options.length > 0 && Math.random() < 0.8 ? pick(options).id : null;
+    });
+
+    const abilityIds = abilitiesService.getAbilities().map(ability => ability.id)
+        .sort(() => Math.random() - 0.5)
+        .slice(0, 3 + Math.floor(Math.random() * 3));
+
+    return {
+        attributes,
+        equipment,
+        rotation: abilityIds,
+        basicAttackType: pick(['physical', 'magic'])
+    };
+}
+
+/**
+ * Move a few attribute points and possibly swap gear or abilities
+ * @param {Object} genome - Opponent genome
+ * @param {number} level - Opponent level
+ * @returns {Object} Mutated copy
+ */
+function mutateGenome(genome, level) {
+    const mutated = JSON.parse(JSON.stringify(genome));
+
+    for (let i = 0; i < 3; i++) {
+        const from = pick(characterModel.ATTRIBUTES);
+        const to = pick(characterModel.ATTRIBUTES);
+        if (mutated.attributes[from] > 1) {
+            mutated.attributes[from]--;
+            mutated.attributes[to]++;
+        }
+    }
+
+    if (Math.random() < 0.3) {
+        const slot = pick(characterModel.EQUIPMENT_SLOTS);
+        const options = itemsService.getItemTemplatesForLevel(level)
+            .filter(item => item.slot === characterModel.getAcceptedItemSlot(slot));
+        mutated.equipment[slot] = options.length > 0 ? pick(options).id : null;
+    }
+
+    if (Math.random() < 0.3) {
+        const unused = abilitiesService.getAbilities()
+            .map(ability => ability.id)
+            .filter(id => !mutated.rotation.includes(id));
+        mutated.rotation[Math.floor(Math.random() * mutated.rotation.length)] = pick(unused);
+    }
+
+    if (Math.random() < 0.1) {
+        mutated.basicAttackType = mutated.basicAttackType === 'physical' ? 'magic' : 'physical';
+    }
+
+    return mutated;
+}
+
+/**
+ * Combine two genomes
+ * @param {Object} a - First parent
+ * @param {Object} b - Second parent
+ * @returns {Object} Child genome
+ */
+function crossoverGenomes(a, b) {
+    const child = {
+        attributes: {},
+        equipment: {},
+        rotation: Math.random() < 0.5 ? [...a.rotation] : [...b.rotation],
+        basicAttackType: Math.random() < 0.5 ? a.basicAttackType : b.basicAttackType
+    };
+
+    // Blend attributes while keeping the parents' shared budget
+    const budget = Object.values(a.attributes).reduce((sum, value) => sum + value, 0);
+    characterModel.ATTRIBUTES.forEach(attr => {
+        child.attributes[attr] = Math.max(1, Math.round((a.attributes[attr] + b.attributes[attr]) / 2));
+    });
+    let total = Object.values(child.attributes).reduce((sum, value) => sum + value, 0);
+    while (total > budget) {
+        const attr = pick(characterModel.ATTRIBUTES);
+        if (child.attributes[attr] > 1) {
+            child.attributes[attr]--;
+            total--;
+        }
+    }
+    while (total < budget) {
+        child.attributes[pick(characterModel.ATTRIBUTES)]++;
+        total++;
+    }
+
+    characterModel.EQUIPMENT_SLOTS.forEach(slot => {
+        child.equipment[slot] = Math.random() < 0.5 ? a.equipment[slot] : b.equipment[slot];
+    });
+
+    return child;
+}
+
+/**
+ * Turn a genome into a character-shaped opponent
+ * @param {Object} genome - Opponent genome
+ * @param {Object} identity - Opponent id, name and level
+ * @returns {Object} The opponent
+ */
+function buildOpponent(genome, identity) {
+    const equipment = {};
+    characterModel.EQUIPMENT_SLOTS.forEach(slot => {
+        equipment[slot] = genome.equipment[slot] ? itemsService.createItem(genome.equipment[slot]) : null;
+    });
+
+    // A two-handed weapon leaves no room for an off-hand item
+    if (equipment.mainHand && equipment.mainHand.twoHanded) {
+        equipment.offHand = null;
+    }
+
+    return {
+        ...identity,
+        ...genome.attributes,
+        equipment,
+        rotation: genome.rotation,
+        basicAttackType: genome.basicAttackType,
+        health: null,
+        mana: null
+    };
+}
+
+/**
+ * Evolve an opponent tuned to beat the character in the given round
+ * @param {Object} character - The challenger
+ * @param {number} round - Challenge round
+ * @returns {Object} The opponent
+ */
+function generateOpponent(character, round) {
+    const baseAttributes = characterModel.ATTRIBUTES.reduce((sum, attr) => sum + character[attr], 0);
+    const budget = Math.max(characterModel.ATTRIBUTES.length, Math.round(baseAttributes * (0.7 + round * 0.06)));
+    const level = character.level + Math.floor(round / 3);
+    const identity = {
+        id: crypto.randomUUID(),
+        name: `${pick(OPPONENT_TITLES)} ${pick(OPPONENT_NAMES)}`,
+        level
+    };
+    // Every trial fight shares one seed, kept on the opponent, so its evolution can be reproduced
+    const trialSeed = random.createSeed();
+
+    const best = geneticAlgorithm.evolve({
+        createIndividual: () => createRandomGenome(budget, level),
+        mutate: genome => mutateGenome(genome, level),
+        crossover: crossoverGenomes,
+        fitness: genome => {
+            // Score by how much of the challenger's health the opponent removes in a trial fight
+            const challenger = battleService.createCombatant({ ...character, health: null, mana: null });
+            const opponent = battleService.createCombatant(buildOpponent(genome, identity));
+            const result = battleService.simulateBattle(challenger, opponent, { seed: trialSeed });
+            const damageDealt = 1 - challenger.health / challenger.stats.maxHealth;
+
+            return damageDealt + (result.winner === opponent.id ? 1 : 0);
+        }
+    });
+
+    return { ...buildOpponent(best, identity), trialSeed };
+}
+
+/**
+ * Get a character's challenge status
+ * @param {string} characterId - Character id
+ * @returns {Object} Challenge status
+ */
+function getChallengeStatus(characterId) {
+    characterService.getCharacter(characterId);
+    return challengeModel.toStatus(findChallenge(characterId));
+}
+
+/**
+ * Get the opponent of a character's active challenge
+ * @param {string} characterId - Character id
+ * @returns {Object} The opponent
+ */
+function getOpponent(characterId) {
+    return getActiveChallenge(characterId).opponent;
+}
+
+/**
+ * Start a new challenge run
+ * @param {string} characterId - Character id
+ * @returns {Object} The challenge record
+ */
+function startChallenge(characterId) {
+    const character = characterService.getCharacter(characterId);
+
+    if (!abilitiesService.isRotationValid(character)) {
+        throw new AppError('You need a valid rotation to start a challenge');
+    }
+
+    const existing = findChallenge(characterId);
+    if (existing && existing.active) {
+        throw new AppError('You already have an active challenge');
+    }
+
+    const challenge = challengeModel.createChallenge(characterId);
+    if (existing) {
+        challenge.id = existing.id;
+    }
+    challenge.opponent = generateOpponent(character, challenge.round);
+
+    characterService.restoreResources(character);
+    characterService.saveCharacter(character);
+
+    return saveChallenge(challenge);
+}
+
+/**
+ * End a challenge and restore the character
+ * @param {Object} challenge - The challenge record (modified in place)
+ * @param {Object} character - The character (modified in place)
+ */
+function endChallenge(challenge, character) {
+    challenge.active = false;
+    challenge.opponent = null;
+    challenge.experienceAccumulated = 0;
+    characterService.restoreResources(character);
+}
+
+/**
+ * Fight the current opponent
+ * @param {string} characterId - Character id
+ * @returns {Object} Battle outcome, updated challenge and character
+ */
+function fightChallengeBattle(characterId) {
+    const challenge = getActiveChallenge(characterId);
+    const character = characterService.getCharacter(characterId);
+
+    const challenger = battleService.createCombatant(character);
+    const opponent = battleService.createCombatant(challenge.opponent);
+    const result = battleService.recordBattle('challenge', challenger, opponent);
+    const victory = result.winner === character.id;
+    battleService.consumeUsedItems(character, challenger);
+
+    let experienceGained;
+    let levelInfo = { levelUp: false, newLevel: character.level, pointsGained: 0 };
+
+    if (victory) {
+        // Health and mana carry over into the next round
+        character.health = challenger.health;
+        character.mana = challenger.mana;
+
+        experienceGained = getRoundExperience(challenge.round, character.level);
+        challenge.experienceAccumulated += experienceGained;
+        challenge.round++;
+        challenge.opponent = generateOpponent(character, challenge.round);
+    } else {
+        experienceGained = Math.floor(challenge.experienceAccumulated * CONSOLATION_RATE);
+        endChallenge(challenge, character);
+        levelInfo = progressionService.grantExperience(character, experienceGained);
+    }
+
+    saveChallenge(challenge);
+    characterService.saveCharacter(character);
+
+    return {
+        battle: {
+            id: result.id,
+            winner: result.winner,
+            log: result.log,
+            experienceGained
+        },
+        challenge,
+        character,
+        ...levelInfo
+    };
+}
+
+/**
+ * Collect the accumulated experience, ending the run
+ * @param {string} characterId - Character id
+ * @returns {Object} Collected experience, level-up information and updated records
+ */
+function collectExperience(characterId) {
+    const challenge = getActiveChallenge(characterId);
+    const character = characterService.getCharacter(characterId);
+    const experienceCollected = challenge.experienceAccumulated;
+
+    if (experienceCollected <= 0) {
+        throw new AppError('There is no experience to collect');
+    }
+
+    endChallenge(challenge, character);
+    const levelInfo = progressionService.grantExperience(character, experienceCollected);
+
+    saveChallenge(challenge);
+    characterService.saveCharacter(character);
+
+    return { experienceCollected, challenge, character, ...levelInfo };
+}
+
+/**
+ * Abandon the current challenge without rewards
+ * @param {string} characterId - Character id
+ * @returns {Object} Updated challenge and character
+ */
+function resetChallenge(characterId) {
+    const challenge = findChallenge(characterId);
+    const character = characterService.getCharacter(characterId);
+
+    if (challenge) {
+        endChallenge(challenge, character);
+        challenge.round = 0;
+        saveChallenge(challenge);
+    }
+    characterService.restoreResources(character);
+    characterService.saveCharacter(character);
+
+    return { challenge, character };
+}
+
+/**
+ * Remove a character's challenge record
+ * @param {string} characterId - Character id
+ */
+function deleteChallenge(characterId) {
+    const challenge = findChallenge(characterId);
+
+    if (challenge) {
+        dataService.remove(CHALLENGES_COLLECTION, challenge.id);
+    }
+}
+
+module.exports = {
+    getChallengeStatus,
+    getOpponent,
+    startChallenge,
+    fightChallengeBattle,
+    collectExperience,
+    resetChallenge,
+    deleteChallenge
+};
@@ -0,0 +1,78 @@
+/**
+ * Character Controller
+ * Registers the /api/character routes
+ */
+const characterService = require('./character-service');
+const characterModel = require('./character-model');
+const AppError = require('../shared/app-error');
+const matchmakingService = require('../battle/matchmaking-service');
+const liveBattleService = require('../battle/live-battle-service');
+const challengeService = require('../challenge/challenge-service');
+const adventureService = require('../adventure/adventure-service');
+const shopService = require('../shop/shop-service');
+
+/**
+ * Character routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function characterController(fastify) {
+    fastify.get('/character/list', async (request) => {
+        const characters = characterService.getCharactersForUser(request.user.id)
+            .map(characterService.toClientCharacter);
+
+        return { success: true, characters, maxCharacters: characterModel.MAX_CHARACTERS_PER_USER };
+    });
+
+    fastify.get('/character/classes', async () => {
+        return { success: true, classes: characterService.getClasses() };
+    });
+
+    fastify.post('/character/create', async (request) => {
+        const { name, classId } = request.body || {};
+        const character = characterService.createCharacter(request.user.id, name, classId);
+
+        return { success: true, character: characterService.toClientCharacter(character) };
+    });
+
+    fastify.delete('/character/:characterId', async (request) => {
+        const { characterId } = request.params;
+
+        // The battle is stored against both characters when it ends
+        if (liveBattleService.isInBattle(characterId)) {
+            throw new AppError('Finish your current battle before deleting this character');
+        }
+
+        // Drop everything that only exists for this character
+        matchmakingService.leaveQueue(characterId);
+        challengeService.deleteChallenge(characterId);
+        adventureService.deleteAdventure(characterId);
+        shopService.deleteStock(characterId);
+        characterService.deleteCharacter(characterId);
+
+        return { success: true };
+    });
+
+    fastify.get('/character/:characterId/stats', async (request) => {
+        const character = characterService.getCharacter(request.params.characterId);
+        return { success: true, character: characterService.toClientCharacter(character) };
+    });
+
+    fastify.get('/character/:characterId/stats/breakdown', async (request) => {
+        const character = characterService.getCharacter(request.params.characterId);
+        return { success: true, breakdown: characterService.getStatBreakdown(character) };
+    });
+
+    fastify.post('/character/:characterId/attributes', async (request) => {
+        const { attributes } = request.body || {};
+        const character = characterService.allocateAttributes(request.params.characterId, attributes);
+
+        return { success: true, character: characterService.toClientCharacter(character) };
+    });
+
+    fastify.post('/character/:characterId/respec', async (request) => {
+        const { character, cost } = characterService.respecAttributes(request.params.characterId);
+        return { success: true, cost, character: characterService.toClientCharacter(character) };
+    });
+}
+
+module.exports = characterController;
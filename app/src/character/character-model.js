@@ -0,0 +1,147 @@
+/**
+ * Character Model
+ * Defines the shape of stored characters and the rules for creating them
+ */
+const crypto = require('crypto');
+
+// Model constants
+const ATTRIBUTES = ['strength', 'agility', 'stamina', 'intellect', 'wisdom'];
+// Equipment slots in display order; `accepts` is the item slot that fits, so both ring slots take any ring
+const EQUIPMENT_SLOT_DEFINITIONS = [
+    { id: 'head', name: 'Head', accepts: 'head' },
+    { id: 'chest', name: 'Chest', accepts: 'chest' },
+    { id: 'legs', name: 'Legs', accepts: 'legs' },
+    { id: 'gloves', name: 'Gloves', accepts: 'gloves' },
+    { id: 'boots', name: 'Boots', accepts: 'boots' },
+    { id: 'mainHand', name: 'Main Hand', accepts: 'mainHand' },
+    { id: 'offHand', name: 'Off Hand', accepts: 'offHand' },
+    { id: 'amulet', name: 'Amulet', accepts: 'amulet' },
+    { id: 'ring1', name: 'Ring', accepts: 'ring' },
+    { id: 'ring2', name: 'Ring', accepts: 'ring' },
+    { id: 'trinket', name: 'Trinket', accepts: 'trinket' }
+];
+const EQUIPMENT_SLOTS = EQUIPMENT_SLOT_DEFINITIONS.map(slot => slot.id);
+const STARTING_ATTRIBUTE_VALUE = 1;
+const STARTING_GOLD = 100;
+const NAME_MIN_LENGTH = 3;
+const NAME_MAX_LENGTH = 20;
+const MAX_CHARACTERS_PER_USER = Number(process.env.MAX_CHARACTERS_PER_USER) || 4;
+const RESPEC_BASE_COST = 50;
+const RESPEC_COST_PER_LEVEL = 25;
+
+/**
+ * Build the starting attributes from a class definition
+ * Attributes the class does not list start at the base value
+ * @param {Object} classAttributes - Attribute values defined by the class
+ * @returns {Object} Attribute values keyed by attribute name
+ */
+function buildStartingAttributes(classAttributes = {}) {
+    const attributes = {};
+    ATTRIBUTES.forEach(attr => {
+        attributes[attr] = classAttributes[attr] || STARTING_ATTRIBUTE_VALUE;
+    });
+    return attributes;
+}
+
+/**
+ * Get the equipment slots an item can go in
+ * @param {Object} item - Item instance or template with a slot
+ * @returns {Array} Slot ids, in display order
+ */
+function getSlotsForItem(item) {
+    return EQUIPMENT_SLOT_DEFINITIONS
+        .filter(slot => slot.accepts === item.slot)
+        .map(slot => slot.id);
+}
+
+/**
+ * Get the item slot an equipment slot accepts
+ * @param {string} slotId - Equipment slot id
+ * @returns {string|null} Item slot, or null for unknown slots
+ */
+function getAcceptedItemSlot(slotId) {
+    const slot = EQUIPMENT_SLOT_DEFINITIONS.find(definition => definition.id === slotId);
+    return slot ? slot.accepts : null;
+}
+
+/**
+ * Create an empty equipment map
+ * @returns {Object} Equipment slots set to null
+ */
+function createEmptyEquipment() {
+    const equipment = {};
+    EQUIPMENT_SLOTS.forEach(slot => {
+        equipment[slot] = null;
+    });
+    return equipment;
+}
+
+/**
+ * Create an empty record of the attribute points a character has allocated
+ * @returns {Object} Zero for every attribute
+ */
+function createEmptyAllocation() {
+    const allocation = {};
+    ATTRIBUTES.forEach(attr => {
+        allocation[attr] = 0;
+    });
+    return allocation;
+}
+
+/**
+ * Gold cost of refunding all allocated attribute points
+ * @param {number} level - Character level
+ * @returns {number} Gold cost
+ */
+function getRespecCost(level) {
+    return RESPEC_BASE_COST + level * RESPEC_COST_PER_LEVEL;
+}
+
+/**
+ * Create a new character record
+ * @param {Object} options - Character options
+ * @param {string} options.userId - Owning user id
+ * @param {string} options.name - Character name
+ * @param {Object} options.characterClass - Class definition from data/classes.json
+ * @returns {Object} The new character
+ */
+function createCharacter({ userId, name, characterClass }) {
+    return {
+        id: crypto.randomUUID(),
+        userId,
+        name,
+        classId: characterClass.id,
+        level: 1,
+        experience: 0,
+        attributePoints: 0,
+        ...buildStartingAttributes(characterClass.attributes),
+        // Points spent through allocation, refunded by a respec
+        allocatedAttributes: createEmptyAllocation(),
+        gold: STARTING_GOLD,
+        // Current health and mana; null means full
+        health: null,
+        mana: null,
+        equipment: createEmptyEquipment(),
+        inventory: [],
+        // Recently sold items that can be bought back, newest first
+        buyback: [],
+        rotation: [],
+        basicAttackType: characterClass.basicAttackType,
+        createdAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    ATTRIBUTES,
+    EQUIPMENT_SLOT_DEFINITIONS,
+    EQUIPMENT_SLOTS,
+    NAME_MIN_LENGTH,
+    NAME_MAX_LENGTH,
+    MAX_CHARACTERS_PER_USER,
+    getSlotsForItem,
+    getAcceptedItemSlot,
+    createEmptyEquipment,
+    createEmptyAllocation,
+    getRespecCost,
+    createCharacter
+};
@@ -0,0 +1,281 @@
+/**
+ * Character Service
+ * Handles character creation, persistence, attributes and experience
+ */
+const dataService = require('../shared/data-service');
+const AppError = require('../shared/app-error');
+const characterModel = require('./character-model');
+const itemsService = require('../items/items-service');
+const scalingFunctions = require('../shared/scaling-functions');
+const progressionService = require('./progression-service');
+const setService = require('../equipment/set-service');
+
+// Private properties
+const CHARACTERS_COLLECTION = 'characters';
+const CLASSES_COLLECTION = 'classes';
+const STARTING_ARMOR = ['leather-vest'];
+
+/**
+ * Get a character by id
+ * @param {string} characterId - Character id
+ * @returns {Object} The stored character
+ */
+function getCharacter(characterId) {
+    const character = dataService.findById(CHARACTERS_COLLECTION, characterId);
+
+    if (!character) {
+        throw new AppError('Character not found', 404);
+    }
+
+    return character;
+}
+
+/**
+ * Get every character owned by a user
+ * @param {string} userId - User id
+ * @returns {Array} The user's characters
+ */
+function getCharactersForUser(userId) {
+    return dataService.getCollection(CHARACTERS_COLLECTION)
+        .filter(character => character.userId === userId);
+}
+
+/**
+ * Get every character of every user
+ * @returns {Array} All stored characters
+ */
+function getAllCharacters() {
+    return dataService.getCollection(CHARACTERS_COLLECTION);
+}
+
+/**
+ * Persist a character
+ * @param {Object} character - The character to save
+ * @returns {Object} The saved character
+ */
+function saveCharacter(character) {
+    return dataService.upsert(CHARACTERS_COLLECTION, character);
+}
+
+/**
+ * Get every playable class
+ * @returns {Array} Class definitions
+ */
+function getClasses() {
+    return dataService.getCollection(CLASSES_COLLECTION);
+}
+
+/**
+ * Get a class definition
+ * @param {string} classId - Class id
+ * @returns {Object|null} The class definition
+ */
+function getClass(classId) {
+    return getClasses().find(characterClass => characterClass.id === classId) || null;
+}
+
+/**
+ * Get the ability ids a character may use
+ * Characters created before classes existed are not restricted
+ * @param {Object} character - The character
+ * @returns {Array|null} Allowed ability ids, or null when every ability is allowed
+ */
+function getAllowedAbilityIds(character) {
+    const characterClass = getClass(character.classId);
+    return characterClass ? characterClass.abilities : null;
+}
+
+/**
+ * Create a character for a user
+ * @param {string} userId - Owning user id
+ * @param {string} name - Character name
+ * @param {string} classId - Chosen class id
+ * @returns {Object} The new character
+ */
+function createCharacter(userId, name, classId) {
+    const trimmedName = (name || '').trim();
+
+    if (trimmedName.length < characterModel.NAME_MIN_LENGTH ||
+        trimmedName.length > characterModel.NAME_MAX_LENGTH) {
+        throw new AppError(`Character name must be between ${characterModel.NAME_MIN_LENGTH} and ${characterModel.NAME_MAX_LENGTH} characters`);
+    }
+
+    if (getCharactersForUser(userId).length >= characterModel.MAX_CHARACTERS_PER_USER) {
+        throw new AppError(`You can have at most ${characterModel.MAX_CHARACTERS_PER_USER} characters`);
+    }
+
+    const characterClass = getClass(classId);
+    if (!characterClass) {
+        throw new AppError('Please choose a valid class');
+    }
+
+    const character = characterModel.createCharacter({ userId, name: trimmedName, characterClass });
+
+    // Equip the class weapon and the starting armor
+    [characterClass.startingWeapon, ...STARTING_ARMOR].forEach(templateId => {
+        const item = itemsService.createItem(templateId);
+        character.equipment[item.slot] = item;
+    });
+
+    return saveCharacter(character);
+}
+
+/**
+ * Delete a character
+ * @param {string} characterId - Character id
+ */
+function deleteCharacter(characterId) {
+    getCharacter(characterId);
+    dataService.remove(CHARACTERS_COLLECTION, characterId);
+}
+
+/**
+ * Build the character data sent to the client, including derived stats
+ * @param {Object} character - The stored character
+ * @returns {Object} Character data for the client
+ */
+function toClientCharacter(character) {
+    const { userId, ...data } = character;
+    const characterClass = getClass(character.classId);
+    const stats = getDerivedStats(character);
+    const bonuses = scalingFunctions.getAttributeBonuses(character, setService.getSetModifiers(character).setBonuses);
+
+    const bonusFields = {};
+    Object.entries(bonuses).forEach(([attr, value]) => {
+        bonusFields[`${attr}Bonus`] = value;
+    });
+
+    return {
+        ...data,
+        className: characterClass ? characterClass.name : null,
+        ...bonusFields,
+        ...stats,
+        health: character.health === null ? stats.maxHealth : Math.min(character.health, stats.maxHealth),
+        mana: character.mana === null ? stats.maxMana : Math.min(character.mana, stats.maxMana),
+        experienceToNextLevel: progressionService.getExperienceToNextLevel(character.level),
+        maxLevel: progressionService.getMaxLevel(),
+        respecCost: characterModel.getRespecCost(character.level)
+    };
+}
+
+/**
+ * Calculate a character's derived stats, including their active set bonuses
+ * @param {Object} character - Stored character or generated opponent
+ * @param {Array} effects - Active effect definitions whose modifiers apply, such as battle buffs
+ * @returns {Object} Derived stats
+ */
+function getDerivedStats(character, effects = []) {
+    const modifiers = setService.getSetModifiers(character);
+    return scalingFunctions.calculateDerivedStats(character, [...modifiers.effects, ...effects], modifiers.setBonuses);
+}
+
+/**
+ * Explain where each of a character's derived stats comes from
+ * @param {Object} character - The stored character
+ * @param {Array} effects - Active effect definitions whose modifiers apply
+ * @returns {Object} { value, contributions } keyed by stat name
+ */
+function getStatBreakdown(character, effects = []) {
+    const modifiers = setService.getSetModifiers(character);
+    return scalingFunctions.calculateStatBreakdown(character, [...modifiers.effects, ...effects], modifiers.setBonuses);
+}
+
+/**
+ * Spend attribute points
+ * @param {string} characterId - Character id
+ * @param {Object} attributes - Points to add keyed by attribute name
+ * @returns {Object} The updated character
+ */
+function allocateAttributes(characterId, attributes) {
+    const character = getCharacter(characterId);
+
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+        throw new AppError('Attributes must be an object of points keyed by attribute');
+    }
+
+    const entries = Object.entries(attributes);
+    const unknown = entries.find(([attr]) => !characterModel.ATTRIBUTES.includes(attr));
+    if (unknown) {
+        throw new AppError(`Unknown attribute: ${unknown[0]}`);
+    }
+
+    const invalid = entries.find(([, value]) => !Number.isInteger(value) || value < 0);
+    if (invalid) {
+        throw new AppError(`Points for ${invalid[0]} must be a non-negative whole number`);
+    }
+
+    const spent = entries.reduce((sum, [, value]) => sum + value, 0);
+    if (spent === 0) {
+        throw new AppError('No attribute points to allocate');
+    }
+
+    if (spent > character.attributePoints) {
+        throw new AppError('Not enough attribute points');
+    }
+
+    const allocated = { ...characterModel.createEmptyAllocation(), ...character.allocatedAttributes };
+    entries.forEach(([attr, value]) => {
+        character[attr] += value;
+        allocated[attr] += value;
+    });
+    character.allocatedAttributes = allocated;
+    character.attributePoints -= spent;
+
+    return saveCharacter(character);
+}
+
+/**
+ * Refund every allocated attribute point for a level-scaled gold cost
+ * @param {string} characterId - Character id
+ * @returns {Object} The updated character and the gold spent
+ */
+function respecAttributes(characterId) {
+    const character = getCharacter(characterId);
+    const allocated = character.allocatedAttributes || {};
+    const refunded = Object.values(allocated).reduce((sum, value) => sum + value, 0);
+
+    if (refunded === 0) {
+        throw new AppError('You have no allocated attribute points to refund');
+    }
+
+    const cost = characterModel.getRespecCost(character.level);
+    if (character.gold < cost) {
+        throw new AppError(`Resetting attributes costs ${cost} gold`);
+    }
+
+    Object.entries(allocated).forEach(([attr, value]) => {
+        character[attr] -= value;
+    });
+    character.allocatedAttributes = characterModel.createEmptyAllocation();
+    character.attributePoints += refunded;
+    character.gold -= cost;
+
+    return { character: saveCharacter(character), cost };
+}
+
+/**
+ * Restore a character to full health and mana
+ * @param {Object} character - The character (modified in place)
+ */
+function restoreResources(character) {
+    character.health = null;
+    character.mana = null;
+}
+
+module.exports = {
+    getCharacter,
+    getCharactersForUser,
+    getAllCharacters,
+    saveCharacter,
+    getClasses,
+    getClass,
+    getAllowedAbilityIds,
+    createCharacter,
+    deleteCharacter,
+    toClientCharacter,
+    getDerivedStats,
+    getStatBreakdown,
+    allocateAttributes,
+    respecAttributes,
+    restoreResources
+};
@@ -0,0 +1,100 @@
+/**
+ * Progression Service
+ * Applies experience and level-ups using the curve defined in data/progression.json
+ * Every reward path (battles, challenges, adventures) grants experience through here
+ */
+const dataService = require('../shared/data-service');
+
+// Private properties
+const PROGRESSION_COLLECTION = 'progression';
+const DEFAULT_PROGRESSION = {
+    maxLevel: 50,
+    experienceCurve: { base: 100, exponent: 1.5, roundTo: 10 },
+    attributePointsPerLevel: 5,
+    milestoneBonusPoints: []
+};
+
+/**
+ * Get the progression settings
+ * @returns {Object} Progression settings
+ */
+function getProgression() {
+    return dataService.getCollection(PROGRESSION_COLLECTION, DEFAULT_PROGRESSION);
+}
+
+/**
+ * Get the highest reachable level
+ * @returns {number} Level cap
+ */
+function getMaxLevel() {
+    return getProgression().maxLevel;
+}
+
+/**
+ * Get the experience needed to go from a level to the next
+ * @param {number} level - Current level
+ * @returns {number} Experience required
+ */
+function getExperienceToNextLevel(level) {
+    const { base, exponent, roundTo } = getProgression().experienceCurve;
+    const raw = base * Math.pow(level, exponent);
+
+    return Math.max(roundTo, Math.round(raw / roundTo) * roundTo);
+}
+
+/**
+ * Get the attribute points awarded for reaching a level
+ * @param {number} level - The level reached
+ * @returns {number} Attribute points
+ */
+function getPointsForLevel(level) {
+    const progression = getProgression();
+    const milestone = progression.milestoneBonusPoints.find(entry => entry.level === level);
+
+    return progression.attributePointsPerLevel + (milestone ? milestone.points : 0);
+}
+
+/**
+ * Grant experience, applying as many level-ups as it pays for
+ * @param {Object} character - The character (modified in place)
+ * @param {number} amount - Experience to grant
+ * @returns {Object} { levelUp, newLevel, pointsGained }
+ */
+function grantExperience(character, amount) {
+    const maxLevel = getMaxLevel();
+    const startingLevel = character.level;
+    let pointsGained = 0;
+
+    if (character.level < maxLevel) {
+        character.experience += Math.max(0, Math.floor(amount || 0));
+    }
+
+    while (character.level < maxLevel && character.experience >= getExperienceToNextLevel(character.level)) {
+        character.experience -= getExperienceToNextLevel(character.level);
+        character.level++;
+        pointsGained += getPointsForLevel(character.level);
+    }
+
+    // Experience stops accumulating at the level cap
+    if (character.level >= maxLevel) {
+        character.experience = 0;
+    }
+
+    const levelUp = character.level > startingLevel;
+    if (levelUp) {
+        character.attributePoints += pointsGained;
+
+        // A level-up fully restores health and mana
+        character.health = null;
+        character.mana = null;
+    }
+
+    return { levelUp, newLevel: character.level, pointsGained };
+}
+
+module.exports = {
+    getMaxLevel,
+    getExperienceToNextLevel,
+    getPointsForLevel,
+    grantExperience
+};
@@ -0,0 +1,56 @@
+/**
+ * Crafting Controller
+ * Registers the /api/crafting routes
+ */
+const craftingService = require('./crafting-service');
+const characterService = require('../character/character-service');
+
+/**
+ * Build the response shared by the craft and salvage routes
+ * Recipes are re-listed because the materials the character owns have changed
+ * @param {Object} character - The updated character
+ * @param {Object} extra - Additional response fields
+ * @returns {Object} Response payload
+ */
+function craftingResponse(character, extra = {}) {
+    return {
+        success: true,
+        ...extra,
+        gold: character.gold,
+        inventory: character.inventory,
+        salvageable: craftingService.getSalvageableItems(character),
+        recipes: craftingService.getRecipesForCharacter(character.id)
+    };
+}
+
+/**
+ * Crafting routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function craftingController(fastify) {
+    fastify.get('/crafting/recipes', async (request) => {
+        const { characterId } = request.query;
+        return { success: true, recipes: craftingService.getRecipesForCharacter(characterId) };
+    });
+
+    fastify.post('/crafting/craft', async (request) => {
+        const { characterId, recipeId } = request.body || {};
+        const { character, item } = craftingService.craftItem(characterId, recipeId);
+
+        return craftingResponse(character, { item });
+    });
+
+    fastify.get('/crafting/salvageable/:characterId', async (request) => {
+        const character = characterService.getCharacter(request.params.characterId);
+        return { success: true, items: craftingService.getSalvageableItems(character) };
+    });
+
+    fastify.post('/crafting/salvage', async (request) => {
+        const { characterId, itemId } = request.body || {};
+        const { character, materials } = craftingService.salvageItem(characterId, itemId);
+
+        return craftingResponse(character, { materials });
+    });
+}
+
+module.exports = craftingController;
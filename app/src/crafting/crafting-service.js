@@ -0,0 +1,194 @@
+/**
+ * Crafting Service
+ * Salvages unwanted items into materials and crafts items from recipes
+ * Salvage yields depend on an item's type and rarity; recipes live in data/recipes.json
+ * and craft through the item generator, so crafted gear rolls rarity and affixes like loot
+ */
+const dataService = require('../shared/data-service');
+const AppError = require('../shared/app-error');
+const itemsModel = require('../items/items-model');
+const itemsService = require('../items/items-service');
+const inventoryService = require('../inventory/inventory-service');
+const characterService = require('../character/character-service');
+
+// Private properties
+const RECIPES_COLLECTION = 'recipes';
+const SALVAGE_LEVEL_STEP = 5;
+
+/**
+ * Get every recipe
+ * @returns {Array} Recipe definitions
+ */
+function getRecipes() {
+    return dataService.getCollection(RECIPES_COLLECTION);
+}
+
+/**
+ * Get a single recipe
+ * @param {string} recipeId - Recipe id
+ * @returns {Object} The recipe definition
+ */
+function getRecipe(recipeId) {
+    const recipe = getRecipes().find(candidate => candidate.id === recipeId);
+
+    if (!recipe) {
+        throw new AppError('Recipe not found', 404);
+    }
+
+    return recipe;
+}
+
+/**
+ * Describe a recipe for a character: what it makes, what it needs and whether they can craft it
+ * @param {Object} recipe - Recipe definition
+ * @param {Object} character - The character
+ * @returns {Object} Recipe with its item template, material requirements and availability
+ */
+function toClientRecipe(recipe, character) {
+    const materials = inventoryService.getMaterialRequirements(character, recipe.materials);
+    const unlocked = character.level >= recipe.level;
+
+    return {
+        ...recipe,
+        item: itemsService.getItemTemplate(recipe.templateId),
+        materials,
+        unlocked,
+        canCraft: unlocked && character.gold >= recipe.gold &&
+            materials.every(material => material.owned >= material.quantity)
+    };
+}
+
+/**
+ * List every recipe with a character's progress towards it
+ * @param {string} characterId - Character id
+ * @returns {Array} Client recipes, lowest level first
+ */
+function getRecipesForCharacter(characterId) {
+    const character = characterService.getCharacter(characterId);
+
+    return getRecipes()
+        .map(recipe => toClientRecipe(recipe, character))
+        .sort((a, b) => a.level - b.level);
+}
+
+/**
+ * Work out what an item salvages into
+ * Every item gives materials for its type, one more per few item levels, plus extras for its rarity
+ * @param {Object} item - Item instance
+ * @returns {Array} Materials { templateId, name, quantity }
+ */
+function getSalvageYield(item) {
+    if (itemsModel.isStackable(item)) {
+        return [];
+    }
+
+    const quantities = {};
+    const levelBonus = Math.floor((item.level || 1) / SALVAGE_LEVEL_STEP);
+
+    Object.entries(itemsService.getSalvageYields()[item.type] || {}).forEach(([templateId, quantity]) => {
+        quantities[templateId] = quantity + levelBonus;
+    });
+
+    const rarity = itemsService.getRarities()[itemsService.getRarityRank(item.rarity)];
+    Object.entries((rarity && rarity.salvage) || {}).forEach(([templateId, quantity]) => {
+        quantities[templateId] = (quantities[templateId] || 0) + quantity;
+    });
+
+    return Object.entries(quantities).map(([templateId, quantity]) => ({
+        templateId,
+        name: itemsService.getItemTemplate(templateId).name,
+        quantity
+    }));
+}
+
+/**
+ * List a character's inventory with what each item salvages into
+ * @param {Object} character - The character
+ * @returns {Array} Inventory items with a salvageYield, leaving out items that yield nothing
+ */
+function getSalvageableItems(character) {
+    return character.inventory
+        .map(item => ({ ...item, salvageYield: getSalvageYield(item) }))
+        .filter(item => item.salvageYield.length > 0);
+}
+
+/**
+ * Break an inventory item down into materials
+ * @param {string} characterId - Character id
+ * @param {string} itemId - Inventory item id
+ * @returns {Object} { character, materials }
+ */
+function salvageItem(characterId, itemId) {
+    const character = characterService.getCharacter(characterId);
+    const index = character.inventory.findIndex(item => item.id === itemId);
+
+    if (index === -1) {
+        const equipped = Object.values(character.equipment).some(item => item && item.id === itemId);
+        throw equipped ?
+            new AppError('Unequip this item before salvaging it') :
+            new AppError('Item not found in inventory', 404);
+    }
+
+    const materials = getSalvageYield(character.inventory[index]);
+    if (materials.length === 0) {
+        throw new AppError(`${character.inventory[index].name} cannot be salvaged`);
+    }
+
+    character.inventory.splice(index, 1);
+    materials.forEach(material => {
+        const item = itemsService.createItem(material.templateId);
+        item.quantity = material.quantity;
+        inventoryService.addItem(character, item);
+    });
+
+    return { character: characterService.saveCharacter(character), materials };
+}
+
+/**
+ * Craft a recipe, spending its gold and materials
+ * Gear is generated at the character's level and never rolls below the recipe's minimum rarity
+ * @param {string} characterId - Character id
+ * @param {string} recipeId - Recipe id
+ * @returns {Object} { character, item }
+ */
+function craftItem(characterId, recipeId) {
+    const character = characterService.getCharacter(characterId);
+    const recipe = toClientRecipe(getRecipe(recipeId), character);
+
+    if (!recipe.unlocked) {
+        throw new AppError(`${recipe.name} requires level ${recipe.level}`);
+    }
+
+    if (character.gold < recipe.gold) {
+        throw new AppError('Not enough gold');
+    }
+
+    const missing = recipe.materials.find(material => material.owned < material.quantity);
+    if (missing) {
+        throw new AppError(`Not enough ${missing.name} (${missing.owned}/${missing.quantity})`);
+    }
+
+    character.gold -= recipe.gold;
+    recipe.materials.forEach(material => {
+        inventoryService.removeItems(character, material.templateId, material.quantity);
+    });
+
+    const item = itemsService.generateItem(recipe.templateId, {
+        level: character.level,
+        minRarity: recipe.minRarity
+    });
+    if (itemsModel.isStackable(item)) {
+        item.quantity = recipe.quantity || 1;
+    }
+
+    inventoryService.addItem(character, item);
+
+    return { character: characterService.saveCharacter(character), item };
+}
+
+module.exports = {
+    getRecipesForCharacter,
+    getSalvageableItems,
+    salvageItem,
+    craftItem
+};
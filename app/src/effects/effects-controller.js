@@ -0,0 +1,21 @@
+/**
+ * Effects Controller
+ * Registers the /api/effects routes
+ */
+const effectsService = require('./effects-service');
+
+/**
+ * Effects routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function effectsController(fastify) {
+    fastify.get('/effects', async () => {
+        return { success: true, effects: effectsService.getEffects() };
+    });
+
+    fastify.get('/effects/:effectId', async (request) => {
+        return { success: true, effect: effectsService.getEffect(request.params.effectId) };
+    });
+}
+
+module.exports = effectsController;
@@ -0,0 +1,59 @@
+/**
+ * Effects Model
+ * Builds the active effect instances tracked on combatants during a battle
+ */
+
+/**
+ * Create an active effect from an effect definition
+ * @param {Object} effect - Effect definition
+ * @param {string} sourceId - Id of the combatant that applied the effect
+ * @returns {Object} Active effect instance
+ */
+function createActiveEffect(effect, sourceId) {
+    return {
+        id: effect.id,
+        name: effect.name,
+        type: effect.type,
+        description: effect.description,
+        remaining: effect.duration,
+        modifiers: effect.modifiers || {},
+        tick: effect.tick || null,
+        sourceId
+    };
+}
+
+/**
+ * Create an effect that lasts the whole battle, such as one granted by an item set
+ * Its modifiers are left out because the stat engine already counts them
+ * @param {Object} effect - Effect definition
+ * @param {string} sourceId - Id of the combatant the effect belongs to
+ * @returns {Object} Active effect instance that never expires
+ */
+function createLastingEffect(effect, sourceId) {
+    return {
+        ...createActiveEffect(effect, sourceId),
+        remaining: Infinity,
+        modifiers: {},
+        lasting: true
+    };
+}
+
+/**
+ * Reduce an active effect to the fields the battle log exposes
+ * @param {Object} activeEffect - Active effect instance
+ * @returns {Object} Effect summary for the client
+ */
+function toLogEffect(activeEffect) {
+    return {
+        id: activeEffect.id,
+        name: activeEffect.name,
+        type: activeEffect.type,
+        description: activeEffect.description
+    };
+}
+
+module.exports = {
+    createActiveEffect,
+    createLastingEffect,
+    toLogEffect
+};
@@ -0,0 +1,37 @@
+/**
+ * Effects Service
+ * Provides access to buff, debuff and damage over time definitions
+ */
+const dataService = require('../shared/data-service');
+const AppError = require('../shared/app-error');
+
+// Private properties
+const EFFECTS_COLLECTION = 'effects';
+
+/**
+ * Get every effect definition
+ * @returns {Array} Effect definitions
+ */
+function getEffects() {
+    return dataService.getCollection(EFFECTS_COLLECTION);
+}
+
+/**
+ * Get a single effect definition
+ * @param {string} effectId - Effect id
+ * @returns {Object} The effect definition
+ */
+function getEffect(effectId) {
+    const effect = getEffects().find(candidate => candidate.id === effectId);
+
+    if (!effect) {
+        throw new AppError('Effect not found', 404);
+    }
+
+    return effect;
+}
+
+module.exports = {
+    getEffects,
+    getEffect
+};
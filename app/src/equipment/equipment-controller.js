@@ -0,0 +1,69 @@
+/**
+ * Equipment Controller
+ * Registers the /api/equipment routes
+ */
+const equipmentService = require('./equipment-service');
+const setService = require('./set-service');
+const optimizerService = require('./optimizer-service');
+const characterService = require('../character/character-service');
+
+/**
+ * Build the response shared by the routes that change equipment
+ * Stats and set progress are recalculated so the client can refresh without another request
+ * @param {Object} character - The updated character
+ * @returns {Object} Response payload
+ */
+function equipmentResponse(character) {
+    return {
+        success: true,
+        equipment: character.equipment,
+        sets: setService.getSetProgress(character),
+        inventory: character.inventory,
+        character: characterService.toClientCharacter(character)
+    };
+}
+
+/**
+ * Equipment routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function equipmentController(fastify) {
+    fastify.get('/equipment/:characterId', async (request) => {
+        const character = characterService.getCharacter(request.params.characterId);
+
+        return {
+            success: true,
+            slots: equipmentService.getSlots(),
+            equipment: equipmentService.getEquipment(character.id),
+            sets: setService.getSetProgress(character)
+        };
+    });
+
+    fastify.post('/equipment/:characterId/equip', async (request) => {
+        const { itemId, slot } = request.body || {};
+        const character = equipmentService.equipItem(request.params.characterId, itemId, slot);
+
+        return equipmentResponse(character);
+    });
+
+    fastify.post('/equipment/:characterId/unequip', async (request) => {
+        const { slot } = request.body || {};
+        const character = equipmentService.unequipItem(request.params.characterId, slot);
+
+        return equipmentResponse(character);
+    });
+
+    fastify.post('/equipment/:characterId/optimize', async (request) => {
+        const { goal, weights } = request.body || {};
+        return { success: true, ...optimizerService.optimizeEquipment(request.params.characterId, goal, weights) };
+    });
+
+    fastify.post('/equipment/:characterId/optimize/apply', async (request) => {
+        const { equipment } = request.body || {};
+        const character = optimizerService.applyLoadout(request.params.characterId, equipment);
+
+        return equipmentResponse(character);
+    });
+}
+
+module.exports = equipmentController;
@@ -0,0 +1,162 @@
+/**
+ * Equipment Service
+ * Equips and unequips items, enforcing slot rules and two-handed weapons
+ */
+const AppError = require('../shared/app-error');
+const characterModel = require('../character/character-model');
+const itemsModel = require('../items/items-model');
+const characterService = require('../character/character-service');
+const inventoryService = require('../inventory/inventory-service');
+
+/**
+ * Get the equipment slots every character has
+ * @returns {Array} Slot definitions { id, name, accepts }, in display order
+ */
+function getSlots() {
+    return characterModel.EQUIPMENT_SLOT_DEFINITIONS;
+}
+
+/**
+ * Get a character's equipped items
+ * Characters created before a slot existed get it as an empty slot
+ * @param {string} characterId - Character id
+ * @returns {Object} Equipped items keyed by slot
+ */
+function getEquipment(characterId) {
+    return {
+        ...characterModel.createEmptyEquipment(),
+        ...characterService.getCharacter(characterId).equipment
+    };
+}
+
+/**
+ * Check that a slot name is one of the equipment slots
+ * @param {string} slot - Slot name
+ */
+function validateSlot(slot) {
+    if (!characterModel.EQUIPMENT_SLOTS.includes(slot)) {
+        throw new AppError('Invalid equipment slot');
+    }
+}
+
+/**
+ * Pick the slot an item goes in
+ * A requested slot must accept the item; otherwise the first empty matching slot is used,
+ * falling back to the first matching slot
+ * @param {Object} character - The character
+ * @param {Object} item - Item to equip
+ * @param {string} [slot] - Requested slot
+ * @returns {string} Slot id
+ */
+function resolveSlot(character, item, slot) {
+    const candidates = characterModel.getSlotsForItem(item);
+
+    if (candidates.length === 0) {
+        throw new AppError('Invalid equipment slot');
+    }
+
+    if (slot !== undefined) {
+        if (!candidates.includes(slot)) {
+            throw new AppError(`${item.name} can only be equipped in the ${candidates.join(' or ')} slot`);
+        }
+
+        return slot;
+    }
+
+    return candidates.find(candidate => !character.equipment[candidate]) || candidates[0];
+}
+
+/**
+ * Move whatever is in a slot back to the inventory
+ * @param {Object} character - The character (modified in place)
+ * @param {string} slot - Equipment slot
+ * @returns {Object|null} The item that was removed
+ */
+function clearSlot(character, slot) {
+    const item = character.equipment[slot];
+
+    if (item) {
+        character.equipment[slot] = null;
+        inventoryService.addItem(character, item);
+    }
+
+    return item;
+}
+
+/**
+ * Put an item into a character's equipment
+ * The replaced item goes back to the inventory, as does an off-hand item when a
+ * two-handed weapon is equipped, or a two-handed weapon when an off-hand item is
+ * @param {Object} character - The character (modified in place)
+ * @param {Object} item - Item to equip; the caller removes it from wherever it came from
+ * @param {string} [slot] - Requested slot, which must accept the item's slot
+ * @returns {Object} { slot, replaced } - The slot used and the items moved to the inventory
+ */
+function placeItem(character, item, slot) {
+    if (itemsModel.isStackable(item)) {
+        throw new AppError(`${item.name} cannot be equipped`);
+    }
+
+    const target = resolveSlot(character, item, slot);
+    const replaced = [clearSlot(character, target)];
+
+    if (target === 'mainHand' && item.twoHanded) {
+        replaced.push(clearSlot(character, 'offHand'));
+    }
+
+    const mainHand = character.equipment.mainHand;
+    if (target === 'offHand' && mainHand && mainHand.twoHanded) {
+        replaced.push(clearSlot(character, 'mainHand'));
+    }
+
+    character.equipment[target] = item;
+
+    return { slot: target, replaced: replaced.filter(Boolean) };
+}
+
+/**
+ * Equip an item from the inventory
+ * @param {string} characterId - Character id
+ * @param {string} itemId - Inventory item id
+ * @param {string} [slot] - Requested slot, which must accept the item's slot
+ * @returns {Object} The updated character
+ */
+function equipItem(characterId, itemId, slot) {
+    const character = characterService.getCharacter(characterId);
+    const index = character.inventory.findIndex(item => item.id === itemId);
+
+    if (index === -1) {
+        throw new AppError('Item not found in inventory', 404);
+    }
+
+    const item = character.inventory[index];
+    placeItem(character, item, slot);
+    character.inventory.splice(character.inventory.indexOf(item), 1);
+
+    return characterService.saveCharacter(character);
+}
+
+/**
+ * Move an equipped item back to the inventory
+ * @param {string} characterId - Character id
+ * @param {string} slot - Equipment slot
+ * @returns {Object} The updated character
+ */
+function unequipItem(characterId, slot) {
+    const character = characterService.getCharacter(characterId);
+    validateSlot(slot);
+
+    if (!clearSlot(character, slot)) {
+        throw new AppError('Nothing is equipped in that slot');
+    }
+
+    return characterService.saveCharacter(character);
+}
+
+module.exports = {
+    getSlots,
+    getEquipment,
+    placeItem,
+    equipItem,
+    unequipItem
+};
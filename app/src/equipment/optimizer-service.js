@@ -0,0 +1,281 @@
+/**
+ * Optimizer Service
+ * Searches a character's inventory for the loadout that best serves a goal
+ * Loadouts are built on a copy of the character with the normal equip rules, so two-handed
+ * weapons and both ring slots behave as they do in play, and each one is scored from the
+ * stat engine's output, which includes set bonuses
+ */
+const AppError = require('../shared/app-error');
+const itemsModel = require('../items/items-model');
+const characterModel = require('../character/character-model');
+const characterService = require('../character/character-service');
+const compareService = require('../items/compare-service');
+const equipmentService = require('./equipment-service');
+
+// Private properties
+const MAX_PASSES = 20;
+const SCORE_EPSILON = 0.0001;
+
+/**
+ * Average of a damage range
+ * @param {number} min - Minimum damage
+ * @param {number} max - Maximum damage
+ * @returns {number} Average damage
+ */
+function averageDamage(min, max) {
+    return (min + max) / 2;
+}
+
+// Scoring functions for each goal, taking derived stats; higher is better
+const GOALS = {
+    physicalDps: {
+        name: 'Physical DPS',
+        score: stats => averageDamage(stats.minPhysicalDamage, stats.maxPhysicalDamage) / stats.attackSpeed
+    },
+    magicDps: {
+        name: 'Magic DPS',
+        score: stats => averageDamage(stats.minMagicDamage, stats.maxMagicDamage) / stats.attackSpeed
+    },
+    effectiveHealth: {
+        name: 'Effective HP',
+        score: stats => {
+            const reduction = (stats.physicalDamageReduction + stats.magicDamageReduction) / 2;
+            return stats.maxHealth / (1 - reduction / 100);
+        }
+    },
+    custom: {
+        name: 'Custom',
+        score: (stats, weights) => Object.entries(weights)
+            .reduce((total, [stat, weight]) => total + stats[stat] * weight, 0)
+    }
+};
+
+/**
+ * Copy a character so loadouts can be tried without touching the stored one
+ * @param {Object} character - The character
+ * @returns {Object} Deep copy with every equipment slot present
+ */
+function cloneCharacter(character) {
+    const copy = JSON.parse(JSON.stringify(character));
+    copy.equipment = { ...characterModel.createEmptyEquipment(), ...copy.equipment };
+    return copy;
+}
+
+/**
+ * Check a goal and its weights and return the scoring function
+ * @param {string} goal - Goal id
+ * @param {Object} weights - Stat weights for the custom goal
+ * @param {Object} stats - Derived stats, used to check the weighted stat names
+ * @returns {Function} Scores derived stats
+ */
+function getScorer(goal, weights, stats) {
+    const definition = GOALS[goal];
+
+    if (!definition) {
+        throw new AppError('Unknown optimization goal');
+    }
+
+    if (goal !== 'custom') {
+        return derived => definition.score(derived);
+    }
+
+    const entries = Object.entries(weights || {}).filter(([, weight]) => weight);
+
+    if (entries.length === 0) {
+        throw new AppError('Give at least one stat a weight');
+    }
+
+    entries.forEach(([stat, weight]) => {
+        if (stats[stat] === undefined) {
+            throw new AppError(`Unknown stat: ${stat}`);
+        }
+
+        if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+            throw new AppError(`The weight for ${stat} must be a number`);
+        }
+    });
+
+    const validWeights = {};
+    entries.forEach(([stat, weight]) => {
+        validWeights[stat] = weight;
+    });
+
+    return derived => definition.score(derived, validWeights);
+}
+
+/**
+ * Score a loadout
+ * @param {Object} character - Character copy wearing the loadout
+ * @param {Function} scorer - Scores derived stats
+ * @returns {number} Score
+ */
+function scoreLoadout(character, scorer) {
+    return scorer(characterService.getDerivedStats(character));
+}
+
+/**
+ * Equip carried items on a character copy
+ * @param {Object} character - Character copy (modified in place)
+ * @param {Array} placements - { itemId, slot } pairs, equipped in order
+ */
+function applyPlacements(character, placements) {
+    placements.forEach(({ itemId, slot }) => {
+        const index = character.inventory.findIndex(item => item.id === itemId);
+        const [item] = character.inventory.splice(index, 1);
+        equipmentService.placeItem(character, item, slot);
+    });
+}
+
+/**
+ * List the changes worth trying from a loadout
+ * Every carried item is tried in every slot that accepts it, and each set the character
+ * carries pieces of is tried as a whole, since a single piece may only pay off with the rest
+ * @param {Object} character - Character copy wearing the current loadout
+ * @returns {Array} Moves, each a list of { itemId, slot } placements
+ */
+function getMoves(character) {
+    const equippable = character.inventory.filter(item =>
+        !itemsModel.isStackable(item) && characterModel.getSlotsForItem(item).length > 0);
+    const moves = [];
+    const sets = {};
+
+    equippable.forEach(item => {
+        characterModel.getSlotsForItem(item).forEach(slot => {
+            moves.push([{ itemId: item.id, slot }]);
+        });
+
+        if (item.set) {
+            sets[item.set] = sets[item.set] || {};
+            sets[item.set][item.templateId] = sets[item.set][item.templateId] || item;
+        }
+    });
+
+    Object.values(sets).forEach(pieces => {
+        const items = Object.values(pieces);
+        if (items.length > 1) {
+            moves.push(items.map(item => ({ itemId: item.id })));
+        }
+    });
+
+    return moves;
+}
+
+/**
+ * Climb towards the best loadout, taking the move that raises the score most until none does
+ * @param {Object} character - The character
+ * @param {Function} scorer - Scores derived stats
+ * @returns {Object} Character copy wearing the best loadout found
+ */
+function findBestLoadout(character, scorer) {
+    let best = cloneCharacter(character);
+    let bestScore = scoreLoadout(best, scorer);
+
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+        let improved = null;
+
+        getMoves(best).forEach(placements => {
+            const trial = cloneCharacter(best);
+
+            try {
+                applyPlacements(trial, placements);
+            } catch (error) {
+                if (error instanceof AppError) {
+                    return;
+                }
+                throw error;
+            }
+
+            const score = scoreLoadout(trial, scorer);
+            if (score > bestScore + SCORE_EPSILON) {
+                improved = trial;
+                bestScore = score;
+            }
+        });
+
+        if (!improved) {
+            break;
+        }
+
+        best = improved;
+    }
+
+    return best;
+}
+
+/**
+ * Propose the best loadout for a goal without equipping anything
+ * @param {string} characterId - Character id
+ * @param {string} goal - 'physicalDps', 'magicDps', 'effectiveHealth' or 'custom'
+ * @param {Object} [weights] - Stat weights keyed by derived stat, for the custom goal
+ * @returns {Object} { goal, score, equipment, changes, deltas }
+ */
+function optimizeEquipment(characterId, goal, weights) {
+    const character = characterService.getCharacter(characterId);
+    const current = cloneCharacter(character);
+    const currentStats = characterService.getDerivedStats(current);
+    const scorer = getScorer(goal, weights, currentStats);
+    const proposal = findBestLoadout(character, scorer);
+    const round = value => Math.round(value * 100) / 100;
+
+    const changes = Object.keys(proposal.equipment)
+        .filter(slot => (current.equipment[slot] || {}).id !== (proposal.equipment[slot] || {}).id)
+        .map(slot => ({ slot, from: current.equipment[slot], to: proposal.equipment[slot] }));
+
+    return {
+        goal: { id: goal, name: GOALS[goal].name },
+        score: {
+            before: round(scoreLoadout(current, scorer)),
+            after: round(scoreLoadout(proposal, scorer))
+        },
+        equipment: proposal.equipment,
+        changes,
+        deltas: compareService.getStatDeltas(currentStats, characterService.getDerivedStats(proposal))
+    };
+}
+
+/**
+ * Equip a proposed loadout
+ * Items may come from the inventory or from another equipment slot; the result must match
+ * the loadout exactly, so one that breaks the two-handed rules is refused
+ * @param {string} characterId - Character id
+ * @param {Object} loadout - Item ids (or null) keyed by slot
+ * @returns {Object} The updated character
+ */
+function applyLoadout(characterId, loadout) {
+    const character = characterService.getCharacter(characterId);
+    const candidate = cloneCharacter(character);
+    const entries = Object.entries(loadout || {});
+    const idIn = slot => (candidate.equipment[slot] || {}).id || null;
+
+    entries.filter(([slot, itemId]) => itemId && idIn(slot) !== itemId).forEach(([slot, itemId]) => {
+        const equippedSlot = Object.keys(candidate.equipment).find(key => idIn(key) === itemId);
+        let item;
+
+        if (equippedSlot) {
+            item = candidate.equipment[equippedSlot];
+            candidate.equipment[equippedSlot] = null;
+        } else {
+            const index = candidate.inventory.findIndex(carried => carried.id === itemId);
+            if (index === -1) {
+                throw new AppError('Item not found in inventory', 404);
+            }
+            [item] = candidate.inventory.splice(index, 1);
+        }
+
+        equipmentService.placeItem(candidate, item, slot);
+    });
+
+    if (!entries.every(([slot, itemId]) => idIn(slot) === (itemId || null))) {
+        throw new AppError('Those items cannot be equipped together');
+    }
+
+    character.equipment = candidate.equipment;
+    character.inventory = candidate.inventory;
+
+    return characterService.saveCharacter(character);
+}
+
+module.exports = {
+    optimizeEquipment,
+    applyLoadout
+};
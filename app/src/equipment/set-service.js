@@ -0,0 +1,95 @@
+/**
+ * Set Service
+ * Works out which item set bonuses a character has active
+ * Items declare a `set` id in data/items.json; each set grants bonuses or effects once enough pieces are equipped
+ */
+const itemsService = require('../items/items-service');
+const effectsService = require('../effects/effects-service');
+
+/**
+ * Count the distinct pieces of each set a character has equipped
+ * The same template equipped twice only counts once
+ * @param {Object} character - The character
+ * @returns {Object} Equipped template ids keyed by set id
+ */
+function getEquippedPieces(character) {
+    const pieces = {};
+
+    Object.values(character.equipment || {}).filter(Boolean).forEach(item => {
+        if (item.set) {
+            pieces[item.set] = pieces[item.set] || new Set();
+            pieces[item.set].add(item.templateId || item.id);
+        }
+    });
+
+    return pieces;
+}
+
+/**
+ * Get every set tier a character has reached
+ * @param {Object} character - The character
+ * @returns {Array} Active tiers { set, pieces, bonuses, effects }
+ */
+function getActiveTiers(character) {
+    const pieces = getEquippedPieces(character);
+
+    return itemsService.getSets()
+        .filter(set => pieces[set.id])
+        .flatMap(set => set.tiers
+            .filter(tier => pieces[set.id].size >= tier.pieces)
+            .map(tier => ({ set, ...tier })));
+}
+
+/**
+ * Get the bonuses and effects a character's active set tiers grant, ready for the stat engine
+ * @param {Object} character - The character
+ * @returns {Object} { setBonuses, effects }
+ */
+function getSetModifiers(character) {
+    const tiers = getActiveTiers(character);
+
+    return {
+        setBonuses: tiers
+            .filter(tier => tier.bonuses)
+            .map(tier => ({ name: `${tier.set.name} (${tier.pieces} pieces)`, bonuses: tier.bonuses })),
+        effects: tiers.flatMap(tier => (tier.effects || []).map(effectId => {
+            const effect = effectsService.getEffect(effectId);
+            return { ...effect, name: `${tier.set.name} (${tier.pieces} pieces): ${effect.name}` };
+        }))
+    };
+}
+
+/**
+ * Describe a character's progress towards each set they have at least one piece of
+ * @param {Object} character - The character
+ * @returns {Array} Progress { id, name, equipped, pieces, tiers }
+ */
+function getSetProgress(character) {
+    const pieces = getEquippedPieces(character);
+
+    return itemsService.getSets()
+        .filter(set => pieces[set.id])
+        .map(set => {
+            const equipped = pieces[set.id].size;
+
+            return {
+                id: set.id,
+                name: set.name,
+                equipped,
+                pieces: itemsService.getItemTemplates()
+                    .filter(template => template.set === set.id)
+                    .map(template => ({ templateId: template.id, name: template.name, equipped: pieces[set.id].has(template.id) })),
+                tiers: set.tiers.map(tier => ({
+                    pieces: tier.pieces,
+                    bonuses: tier.bonuses || {},
+                    effects: (tier.effects || []).map(effectId => effectsService.getEffect(effectId).description),
+                    active: equipped >= tier.pieces
+                }))
+            };
+        });
+}
+
+module.exports = {
+    getSetModifiers,
+    getSetProgress
+};
@@ -0,0 +1,176 @@
+/**
+ * Consumables Service
+ * Applies potions and scrolls, both inside battles and between adventure encounters
+ * A consumable's effect is defined by the `use` block of its template in data/items.json
+ */
+const itemsService = require('../items/items-service');
+const inventoryService = require('./inventory-service');
+const characterService = require('../character/character-service');
+
+// Private properties
+const CONDITIONS = ['healthBelow', 'manaBelow', 'enemyHealthBelow'];
+
+/**
+ * Check whether an item is a consumable
+ * @param {Object} item - Item instance or template
+ * @returns {boolean} Whether the item is consumable
+ */
+function isConsumable(item) {
+    return Boolean(item) && item.type === 'consumable';
+}
+
+/**
+ * Count how many of a consumable a character carries
+ * @param {Object} character - The character
+ * @returns {Object} Quantities keyed by template id
+ */
+function countConsumables(character) {
+    const counts = {};
+    (character.inventory || []).filter(isConsumable).forEach(item => {
+        counts[item.templateId] = (counts[item.templateId] || 0) + (item.quantity || 1);
+    });
+    return counts;
+}
+
+/**
+ * Remove used consumables from a character's inventory, emptying stacks as needed
+ * @param {Object} character - The character (modified in place)
+ * @param {Object} used - Quantities used keyed by template id
+ */
+function removeConsumables(character, used) {
+    Object.entries(used).forEach(([templateId, count]) => {
+        inventoryService.removeItems(character, templateId, count);
+    });
+}
+
+/**
+ * Check whether a usage rule should fire
+ * @param {Object} rule - Usage rule { itemId, condition, threshold }
+ * @param {Object} user - Combatant-like state { health, mana, stats }
+ * @param {Object} [enemy] - Opposing combatant, if any
+ * @returns {boolean} Whether the rule's condition is met
+ */
+function isRuleTriggered(rule, user, enemy) {
+    const percent = (current, max) => (max > 0 ? (current / max) * 100 : 100);
+
+    switch (rule.condition) {
+        case 'healthBelow':
+            return percent(user.health, user.stats.maxHealth) < rule.threshold;
+        case 'manaBelow':
+            return percent(user.mana, user.stats.maxMana) < rule.threshold;
+        case 'enemyHealthBelow':
+            return Boolean(enemy) && percent(enemy.health, enemy.stats.maxHealth) < rule.threshold;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Apply a consumable's effect
+ * @param {Object} template - Consumable template
+ * @param {Object} user - Combatant-like state using the item (modified in place)
+ * @param {Object} [enemy] - Opposing combatant (modified in place by damaging items)
+ * @returns {Object} { type: 'heal' | 'damage', health, mana, damage } amounts applied
+ */
+function applyConsumable(template, user, enemy) {
+    const use = template.use || {};
+    const result = { type: 'heal', health: 0, mana: 0, damage: 0 };
+
+    if (use.health) {
+        const health = Math.min(user.stats.maxHealth, user.health + use.health);
+        result.health = health - user.health;
+        user.health = health;
+    }
+
+    if (use.mana) {
+        const mana = Math.min(user.stats.maxMana, user.mana + use.mana);
+        result.mana = mana - user.mana;
+        user.mana = mana;
+    }
+
+    if (use.damage && enemy) {
+        const reduction = use.damageType === 'magic' ?
+            enemy.stats.magicDamageReduction : enemy.stats.physicalDamageReduction;
+        result.type = 'damage';
+        result.damage = Math.max(1, Math.round(use.damage * (1 - reduction / 100)));
+        enemy.health = Math.max(0, enemy.health - result.damage);
+    }
+
+    return result;
+}
+
+/**
+ * Describe what a consumable did
+ * @param {Object} template - Consumable template
+ * @param {Object} result - Result of applyConsumable
+ * @returns {string} Short description such as "restoring 40 health"
+ */
+function describeResult(template, result) {
+    if (result.type === 'damage') {
+        return `dealing ${result.damage} damage`;
+    }
+
+    const parts = [];
+    if (result.health > 0) {
+        parts.push(`${result.health} health`);
+    }
+    if (result.mana > 0) {
+        parts.push(`${result.mana} mana`);
+    }
+    return parts.length > 0 ? `restoring ${parts.join(' and ')}` : 'to no effect';
+}
+
+/**
+ * Use consumables outside of combat, following the character's usage rules
+ * Only restoring items apply without an enemy; scrolls are kept for battle
+ * @param {Object} character - The character (modified in place)
+ * @returns {Array} Uses { name, description }
+ */
+function useBetweenEncounters(character) {
+    const stats = characterService.getDerivedStats(character);
+    const state = {
+        stats,
+        health: character.health === null ? stats.maxHealth : character.health,
+        mana: character.mana === null ? stats.maxMana : character.mana
+    };
+    const counts = countConsumables(character);
+    const used = {};
+    const uses = [];
+
+    (character.consumableRules || []).forEach(rule => {
+        const template = itemsService.getItemTemplate(rule.itemId);
+        if (template.use && template.use.damage) {
+            return;
+        }
+
+        while ((counts[rule.itemId] || 0) > 0 && isRuleTriggered(rule, state)) {
+            const result = applyConsumable(template, state);
+
+            // Stop rather than waste items that restore nothing the rule cares about
+            if (result.health === 0 && result.mana === 0) {
+                break;
+            }
+
+            counts[rule.itemId]--;
+            used[rule.itemId] = (used[rule.itemId] || 0) + 1;
+            uses.push({ name: template.name, description: describeResult(template, result) });
+        }
+    });
+
+    character.health = state.health;
+    character.mana = state.mana;
+    removeConsumables(character, used);
+
+    return uses;
+}
+
+module.exports = {
+    CONDITIONS,
+    isConsumable,
+    countConsumables,
+    removeConsumables,
+    isRuleTriggered,
+    applyConsumable,
+    describeResult,
+    useBetweenEncounters
+};
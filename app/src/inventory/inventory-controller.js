@@ -0,0 +1,17 @@
+/**
+ * Inventory Controller
+ * Registers the /api/inventory routes
+ */
+const inventoryService = require('./inventory-service');
+
+/**
+ * Inventory routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function inventoryController(fastify) {
+    fastify.get('/inventory/:characterId', async (request) => {
+        return { success: true, items: inventoryService.getInventory(request.params.characterId) };
+    });
+}
+
+module.exports = inventoryController;
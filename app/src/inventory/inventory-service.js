@@ -0,0 +1,90 @@
+/**
+ * Inventory Service
+ * Manages the items a character carries
+ */
+const characterService = require('../character/character-service');
+const itemsModel = require('../items/items-model');
+const itemsService = require('../items/items-service');
+
+/**
+ * Get the items in a character's inventory
+ * @param {string} characterId - Character id
+ * @returns {Array} Inventory items
+ */
+function getInventory(characterId) {
+    return characterService.getCharacter(characterId).inventory;
+}
+
+/**
+ * Add an item to a character's inventory
+ * Stackable items join an existing stack of the same template
+ * @param {Object} character - The character (modified in place)
+ * @param {Object} item - The item instance
+ */
+function addItem(character, item) {
+    if (itemsModel.isStackable(item)) {
+        const stack = character.inventory.find(existing => existing.templateId === item.templateId);
+
+        if (stack) {
+            stack.quantity = (stack.quantity || 1) + (item.quantity || 1);
+            return;
+        }
+    }
+
+    character.inventory.push(item);
+}
+
+/**
+ * Count how many of a stackable item a character carries
+ * @param {Object} character - The character
+ * @param {string} templateId - Template id
+ * @returns {number} Total quantity across stacks
+ */
+function countItems(character, templateId) {
+    return character.inventory
+        .filter(item => itemsModel.isStackable(item) && item.templateId === templateId)
+        .reduce((sum, item) => sum + (item.quantity || 1), 0);
+}
+
+/**
+ * Take a quantity of a stackable item out of a character's inventory, emptying stacks as needed
+ * @param {Object} character - The character (modified in place)
+ * @param {string} templateId - Template id
+ * @param {number} count - Quantity to remove
+ */
+function removeItems(character, templateId, count) {
+    let remaining = count;
+
+    character.inventory.forEach(item => {
+        if (remaining > 0 && itemsModel.isStackable(item) && item.templateId === templateId) {
+            const taken = Math.min(remaining, item.quantity || 1);
+            item.quantity = (item.quantity || 1) - taken;
+            remaining -= taken;
+        }
+    });
+
+    character.inventory = character.inventory.filter(item => !itemsModel.isStackable(item) || item.quantity > 0);
+}
+
+/**
+ * Compare the materials a character carries with the quantities something needs
+ * @param {Object} character - The character
+ * @param {Object} materials - Required quantities keyed by template id
+ * @returns {Array} Requirements { templateId, name, quantity, owned }
+ */
+function getMaterialRequirements(character, materials) {
+    return Object.entries(materials || {}).map(([templateId, quantity]) => ({
+        templateId,
+        name: itemsService.getItemTemplate(templateId).name,
+        quantity,
+        owned: countItems(character, templateId)
+    }));
+}
+
+module.exports = {
+    getInventory,
+    addItem,
+    countItems,
+    removeItems,
+    getMaterialRequirements
+};
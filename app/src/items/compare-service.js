@@ -0,0 +1,96 @@
+/**
+ * Compare Service
+ * Shows what equipping an item would do to a character's combat stats
+ * The item is equipped on a copy of the character, following the same slot and two-handed
+ * rules as equipping it for real, and both versions are run through the stat engine
+ */
+const AppError = require('../shared/app-error');
+const characterService = require('../character/character-service');
+const equipmentService = require('../equipment/equipment-service');
+const shopService = require('../shop/shop-service');
+
+// Stats where a smaller number is an improvement
+const LOWER_IS_BETTER = ['attackSpeed'];
+
+/**
+ * Find an item a character could equip: carried, equipped or for sale in their shop
+ * @param {Object} character - The character
+ * @param {string} itemId - Item id
+ * @returns {Object} { item, source } where source is 'inventory', 'equipment' or 'shop'
+ */
+function findComparableItem(character, itemId) {
+    const carried = character.inventory.find(item => item.id === itemId);
+    if (carried) {
+        return { item: carried, source: 'inventory' };
+    }
+
+    const equipped = Object.values(character.equipment).find(item => item && item.id === itemId);
+    if (equipped) {
+        return { item: equipped, source: 'equipment' };
+    }
+
+    const forSale = shopService.findStockItem(character, itemId);
+    if (forSale) {
+        return { item: forSale, source: 'shop' };
+    }
+
+    throw new AppError('Item not found', 404);
+}
+
+/**
+ * Work out the change in every derived stat
+ * @param {Object} before - Derived stats now
+ * @param {Object} after - Derived stats with the item equipped
+ * @returns {Object} { before, after, delta, better } keyed by stat name
+ */
+function getStatDeltas(before, after) {
+    const deltas = {};
+
+    Object.keys(after).forEach(stat => {
+        const delta = Math.round((after[stat] - before[stat]) * 100) / 100;
+
+        deltas[stat] = {
+            before: before[stat],
+            after: after[stat],
+            delta,
+            better: LOWER_IS_BETTER.includes(stat) ? delta < 0 : delta > 0
+        };
+    });
+
+    return deltas;
+}
+
+/**
+ * Compare a character's stats with and without an item equipped
+ * @param {string} characterId - Character id
+ * @param {string} itemId - Id of an owned item or one in the character's shop
+ * @returns {Object} { item, source, slot, replaces, deltas }
+ */
+function compareItem(characterId, itemId) {
+    const character = characterService.getCharacter(characterId);
+    const { item, source } = findComparableItem(character, itemId);
+    const candidate = JSON.parse(JSON.stringify(character));
+    let placed = {
+        slot: Object.keys(character.equipment).find(key => character.equipment[key] === item),
+        replaced: []
+    };
+
+    // An equipped item is compared against itself, so every delta is zero
+    if (source !== 'equipment') {
+        candidate.inventory = candidate.inventory.filter(carried => carried.id !== item.id);
+        placed = equipmentService.placeItem(candidate, JSON.parse(JSON.stringify(item)));
+    }
+
+    return {
+        item,
+        source,
+        slot: placed.slot,
+        replaces: placed.replaced,
+        deltas: getStatDeltas(characterService.getDerivedStats(character), characterService.getDerivedStats(candidate))
+    };
+}
+
+module.exports = {
+    getStatDeltas,
+    compareItem
+};
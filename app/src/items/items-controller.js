@@ -0,0 +1,52 @@
+/**
+ * Items Controller
+ * Registers the /api/items catalog, comparison and upgrade routes
+ */
+const itemsService = require('./items-service');
+const upgradeService = require('./upgrade-service');
+const compareService = require('./compare-service');
+const characterService = require('../character/character-service');
+
+/**
+ * Items routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function itemsController(fastify) {
+    fastify.get('/items', async () => {
+        return { success: true, items: itemsService.getItemTemplates() };
+    });
+
+    fastify.get('/items/rarities', async () => {
+        return { success: true, rarities: itemsService.getRarities() };
+    });
+
+    fastify.get('/items/compare', async (request) => {
+        const { characterId, itemId } = request.query;
+        return { success: true, ...compareService.compareItem(characterId, itemId) };
+    });
+
+    fastify.get('/items/:itemId', async (request) => {
+        return { success: true, item: itemsService.getItemTemplate(request.params.itemId) };
+    });
+
+    fastify.get('/items/:itemId/upgrade', async (request) => {
+        const { characterId } = request.query;
+        return { success: true, ...upgradeService.previewUpgrade(characterId, request.params.itemId) };
+    });
+
+    fastify.post('/items/:itemId/upgrade', async (request) => {
+        const { characterId } = request.body || {};
+        const { upgraded, item, character } = upgradeService.upgradeItem(characterId, request.params.itemId);
+
+        return {
+            success: true,
+            upgraded,
+            item,
+            equipment: character.equipment,
+            inventory: character.inventory,
+            character: characterService.toClientCharacter(character)
+        };
+    });
+}
+
+module.exports = itemsController;
@@ -0,0 +1,55 @@
+/**
+ * Items Model
+ * Builds the item instances characters own from catalog templates
+ */
+const crypto = require('crypto');
+
+// Item types that are carried in stacks rather than as individual instances
+const STACKABLE_TYPES = ['consumable', 'material'];
+
+/**
+ * Check whether an item is carried in stacks
+ * @param {Object} item - Item instance or template
+ * @returns {boolean} Whether the item stacks
+ */
+function isStackable(item) {
+    return Boolean(item) && STACKABLE_TYPES.includes(item.type);
+}
+
+/**
+ * Create an owned item instance from a catalog template
+ * @param {Object} template - Catalog item template
+ * @returns {Object} A new item instance with its own id
+ */
+function createItemInstance(template) {
+    const item = {
+        ...JSON.parse(JSON.stringify(template)),
+        id: crypto.randomUUID(),
+        templateId: template.id
+    };
+
+    if (isStackable(template)) {
+        item.quantity = 1;
+    }
+
+    return item;
+}
+
+/**
+ * Copy an item instance under a new id
+ * @param {Object} item - Item instance
+ * @returns {Object} An identical item with its own id
+ */
+function copyItemInstance(item) {
+    return {
+        ...JSON.parse(JSON.stringify(item)),
+        id: crypto.randomUUID()
+    };
+}
+
+module.exports = {
+    STACKABLE_TYPES,
+    isStackable,
+    createItemInstance,
+    copyItemInstance
+};
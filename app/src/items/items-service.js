@@ -0,0 +1,275 @@
+/**
+ * Items Service
+ * Provides access to the item catalog and creates item instances
+ * Generated items roll a rarity tier and prefix/suffix affixes on top of a base template
+ */
+const dataService = require('../shared/data-service');
+const AppError = require('../shared/app-error');
+const itemsModel = require('./items-model');
+
+// Private properties
+const CATALOG_COLLECTION = 'items';
+const PRICE_INCREASE_PER_LEVEL = 0.1;
+
+/**
+ * Get the whole item catalog
+ * @returns {Object} { items, rarities, affixes, upgrades, salvage, sets }
+ */
+function getCatalog() {
+    return dataService.getCollection(CATALOG_COLLECTION, { items: [], rarities: [], affixes: [] });
+}
+
+/**
+ * Get every item template in the catalog
+ * @returns {Array} Item templates
+ */
+function getItemTemplates() {
+    return getCatalog().items;
+}
+
+/**
+ * Get the rarity tiers, from most to least common
+ * @returns {Array} Rarity definitions
+ */
+function getRarities() {
+    return getCatalog().rarities || [];
+}
+
+/**
+ * Get a rarity tier
+ * @param {string} rarityId - Rarity id
+ * @returns {Object} The rarity definition
+ */
+function getRarity(rarityId) {
+    const rarity = getRarities().find(tier => tier.id === rarityId);
+
+    if (!rarity) {
+        throw new AppError('Unknown item rarity');
+    }
+
+    return rarity;
+}
+
+/**
+ * Get the upgrade levels, from +1 upwards
+ * @returns {Array} Upgrade definitions { level, statBonus, gold, materials, successChance }
+ */
+function getUpgradeLevels() {
+    return getCatalog().upgrades || [];
+}
+
+/**
+ * Get the materials each item type salvages into, before rarity extras
+ * @returns {Object} Material quantities keyed by item type, then template id
+ */
+function getSalvageYields() {
+    return getCatalog().salvage || {};
+}
+
+/**
+ * Get the item set definitions
+ * @returns {Array} Sets { id, name, tiers }
+ */
+function getSets() {
+    return getCatalog().sets || [];
+}
+
+/**
+ * Get a single item template
+ * @param {string} templateId - Template id
+ * @returns {Object} The item template
+ */
+function getItemTemplate(templateId) {
+    const template = getItemTemplates().find(item => item.id === templateId);
+
+    if (!template) {
+        throw new AppError('Item not found', 404);
+    }
+
+    return template;
+}
+
+/**
+ * Get the templates a character of the given level can use
+ * @param {number} level - Character level
+ * @returns {Array} Matching item templates
+ */
+function getItemTemplatesForLevel(level) {
+    return getItemTemplates().filter(item => (item.level || 1) <= level);
+}
+
+/**
+ * Get the position of a rarity from most to least common
+ * Items without a rarity count as the most common tier
+ * @param {string} [rarityId] - Rarity id
+ * @returns {number} Rank, starting at 0
+ */
+function getRarityRank(rarityId) {
+    return Math.max(0, getRarities().findIndex(tier => tier.id === rarityId));
+}
+
+/**
+ * Create a new item instance from a template, exactly as the catalog defines it
+ * @param {string} templateId - Template id
+ * @returns {Object} The item instance
+ */
+function createItem(templateId) {
+    return itemsModel.createItemInstance(getItemTemplate(templateId));
+}
+
+/**
+ * Pick a rarity tier using the catalog weights
+ * @returns {Object} The rolled rarity definition
+ */
+function rollRarity() {
+    const rarities = getRarities();
+    const totalWeight = rarities.reduce((sum, tier) => sum + tier.weight, 0);
+    let roll = Math.random() * totalWeight;
+
+    for (const tier of rarities) {
+        roll -= tier.weight;
+        if (roll < 0) {
+            return tier;
+        }
+    }
+
+    return rarities[0];
+}
+
+/**
+ * Roll an affix value within its range, scaled by item level
+ * Whole-number ranges roll whole numbers; fractional ranges keep two decimals
+ * @param {Object} affix - Affix definition
+ * @param {number} level - Item level
+ * @returns {number} Rolled value
+ */
+function rollAffixValue(affix, level) {
+    const levelBonus = (affix.perLevel || 0) * (level - 1);
+    const value = affix.min + Math.random() * (affix.max - affix.min) + levelBonus;
+
+    if (Number.isInteger(affix.min) && Number.isInteger(affix.max)) {
+        return Math.round(value);
+    }
+
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Roll distinct affixes for an item, alternating prefixes and suffixes
+ * @param {Object} template - Base item template
+ * @param {number} count - Number of affixes to roll
+ * @param {number} level - Item level the affix values scale with
+ * @returns {Array} Rolled affixes { id, type, name, stat, value }
+ */
+function rollAffixes(template, count, level) {
+    const pool = (getCatalog().affixes || [])
+        .filter(affix => !affix.itemTypes || affix.itemTypes.includes(template.type));
+    const rolled = [];
+
+    for (let i = 0; i < count; i++) {
+        const wantedType = i % 2 === 0 ? 'prefix' : 'suffix';
+        const remaining = pool.filter(affix => !rolled.some(existing => existing.id === affix.id));
+        const preferred = remaining.filter(affix => affix.type === wantedType);
+        const candidates = preferred.length > 0 ? preferred : remaining;
+
+        if (candidates.length === 0) {
+            break;
+        }
+
+        const affix = candidates[Math.floor(Math.random() * candidates.length)];
+        rolled.push({
+            id: affix.id,
+            type: affix.type,
+            name: affix.name,
+            stat: affix.stat,
+            value: rollAffixValue(affix, level)
+        });
+    }
+
+    return rolled;
+}
+
+/**
+ * Generate a randomized item from a base template
+ * The rarity scales the base damage, bonuses and price, and sets how many affixes are rolled
+ * @param {string} templateId - Template id
+ * @param {Object} options - Generation options
+ * @param {string} [options.rarity] - Force a rarity instead of rolling one
+ * @param {string} [options.minRarity] - Lowest rarity the roll may land on
+ * @param {number} [options.level] - Item level above the template's own, which strengthens affixes
+ * @returns {Object} The generated item instance
+ */
+function generateItem(templateId, options = {}) {
+    const template = getItemTemplate(templateId);
+
+    // Consumables and materials have no rarity or affixes
+    if (itemsModel.isStackable(template)) {
+        return itemsModel.createItemInstance(template);
+    }
+
+    let rarity = options.rarity ? getRarity(options.rarity) : rollRarity();
+    if (options.minRarity && getRarityRank(rarity.id) < getRarityRank(options.minRarity)) {
+        rarity = getRarity(options.minRarity);
+    }
+    const item = itemsModel.createItemInstance(template);
+    const multiplier = rarity.statMultiplier;
+    const level = Math.max(template.level || 1, options.level || 1);
+
+    if (item.minDamage !== undefined) {
+        item.minDamage = Math.round(item.minDamage * multiplier);
+        item.maxDamage = Math.round(item.maxDamage * multiplier);
+    }
+
+    const bonuses = {};
+    Object.entries(item.bonuses || {}).forEach(([stat, value]) => {
+        bonuses[stat] = Number.isInteger(value) ? Math.round(value * multiplier) : value;
+    });
+
+    const affixes = rollAffixes(template, rarity.affixCount, level);
+    affixes.forEach(affix => {
+        bonuses[affix.stat] = Math.round(((bonuses[affix.stat] || 0) + affix.value) * 100) / 100;
+    });
+
+    const prefix = affixes.find(affix => affix.type === 'prefix');
+    const suffix = affixes.find(affix => affix.type === 'suffix');
+
+    return {
+        ...item,
+        name: [prefix && prefix.name, template.name, suffix && suffix.name].filter(Boolean).join(' '),
+        level,
+        rarity: rarity.id,
+        affixes,
+        bonuses,
+        price: item.price !== undefined ?
+            Math.round(item.price * rarity.priceMultiplier * (1 + PRICE_INCREASE_PER_LEVEL * (level - (template.level || 1)))) :
+            item.price
+    };
+}
+
+/**
+ * Generate a random item a character of the given level can use, at that level
+ * @param {number} level - Character level
+ * @param {Object} options - Extra generation options, such as a forced rarity
+ * @returns {Object} The generated item instance
+ */
+function generateItemForLevel(level, options = {}) {
+    const templates = getItemTemplatesForLevel(level);
+    const template = templates[Math.floor(Math.random() * templates.length)];
+
+    return generateItem(template.id, { ...options, level });
+}
+
+module.exports = {
+    getItemTemplates,
+    getItemTemplate,
+    getItemTemplatesForLevel,
+    getRarities,
+    getRarity,
+    getRarityRank,
+    getUpgradeLevels,
+    getSalvageYields,
+    getSets,
+    createItem,
+    generateItem,
+    generateItemForLevel
+};
@@ -0,0 +1,183 @@
+/**
+ * Upgrade Service
+ * Upgrades owned weapons and armor from +0 to +10 for gold and materials
+ * Each level raises a weapon's damage or an armor piece's bonuses along the curve in data/items.json;
+ * the higher levels can fail, which still uses up the gold and materials
+ */
+const AppError = require('../shared/app-error');
+const itemsModel = require('./items-model');
+const itemsService = require('./items-service');
+const characterService = require('../character/character-service');
+const inventoryService = require('../inventory/inventory-service');
+
+/**
+ * Find an item a character owns, whether carried or equipped
+ * @param {Object} character - The character
+ * @param {string} itemId - Item id
+ * @returns {Object} The item instance
+ */
+function findOwnedItem(character, itemId) {
+    const item = character.inventory.find(candidate => candidate.id === itemId) ||
+        Object.values(character.equipment).find(candidate => candidate && candidate.id === itemId);
+
+    if (!item) {
+        throw new AppError('Item not found', 404);
+    }
+
+    return item;
+}
+
+/**
+ * Get the definition of the next upgrade level for an item
+ * @param {Object} item - Item instance
+ * @returns {Object} Upgrade definition { level, statBonus, gold, materials, successChance }
+ */
+function getNextUpgrade(item) {
+    if (itemsModel.isStackable(item)) {
+        throw new AppError(`${item.name} cannot be upgraded`);
+    }
+
+    const levels = itemsService.getUpgradeLevels();
+    const next = levels.find(upgrade => upgrade.level === (item.upgradeLevel || 0) + 1);
+
+    if (!next) {
+        throw new AppError(`${item.name} is already at +${levels.length}`);
+    }
+
+    return next;
+}
+
+/**
+ * Raise a stat by an upgrade's bonus
+ * Whole numbers always go up by at least one point so small bonuses still improve
+ * @param {number} value - Base value
+ * @param {number} statBonus - Fractional increase
+ * @returns {number} Upgraded value
+ */
+function raiseStat(value, statBonus) {
+    if (!Number.isInteger(value)) {
+        return Math.round(value * (1 + statBonus) * 100) / 100;
+    }
+
+    // Round first so floating point noise cannot push the increase up a point
+    const increase = Math.round(value * statBonus * 100) / 100;
+    return value > 0 && statBonus > 0 ? value + Math.ceil(increase) : value;
+}
+
+/**
+ * Set an item to an upgrade level, recalculating its stats from the pre-upgrade values
+ * @param {Object} item - Item instance (modified in place)
+ * @param {number} level - Upgrade level
+ * @returns {Object} The item
+ */
+function applyUpgradeLevel(item, level) {
+    // Keep the stats the item had at +0 so every level is calculated from the same base
+    if (!item.baseStats) {
+        item.baseStats = JSON.parse(JSON.stringify({
+            minDamage: item.minDamage,
+            maxDamage: item.maxDamage,
+            bonuses: item.bonuses || {},
+            price: item.price
+        }));
+    }
+
+    const upgrade = itemsService.getUpgradeLevels().find(candidate => candidate.level === level);
+    const statBonus = upgrade ? upgrade.statBonus : 0;
+    const base = item.baseStats;
+
+    if (item.type === 'weapon' && base.minDamage !== undefined) {
+        item.minDamage = raiseStat(base.minDamage, statBonus);
+        item.maxDamage = raiseStat(base.maxDamage, statBonus);
+    } else {
+        item.bonuses = {};
+        Object.entries(base.bonuses).forEach(([stat, value]) => {
+            item.bonuses[stat] = raiseStat(value, statBonus);
+        });
+    }
+
+    if (base.price !== undefined) {
+        item.price = Math.round(base.price * (1 + statBonus));
+    }
+
+    item.upgradeLevel = level;
+    return item;
+}
+
+/**
+ * Work out what an upgrade costs and whether the character can pay for it
+ * Gold scales with the item's level; materials do not
+ * @param {Object} character - The character
+ * @param {Object} item - Item instance
+ * @param {Object} upgrade - Upgrade definition
+ * @returns {Object} { gold, materials, canAfford }
+ */
+function getUpgradeCost(character, item, upgrade) {
+    const gold = upgrade.gold * (item.level || 1);
+    const materials = inventoryService.getMaterialRequirements(character, upgrade.materials);
+
+    return {
+        gold,
+        materials,
+        canAfford: character.gold >= gold && materials.every(material => material.owned >= material.quantity)
+    };
+}
+
+/**
+ * Preview the next upgrade of an item: its cost, its odds and the stats it would have
+ * @param {string} characterId - Character id
+ * @param {string} itemId - Owned item id
+ * @returns {Object} { item, upgraded, level, successChance, cost }
+ */
+function previewUpgrade(characterId, itemId) {
+    const character = characterService.getCharacter(characterId);
+    const item = findOwnedItem(character, itemId);
+    const upgrade = getNextUpgrade(item);
+
+    return {
+        item,
+        upgraded: applyUpgradeLevel(JSON.parse(JSON.stringify(item)), upgrade.level),
+        level: upgrade.level,
+        successChance: upgrade.successChance,
+        cost: getUpgradeCost(character, item, upgrade)
+    };
+}
+
+/**
+ * Try to upgrade an item by one level
+ * The gold and materials are spent whether or not the attempt succeeds
+ * @param {string} characterId - Character id
+ * @param {string} itemId - Owned item id
+ * @returns {Object} { upgraded, item, character }
+ */
+function upgradeItem(characterId, itemId) {
+    const character = characterService.getCharacter(characterId);
+    const item = findOwnedItem(character, itemId);
+    const upgrade = getNextUpgrade(item);
+    const cost = getUpgradeCost(character, item, upgrade);
+
+    if (character.gold < cost.gold) {
+        throw new AppError('Not enough gold');
+    }
+
+    const missing = cost.materials.find(material => material.owned < material.quantity);
+    if (missing) {
+        throw new AppError(`Not enough ${missing.name} (${missing.owned}/${missing.quantity})`);
+    }
+
+    character.gold -= cost.gold;
+    cost.materials.forEach(material => {
+        inventoryService.removeItems(character, material.templateId, material.quantity);
+    });
+
+    const upgraded = Math.random() < upgrade.successChance;
+    if (upgraded) {
+        applyUpgradeLevel(item, upgrade.level);
+    }
+
+    return { upgraded, item, character: characterService.saveCharacter(character) };
+}
+
+module.exports = {
+    previewUpgrade,
+    upgradeItem
+};
@@ -0,0 +1,22 @@
+/**
+ * Leaderboard Controller
+ * Registers the /api/leaderboard routes
+ */
+const leaderboardService = require('./leaderboard-service');
+
+/**
+ * Leaderboard routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function leaderboardController(fastify) {
+    fastify.get('/leaderboard/pvp', async (request) => {
+        const { page, pageSize } = request.query;
+        return { success: true, ...leaderboardService.getPvpLeaderboard(page, pageSize) };
+    });
+
+    fastify.get('/leaderboard/pvp/:characterId', async (request) => {
+        return { success: true, standing: leaderboardService.getPvpStanding(request.params.characterId) };
+    });
+}
+
+module.exports = leaderboardController;
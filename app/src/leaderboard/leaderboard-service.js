@@ -0,0 +1,97 @@
+/**
+ * Leaderboard Service
+ * Ranks characters by their PvP rating
+ */
+const AppError = require('../shared/app-error');
+const characterService = require('../character/character-service');
+const ratingService = require('../battle/rating-service');
+
+// Private properties
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Read a positive whole number from a query value
+ * @param {*} value - Query value
+ * @param {number} fallback - Used when the value is missing
+ * @param {string} name - Parameter name for the error message
+ * @returns {number} The parsed number
+ */
+function parsePositiveInteger(value, fallback, name) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new AppError(`${name} must be a positive whole number`);
+    }
+
+    return number;
+}
+
+/**
+ * Build a leaderboard row
+ * @param {Object} character - Rated character
+ * @param {number} position - Ladder position, starting at 1
+ * @returns {Object} Leaderboard entry
+ */
+function toLeaderboardEntry(character, position) {
+    const { rating, wins, losses, tier } = ratingService.getRating(character);
+    const characterClass = characterService.getClass(character.classId);
+
+    return {
+        position,
+        characterId: character.id,
+        name: character.name,
+        level: character.level,
+        className: characterClass ? characterClass.name : null,
+        rating,
+        tier,
+        wins,
+        losses
+    };
+}
+
+/**
+ * Get one page of the PvP ladder
+ * Only characters that have fought at least one ranked battle are ranked
+ * @param {*} [page] - Page number, starting at 1
+ * @param {*} [pageSize] - Entries per page
+ * @returns {Object} { entries, page, pageSize, total, totalPages }
+ */
+function getPvpLeaderboard(page, pageSize) {
+    const pageNumber = parsePositiveInteger(page, 1, 'Page');
+    const size = Math.min(parsePositiveInteger(pageSize, DEFAULT_PAGE_SIZE, 'Page size'), MAX_PAGE_SIZE);
+    const ladder = ratingService.getRatedCharacters();
+    const start = (pageNumber - 1) * size;
+
+    return {
+        entries: ladder.slice(start, start + size)
+            .map((character, index) => toLeaderboardEntry(character, start + index + 1)),
+        page: pageNumber,
+        pageSize: size,
+        total: ladder.length,
+        totalPages: Math.max(1, Math.ceil(ladder.length / size))
+    };
+}
+
+/**
+ * Get a character's rating, rank and ladder position
+ * @param {string} characterId - Character id
+ * @returns {Object} Rating with tier, next tier and position (null until their first ranked battle)
+ */
+function getPvpStanding(characterId) {
+    const character = characterService.getCharacter(characterId);
+    const index = ratingService.getRatedCharacters().findIndex(rated => rated.id === character.id);
+
+    return {
+        ...ratingService.getRating(character),
+        position: index === -1 ? null : index + 1
+    };
+}
+
+module.exports = {
+    getPvpLeaderboard,
+    getPvpStanding
+};
@@ -0,0 +1,71 @@
+/**
+ * Auth Middleware
+ * Resolves the session user of every API request and rejects anonymous calls
+ */
+const AppError = require('../shared/app-error');
+const authService = require('../auth/auth-service');
+const characterService = require('../character/character-service');
+
+// Private properties
+const PUBLIC_PREFIX = '/api/auth/';
+
+/**
+ * Resolve the session user from a request's cookie
+ * @param {Object} request - Fastify request
+ * @returns {Object|null} The public user data
+ */
+function getRequestUser(request) {
+    return authService.getSessionUser(request.cookies[authService.SESSION_COOKIE]);
+}
+
+/**
+ * preHandler hook attaching request.user and failing with 401 when there is none
+ * The auth routes stay public so visitors can register, log in and check their status
+ * @param {Object} request - Fastify request
+ */
+async function authenticate(request) {
+    request.user = getRequestUser(request);
+
+    if (!request.user && !request.url.startsWith(PUBLIC_PREFIX)) {
+        throw new AppError('Not authenticated', 401);
+    }
+}
+
+/**
+ * Collect the character ids a request wants to act on
+ * @param {Object} request - Fastify request
+ * @returns {Array} Character ids from the route params, query string and body
+ */
+function getRequestedCharacterIds(request) {
+    const sources = [request.params, request.query, request.body];
+
+    return sources
+        .filter(source => source && typeof source === 'object')
+        .map(source => source.characterId)
+        .filter(characterId => characterId !== undefined && characterId !== null);
+}
+
+/**
+ * preHandler hook failing with 403 when a request targets another account's character
+ * Runs after authenticate, so request.user is set on every non-public route
+ * @param {Object} request - Fastify request
+ */
+async function authorizeCharacter(request) {
+    if (!request.user) {
+        return;
+    }
+
+    getRequestedCharacterIds(request).forEach(characterId => {
+        const character = characterService.getCharacter(String(characterId));
+
+        if (character.userId !== request.user.id) {
+            throw new AppError('You do not own this character', 403);
+        }
+    });
+}
+
+module.exports = {
+    getRequestUser,
+    authenticate,
+    authorizeCharacter
+};
@@ -0,0 +1,38 @@
+/**
+ * Error Handler
+ * Converts thrown errors into the { success, message } shape the client expects
+ */
+const AppError = require('../shared/app-error');
+
+/**
+ * Fastify error handler
+ * @param {Error} error - The thrown error
+ * @param {Object} request - Fastify request
+ * @param {Object} reply - Fastify reply
+ */
+function errorHandler(error, request, reply) {
+    if (error instanceof AppError) {
+        return reply.code(error.statusCode).send({
+            success: false,
+            message: error.message
+        });
+    }
+
+    // Validation and parsing errors raised by fastify itself
+    if (error.statusCode && error.statusCode < 500) {
+        return reply.code(error.statusCode).send({
+            success: false,
+            message: error.message
+        });
+    }
+
+    request.log.error(error);
+    console.error(error);
+
+    return reply.code(500).send({
+        success: false,
+        message: 'An unexpected error occurred'
+    });
+}
+
+module.exports = errorHandler;
@@ -0,0 +1,44 @@
+/**
+ * API Routes
+ * Registers every domain controller under the /api prefix
+ */
+const authController = require('../auth/auth-controller');
+const characterController = require('../character/character-controller');
+const itemsController = require('../items/items-controller');
+const inventoryController = require('../inventory/inventory-controller');
+const equipmentController = require('../equipment/equipment-controller');
+const shopController = require('../shop/shop-controller');
+const craftingController = require('../crafting/crafting-controller');
+const abilitiesController = require('../abilities/abilities-controller');
+const battleController = require('../battle/battle-controller');
+const challengeController = require('../challenge/challenge-controller');
+const adventureController = require('../adventure/adventure-controller');
+const effectsController = require('../effects/effects-controller');
+const leaderboardController = require('../leaderboard/leaderboard-controller');
+const authMiddleware = require('../middleware/auth-middleware');
+
+/**
+ * API routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function apiRoutes(fastify) {
+    fastify.decorateRequest('user', null);
+    fastify.addHook('preHandler', authMiddleware.authenticate);
+    fastify.addHook('preHandler', authMiddleware.authorizeCharacter);
+
+    fastify.register(authController);
+    fastify.register(characterController);
+    fastify.register(itemsController);
+    fastify.register(inventoryController);
+    fastify.register(equipmentController);
+    fastify.register(shopController);
+    fastify.register(craftingController);
+    fastify.register(abilitiesController);
+    fastify.register(battleController);
+    fastify.register(challengeController);
+    fastify.register(adventureController);
+    fastify.register(effectsController);
+    fastify.register(leaderboardController);
+}
+
+module.exports = apiRoutes;
@@ -0,0 +1,60 @@
+/**
+ * Socket Routes
+ * Registers the battle socket, which tells players when their match is ready and streams
+ * their live battles
+ */
+const authMiddleware = require('../middleware/auth-middleware');
+const characterService = require('../character/character-service');
+const matchmakingService = require('../battle/matchmaking-service');
+const liveBattleService = require('../battle/live-battle-service');
+const battleSocketService = require('../battle/battle-socket-service');
+
+// Private properties
+const POLICY_VIOLATION = 1008;
+
+/**
+ * Check that a socket request comes from the owner of the character it names
+ * @param {Object} request - Fastify request
+ * @param {string} characterId - Character id from the route
+ * @returns {boolean} True when the session user owns the character
+ */
+function ownsCharacter(request, characterId) {
+    const user = authMiddleware.getRequestUser(request);
+
+    return Boolean(user) &&
+        characterService.getCharactersForUser(user.id).some(character => character.id === characterId);
+}
+
+/**
+ * Socket routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function socketRoutes(fastify) {
+    fastify.get('/ws/battle/:characterId', { websocket: true }, (connection, request) => {
+        const { characterId } = request.params;
+        const { socket } = connection;
+
+        if (!ownsCharacter(request, characterId)) {
+            socket.close(POLICY_VIOLATION, 'Not allowed');
+            return;
+        }
+
+        // A queued player whose last socket closes has left, so they are taken out of the queue
+        socket.on('close', () => {
+            if (battleSocketService.removeConnection(characterId, socket)) {
+                matchmakingService.leaveQueue(characterId);
+            }
+        });
+        battleSocketService.addConnection(characterId, socket);
+
+        // Bring a player who reconnects mid-battle up to date
+        const resume = liveBattleService.getResumeMessage(characterId);
+        if (resume) {
+            socket.send(JSON.stringify(resume));
+        }
+
+        matchmakingService.findMatches();
+    });
+}
+
+module.exports = socketRoutes;
@@ -0,0 +1,22 @@
+/**
+ * View Routes
+ * Serves the single page app shell for every non-API page request
+ */
+
+/**
+ * View routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function viewRoutes(fastify) {
+    fastify.setNotFoundHandler((request, reply) => {
+        // Unknown API routes and non-GET requests answer with JSON instead of the app shell
+        if (request.method !== 'GET' || request.url.startsWith('/api/')) {
+            reply.code(404).send({ success: false, message: `Route ${request.method} ${request.url} not found` });
+            return;
+        }
+
+        reply.sendFile('index.html');
+    });
+}
+
+module.exports = viewRoutes;
@@ -0,0 +1,18 @@
+/**
+ * Application Error
+ * Error type thrown by services for failures that should reach the client
+ */
+class AppError extends Error {
+    /**
+     * Create an application error
+     * @param {string} message - Message shown to the player
+     * @param {number} statusCode - HTTP status code to respond with
+     */
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'AppError';
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = AppError;
@@ -0,0 +1,127 @@
+/**
+ * Data Service
+ * Loads and persists the JSON collections stored in the data directory
+ * Collections are cached in memory and written through on every save
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Private properties
+// DATA_DIR points the service elsewhere, such as the scratch copy the tests run against
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+const cache = new Map();
+
+/**
+ * Resolve the file path of a collection
+ * @param {string} name - Collection name (file name without extension)
+ * @returns {string} Absolute file path
+ */
+function getFilePath(name) {
+    return path.join(DATA_DIR, `${name}.json`);
+}
+
+/**
+ * Read a collection from disk, falling back to a default for missing or empty files
+ * @param {string} name - Collection name
+ * @param {*} defaultValue - Value to use when the file has no content
+ * @returns {*} Parsed collection
+ */
+function readFromDisk(name, defaultValue) {
+    const filePath = getFilePath(name);
+
+    if (!fs.existsSync(filePath)) {
+        return defaultValue;
+    }
+
+    const raw = fs.readFileSync(filePath, 'utf8');
+    if (!raw.trim()) {
+        return defaultValue;
+    }
+
+    return JSON.parse(raw);
+}
+
+/**
+ * Get a collection, loading it from disk on first access
+ * @param {string} name - Collection name
+ * @param {*} defaultValue - Value to use when the file has no content
+ * @returns {*} The cached collection
+ */
+function getCollection(name, defaultValue = []) {
+    if (!cache.has(name)) {
+        cache.set(name, readFromDisk(name, defaultValue));
+    }
+
+    return cache.get(name);
+}
+
+/**
+ * Replace a collection and persist it to disk
+ * @param {string} name - Collection name
+ * @param {*} data - The new collection contents
+ */
+function saveCollection(name, data) {
+    cache.set(name, data);
+
+    // Write to a temporary file first so a crash never leaves a half-written collection
+    const filePath = getFilePath(name);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Find a record by id in an array collection
+ * @param {string} name - Collection name
+ * @param {string} id - Record id
+ * @returns {Object|null} The matching record
+ */
+function findById(name, id) {
+    return getCollection(name).find(record => record.id === id) || null;
+}
+
+/**
+ * Insert or replace a record in an array collection
+ * @param {string} name - Collection name
+ * @param {Object} record - Record with an id property
+ * @returns {Object} The saved record
+ */
+function upsert(name, record) {
+    const collection = getCollection(name);
+    const index = collection.findIndex(existing => existing.id === record.id);
+
+    if (index === -1) {
+        collection.push(record);
+    } else {
+        collection[index] = record;
+    }
+
+    saveCollection(name, collection);
+    return record;
+}
+
+/**
+ * Remove a record from an array collection
+ * @param {string} name - Collection name
+ * @param {string} id - Record id
+ * @returns {boolean} Whether a record was removed
+ */
+function remove(name, id) {
+    const collection = getCollection(name);
+    const remaining = collection.filter(record => record.id !== id);
+
+    if (remaining.length === collection.length) {
+        return false;
+    }
+
+    saveCollection(name, remaining);
+    return true;
+}
+
+module.exports = {
+    getCollection,
+    saveCollection,
+    findById,
+    upsert,
+    remove
+};
@@ -0,0 +1,73 @@
+/**
+ * Genetic Algorithm
+ * A small, generic genetic algorithm used to evolve game entities against a fitness function
+ */
+
+/**
+ * Pick a parent using tournament selection
+ * @param {Array} scored - Individuals paired with their fitness
+ * @param {number} size - Tournament size
+ * @returns {*} The selected individual
+ */
+function tournamentSelect(scored, size) {
+    let best = null;
+
+    for (let i = 0; i < size; i++) {
+        const candidate = scored[Math.floor(Math.random() * scored.length)];
+        if (!best || candidate.fitness > best.fitness) {
+            best = candidate;
+        }
+    }
+
+    return best.individual;
+}
+
+/**
+ * Evolve a population and return the fittest individual
+ * @param {Object} options - Algorithm configuration
+ * @param {Function} options.createIndividual - Creates a random individual
+ * @param {Function} options.fitness - Scores an individual (higher is better)
+ * @param {Function} options.crossover - Combines two parents into a child
+ * @param {Function} options.mutate - Returns a randomly altered copy of an individual
+ * @param {number} options.populationSize - Individuals per generation
+ * @param {number} options.generations - Number of generations to run
+ * @param {number} options.eliteCount - Best individuals carried over unchanged
+ * @param {number} options.tournamentSize - Individuals compared per parent selection
+ * @returns {*} The fittest individual found
+ */
+function evolve(options) {
+    const {
+        createIndividual,
+        fitness,
+        crossover,
+        mutate,
+        populationSize = 12,
+        generations = 5,
+        eliteCount = 2,
+        tournamentSize = 3
+    } = options;
+
+    const score = population => population
+        .map(individual => ({ individual, fitness: fitness(individual) }))
+        .sort((a, b) => b.fitness - a.fitness);
+
+    let scored = score(Array.from({ length: populationSize }, () => createIndividual()));
+
+    for (let generation = 1; generation < generations; generation++) {
+        const next = scored.slice(0, eliteCount).map(entry => entry.individual);
+
+        while (next.length < populationSize) {
+            const parentA = tournamentSelect(scored, tournamentSize);
+            const parentB = tournamentSelect(scored, tournamentSize);
+            next.push(mutate(crossover(parentA, parentB)));
+        }
+
+        scored = score(next);
+    }
+
+    return scored[0].individual;
+}
+
+module.exports = {
+    evolve
+};
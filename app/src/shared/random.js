@@ -0,0 +1,60 @@
+/**
+ * Seeded Random
+ * Reproducible pseudo-random numbers for simulations that must replay exactly from a seed
+ */
+const crypto = require('crypto');
+
+// Private properties
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * Create a new random seed
+ * @returns {number} Unsigned 32-bit seed
+ */
+function createSeed() {
+    return crypto.randomInt(0, UINT32_RANGE);
+}
+
+/**
+ * Turn a seed into the generator's 32-bit starting state
+ * Strings are hashed with FNV-1a so any text can be used as a seed
+ * @param {number|string} seed - Seed
+ * @returns {number} Unsigned 32-bit state
+ */
+function hashSeed(seed) {
+    if (typeof seed === 'number') {
+        return seed >>> 0;
+    }
+
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Create a random number generator (mulberry32) from a seed
+ * The same seed always produces the same sequence
+ * @param {number|string} seed - Seed
+ * @returns {Function} Returns the next number in [0, 1)
+ */
+function createRandom(seed) {
+    let state = hashSeed(seed);
+
+    return function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+    };
+}
+
+module.exports = {
+    createSeed,
+    createRandom
+};
@@ -0,0 +1,388 @@
+/**
+ * Scaling Functions
+ * The stat engine: derives every combat stat from a character's attributes, level, equipment, set bonuses and effects
+ * Each stat is built from a list of contributions, so the same numbers can be shown as a breakdown
+ * Pure functions only, so the stats page and every combat mode always agree
+ */
+
+// Engine constants
+const ATTRIBUTES = ['strength', 'agility', 'stamina', 'intellect', 'wisdom'];
+const SCALING_GRADES = { S: 0.6, A: 0.45, B: 0.3, C: 0.2, D: 0.1, E: 0.05 };
+const BASE_HEALTH = 50;
+const HEALTH_PER_STAMINA = 10;
+const HEALTH_PER_LEVEL = 5;
+const BASE_MANA = 30;
+const MANA_PER_WISDOM = 8;
+const MANA_PER_INTELLECT = 2;
+const MANA_PER_LEVEL = 3;
+const UNARMED_PHYSICAL_DAMAGE = { min: 1, max: 2 };
+const UNARMED_MAGIC_DAMAGE = { min: 0, max: 1 };
+const MIN_DAMAGE_PER_PRIMARY = 0.5;
+const MAX_DAMAGE_PER_PRIMARY = 1;
+const BASE_ATTACK_SPEED = 3;
+const ATTACK_SPEED_PER_AGILITY = -0.02;
+const MIN_ATTACK_SPEED = 0.8;
+const BASE_CRIT_CHANCE = 5;
+const CRIT_PER_ATTRIBUTE = 0.3;
+const MAX_CRIT_CHANCE = 50;
+const REDUCTION_RATING_PER_ATTRIBUTE = 0.5;
+const REDUCTION_BASE_DIVISOR = 40;
+const REDUCTION_DIVISOR_PER_LEVEL = 10;
+const MAX_DAMAGE_REDUCTION = 75;
+const DODGE_PER_AGILITY = 0.2;
+const MAX_DODGE_CHANCE = 30;
+const BASE_ACCURACY = 90;
+const ACCURACY_PER_AGILITY = 0.1;
+const MAX_ACCURACY = 100;
+const MAX_BLOCK_CHANCE = 50;
+
+/**
+ * Round a value to a number of decimals
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Capitalize an attribute or stat key for labels
+ * @param {string} key - Key to format
+ * @returns {string} Formatted key
+ */
+function formatKey(key) {
+    return key.charAt(0).toUpperCase() + key.slice(1).replace(/([A-Z])/g, ' $1');
+}
+
+/**
+ * Create a single contribution to a stat
+ * @param {string} source - 'base', 'level', 'attribute', 'item', 'set', 'scaling', 'effect' or 'cap'
+ * @param {string} label - Human readable description
+ * @param {number} amount - Amount added to the stat
+ * @returns {Object} The contribution
+ */
+function contribution(source, label, amount) {
+    return { source, label, amount };
+}
+
+/**
+ * Get the items a character has equipped
+ * @param {Object} character - The character
+ * @returns {Array} Equipped items
+ */
+function getEquippedItems(character) {
+    return Object.values(character.equipment || {}).filter(Boolean);
+}
+
+/**
+ * Get everything that grants flat bonuses: equipped items followed by active set bonuses
+ * @param {Object} character - The character
+ * @param {Array} setBonuses - Active set tiers { name, bonuses }
+ * @returns {Array} Bonus sources, each tagged with its contribution source
+ */
+function getBonusSources(character, setBonuses = []) {
+    return [
+        ...getEquippedItems(character).map(item => ({ source: 'item', name: item.name, bonuses: item.bonuses })),
+        ...setBonuses.map(tier => ({ source: 'set', name: tier.name, bonuses: tier.bonuses }))
+    ];
+}
+
+/**
+ * Sum one bonus key over every equipped item and active set bonus
+ * @param {Object} character - The character
+ * @param {string} key - Bonus key (an attribute or a stat such as armor)
+ * @param {Array} setBonuses - Active set tiers
+ * @returns {number} Total bonus
+ */
+function sumItemBonus(character, key, setBonuses = []) {
+    return getBonusSources(character, setBonuses)
+        .reduce((sum, source) => sum + ((source.bonuses && source.bonuses[key]) || 0), 0);
+}
+
+/**
+ * Sum the attribute bonuses granted by equipped items and active set bonuses
+ * @param {Object} character - The character
+ * @param {Array} setBonuses - Active set tiers
+ * @returns {Object} Bonus values keyed by attribute name
+ */
+function getAttributeBonuses(character, setBonuses = []) {
+    const bonuses = {};
+    ATTRIBUTES.forEach(attr => {
+        bonuses[attr] = sumItemBonus(character, attr, setBonuses);
+    });
+
+    return bonuses;
+}
+
+/**
+ * Get base attributes plus equipment and set bonuses
+ * @param {Object} character - The character
+ * @param {Array} setBonuses - Active set tiers
+ * @returns {Object} Total values keyed by attribute name
+ */
+function getTotalAttributes(character, setBonuses = []) {
+    const bonuses = getAttributeBonuses(character, setBonuses);
+    const totals = {};
+    ATTRIBUTES.forEach(attr => {
+        totals[attr] = (character[attr] || 0) + bonuses[attr];
+    });
+
+    return totals;
+}
+
+/**
+ * Contributions of an attribute, split between the character's own points and each item or set bonus
+ * @param {Object} character - The character
+ * @param {string} attr - Attribute name
+ * @param {number} factor - Stat gained per attribute point
+ * @param {Array} setBonuses - Active set tiers
+ * @returns {Array} Contributions
+ */
+function attributeContributions(character, attr, factor, setBonuses = []) {
+    const base = character[attr] || 0;
+    const contributions = [contribution('attribute', `${formatKey(attr)} (${base} × ${factor})`, base * factor)];
+
+    getBonusSources(character, setBonuses).forEach(source => {
+        const bonus = source.bonuses && source.bonuses[attr];
+        if (bonus) {
+            contributions.push(contribution(source.source, `${source.name} (+${bonus} ${formatKey(attr)} × ${factor})`, bonus * factor));
+        }
+    });
+
+    return contributions;
+}
+
+/**
+ * Contributions of a stat bonus found directly on equipped items and active set bonuses
+ * @param {Object} character - The character
+ * @param {string} key - Bonus key
+ * @param {Array} setBonuses - Active set tiers
+ * @returns {Array} Contributions
+ */
+function itemBonusContributions(character, key, setBonuses = []) {
+    return getBonusSources(character, setBonuses)
+        .filter(source => source.bonuses && source.bonuses[key])
+        .map(source => contribution(source.source, source.name, source.bonuses[key]));
+}
+
+/**
+ * Contributions of active effect modifiers
+ * @param {Array} effects - Active effect definitions with a modifiers map
+ * @param {string} key - Stat key
+ * @returns {Array} Contributions
+ */
+function effectContributions(effects, key) {
+    return effects
+        .filter(effect => effect.modifiers && effect.modifiers[key])
+        .map(effect => contribution('effect', effect.name, effect.modifiers[key]));
+}
+
+/**
+ * Total a list of contributions into a stat, clamping it and recording the clamp as a contribution
+ * @param {Array} contributions - Contributions
+ * @param {Object} options - Finalization options
+ * @param {number} options.min - Lower bound
+ * @param {number} options.max - Upper bound
+ * @param {number} options.decimals - Decimal places of the final value
+ * @returns {Object} { value, contributions }
+ */
+function finalizeStat(contributions, { min = 0, max = Infinity, decimals = 2 } = {}) {
+    const raw = contributions.reduce((sum, part) => sum + part.amount, 0);
+    const clamped = Math.min(max, Math.max(min, raw));
+    const parts = [...contributions];
+
+    if (clamped !== raw) {
+        parts.push(contribution('cap', clamped === max ? `Maximum (${max})` : `Minimum (${min})`, clamped - raw));
+    }
+
+    return {
+        value: round(clamped, decimals),
+        contributions: parts
+            .filter(part => part.amount !== 0 || part.source === 'base')
+            .map(part => ({ ...part, amount: round(part.amount) }))
+    };
+}
+
+/**
+ * Build the min and max damage stats for one damage type
+ * @param {Object} character - The character
+ * @param {Object} attributes - Total attributes
+ * @param {string} damageType - 'physical' or 'magic'
+ * @param {Array} setBonuses - Active set tiers
+ * @returns {Object} { min, max } stats
+ */
+function buildDamageStats(character, attributes, damageType, setBonuses) {
+    const weapon = character.equipment && character.equipment.mainHand;
+    const matches = weapon && weapon.type === 'weapon' && (weapon.damageType || 'physical') === damageType;
+    const primary = damageType === 'magic' ? 'intellect' : 'strength';
+    const unarmed = damageType === 'magic' ? UNARMED_MAGIC_DAMAGE : UNARMED_PHYSICAL_DAMAGE;
+
+    const scaling = matches ?
+        Object.entries(weapon.scaling || {}).map(([attr, grade]) => contribution(
+            'scaling',
+            `${weapon.name} scaling (${formatKey(attr)} ${grade})`,
+            attributes[attr] * (SCALING_GRADES[grade] || 0)
+        )) : [];
+
+    const build = (end, perPrimary) => finalizeStat([
+        matches ?
+            contribution('item', `${weapon.name} base damage`, weapon[`${end}Damage`]) :
+            contribution('base', 'Unarmed', unarmed[end]),
+        ...attributeContributions(character, primary, perPrimary, setBonuses),
+        ...scaling
+    ], { decimals: 0 });
+
+    const min = build('min', MIN_DAMAGE_PER_PRIMARY);
+    const max = build('max', MAX_DAMAGE_PER_PRIMARY);
+    max.value = Math.max(min.value, max.value);
+
+    return { min, max };
+}
+
+/**
+ * Convert a reduction rating into a percentage with diminishing returns
+ * Higher level characters need more rating for the same reduction
+ * @param {number} rating - Armor or magic resist rating
+ * @param {number} level - Character level
+ * @returns {number} Damage reduction percentage
+ */
+function getReductionPercent(rating, level) {
+    if (rating <= 0) {
+        return 0;
+    }
+
+    const divisor = REDUCTION_BASE_DIVISOR + level * REDUCTION_DIVISOR_PER_LEVEL;
+    return Math.min(MAX_DAMAGE_REDUCTION, rating / (rating + divisor) * 100);
+}
+
+/**
+ * Build a damage reduction stat
+ * Rating sources are converted to their share of the resulting percentage
+ * @param {Object} character - The character
+ * @param {Array} effects - Active effects
+ * @param {string} ratingKey - Item bonus key ('armor' or 'magicResist')
+ * @param {string} attr - Attribute adding rating
+ * @param {string} statKey - Stat key for effect modifiers
+ * @param {Array} setBonuses - Active set tiers
+ * @returns {Object} { value, contributions }
+ */
+function buildReductionStat(character, effects, ratingKey, attr, statKey, setBonuses) {
+    const ratingParts = [
+        ...itemBonusContributions(character, ratingKey, setBonuses),
+        ...attributeContributions(character, attr, REDUCTION_RATING_PER_ATTRIBUTE, setBonuses)
+    ];
+    const rating = ratingParts.reduce((sum, part) => sum + part.amount, 0);
+    const percent = getReductionPercent(rating, character.level || 1);
+
+    const shares = rating > 0 ? ratingParts.map(part => ({
+        ...part,
+        label: `${part.label} (${round(part.amount)} ${formatKey(ratingKey)})`,
+        amount: part.amount / rating * percent
+    })) : [];
+
+    return finalizeStat([
+        ...shares,
+        ...effectContributions(effects, statKey)
+    ], { max: MAX_DAMAGE_REDUCTION });
+}
+
+/**
+ * Build every derived stat together with the contributions it is made of
+ * @param {Object} character - Anything with attributes, a level and an equipment map
+ * @param {Array} effects - Active effect definitions whose modifiers apply
+ * @param {Array} setBonuses - Active set tiers { name, bonuses } granting flat bonuses like items do
+ * @returns {Object} { value, contributions } keyed by stat name
+ */
+function calculateStatBreakdown(character, effects = [], setBonuses = []) {
+    const level = character.level || 1;
+    const attributes = getTotalAttributes(character, setBonuses);
+    const physical = buildDamageStats(character, attributes, 'physical', setBonuses);
+    const magic = buildDamageStats(character, attributes, 'magic', setBonuses);
+
+    return {
+        maxHealth: finalizeStat([
+            contribution('base', 'Base', BASE_HEALTH),
+            contribution('level', `Level (${level} × ${HEALTH_PER_LEVEL})`, level * HEALTH_PER_LEVEL),
+            ...attributeContributions(character, 'stamina', HEALTH_PER_STAMINA, setBonuses),
+            ...itemBonusContributions(character, 'health', setBonuses),
+            ...effectContributions(effects, 'maxHealth')
+        ], { min: 1, decimals: 0 }),
+        maxMana: finalizeStat([
+            contribution('base', 'Base', BASE_MANA),
+            contribution('level', `Level (${level} × ${MANA_PER_LEVEL})`, level * MANA_PER_LEVEL),
+            ...attributeContributions(character, 'wisdom', MANA_PER_WISDOM, setBonuses),
+            ...attributeContributions(character, 'intellect', MANA_PER_INTELLECT, setBonuses),
+            ...itemBonusContributions(character, 'mana', setBonuses),
+            ...effectContributions(effects, 'maxMana')
+        ], { decimals: 0 }),
+        minPhysicalDamage: physical.min,
+        maxPhysicalDamage: physical.max,
+        minMagicDamage: magic.min,
+        maxMagicDamage: magic.max,
+        attackSpeed: finalizeStat([
+            contribution('base', 'Base', BASE_ATTACK_SPEED),
+            ...attributeContributions(character, 'agility', ATTACK_SPEED_PER_AGILITY, setBonuses),
+            ...itemBonusContributions(character, 'attackSpeed', setBonuses),
+            ...effectContributions(effects, 'attackSpeed')
+        ], { min: MIN_ATTACK_SPEED }),
+        critChance: finalizeStat([
+            contribution('base', 'Base', BASE_CRIT_CHANCE),
+            ...attributeContributions(character, 'agility', CRIT_PER_ATTRIBUTE, setBonuses),
+            ...itemBonusContributions(character, 'critChance', setBonuses),
+            ...effectContributions(effects, 'critChance')
+        ], { max: MAX_CRIT_CHANCE }),
+        spellCritChance: finalizeStat([
+            contribution('base', 'Base', BASE_CRIT_CHANCE),
+            ...attributeContributions(character, 'intellect', CRIT_PER_ATTRIBUTE, setBonuses),
+            ...itemBonusContributions(character, 'spellCritChance', setBonuses),
+            ...effectContributions(effects, 'spellCritChance')
+        ], { max: MAX_CRIT_CHANCE }),
+        physicalDamageReduction: buildReductionStat(character, effects, 'armor', 'strength', 'physicalDamageReduction', setBonuses),
+        magicDamageReduction: buildReductionStat(character, effects, 'magicResist', 'wisdom', 'magicDamageReduction', setBonuses),
+        dodgeChance: finalizeStat([
+            ...attributeContributions(character, 'agility', DODGE_PER_AGILITY, setBonuses),
+            ...itemBonusContributions(character, 'dodgeChance', setBonuses),
+            ...effectContributions(effects, 'dodgeChance')
+        ], { max: MAX_DODGE_CHANCE }),
+        accuracy: finalizeStat([
+            contribution('base', 'Base', BASE_ACCURACY),
+            ...attributeContributions(character, 'agility', ACCURACY_PER_AGILITY, setBonuses),
+            ...itemBonusContributions(character, 'accuracy', setBonuses),
+            ...effectContributions(effects, 'accuracy')
+        ], { max: MAX_ACCURACY }),
+        blockChance: finalizeStat([
+            ...itemBonusContributions(character, 'blockChance', setBonuses),
+            ...effectContributions(effects, 'blockChance')
+        ], { max: MAX_BLOCK_CHANCE })
+    };
+}
+
+/**
+ * Calculate the derived combat stats for a character
+ * Works for stored characters and generated opponents alike
+ * @param {Object} character - Anything with attributes, a level and an equipment map
+ * @param {Array} effects - Active effect definitions whose modifiers apply
+ * @param {Array} setBonuses - Active set tiers { name, bonuses }
+ * @returns {Object} Derived stats
+ */
+function calculateDerivedStats(character, effects = [], setBonuses = []) {
+    const breakdown = calculateStatBreakdown(character, effects, setBonuses);
+    const stats = {};
+    Object.entries(breakdown).forEach(([stat, entry]) => {
+        stats[stat] = entry.value;
+    });
+
+    return stats;
+}
+
+module.exports = {
+    ATTRIBUTES,
+    SCALING_GRADES,
+    getAttributeBonuses,
+    getTotalAttributes,
+    getReductionPercent,
+    calculateStatBreakdown,
+    calculateDerivedStats
+};
@@ -0,0 +1,95 @@
+/**
+ * Shop Controller
+ * Registers the /api/shop routes
+ */
+const shopService = require('./shop-service');
+const characterService = require('../character/character-service');
+
+/**
+ * Add the price the shop pays to each item
+ * @param {Array} items - Inventory items
+ * @returns {Array} Inventory items with a sellPrice
+ */
+function toSellableItems(items) {
+    return items.map(item => ({ ...item, sellPrice: shopService.getSellPrice(item) }));
+}
+
+/**
+ * Build the response shared by the sell, bulk sell and buyback routes
+ * @param {Object} character - The updated character
+ * @param {Object} extra - Additional response fields
+ * @returns {Object} Response payload
+ */
+function tradeResponse(character, extra = {}) {
+    return {
+        success: true,
+        ...extra,
+        gold: character.gold,
+        inventory: toSellableItems(character.inventory),
+        buyback: shopService.getBuyback(character.id)
+    };
+}
+
+/**
+ * Shop routes plugin
+ * @param {Object} fastify - Fastify instance
+ */
+async function shopController(fastify) {
+    fastify.get('/shop/items', async (request) => {
+        const { characterId } = request.query;
+        return { success: true, ...shopService.getShopItems(characterId) };
+    });
+
+    fastify.post('/shop/buy', async (request) => {
+        const { characterId, itemId, quantity } = request.body || {};
+        const { character, shop } = shopService.buyItem(characterId, itemId, quantity);
+
+        return { success: true, gold: character.gold, ...shop };
+    });
+
+    fastify.post('/shop/refresh', async (request) => {
+        const { characterId } = request.body || {};
+        const { character, shop } = shopService.refreshStock(characterId);
+
+        return { success: true, gold: character.gold, ...shop };
+    });
+
+    fastify.get('/shop/sellable/:characterId', async (request) => {
+        const character = characterService.getCharacter(request.params.characterId);
+        return { success: true, items: toSellableItems(character.inventory) };
+    });
+
+    fastify.post('/shop/sell', async (request) => {
+        const { characterId, itemId } = request.body || {};
+        const { character, goldEarned } = shopService.sellItem(characterId, itemId);
+
+        return tradeResponse(character, { goldEarned });
+    });
+
+    fastify.get('/shop/sell-bulk/:characterId', async (request) => {
+        const items = toSellableItems(shopService.getItemsBelowRarity(request.params.characterId, request.query.rarity));
+        const goldEarned = items.reduce((total, item) => total + item.sellPrice, 0);
+
+        return { success: true, items, goldEarned };
+    });
+
+    fastify.post('/shop/sell-bulk', async (request) => {
+        const { characterId, rarity } = request.body || {};
+        const { character, goldEarned, soldCount } = shopService.sellItemsBelowRarity(characterId, rarity);
+
+        return tradeResponse(character, { goldEarned, soldCount });
+    });
+
+    fastify.get('/shop/buyback/:characterId', async (request) => {
+        return { success: true, items: shopService.getBuyback(request.params.characterId) };
+    });
+
+    fastify.post('/shop/buyback', async (request) => {
+        const { characterId, itemId } = request.body || {};
+        const character = shopService.buyBackItem(characterId, itemId);
+
+        return tradeResponse(character);
+    });
+}
+
+module.exports = shopController;
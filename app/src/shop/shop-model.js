@@ -0,0 +1,56 @@
+/**
+ * Shop Model
+ * Defines the per-character shop stock and when it refreshes
+ */
+const crypto = require('crypto');
+
+// Model constants
+const REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const REFRESH_BASE_COST = 25;
+const REFRESH_COST_PER_LEVEL = 10;
+
+/**
+ * Create a stock record
+ * @param {Object} options - Stock fields
+ * @param {string} options.characterId - Owning character id
+ * @param {Array} options.items - Regular items, each sold once
+ * @param {Array} options.featured - Featured entries { item, quantity }
+ * @param {Date} [options.now] - Time the stock was rolled
+ * @returns {Object} Stock record
+ */
+function createStock({ characterId, items, featured, now = new Date() }) {
+    return {
+        id: crypto.randomUUID(),
+        characterId,
+        items,
+        featured,
+        refreshedAt: now.toISOString(),
+        nextRefreshAt: new Date(now.getTime() + REFRESH_INTERVAL_MS).toISOString()
+    };
+}
+
+/**
+ * Check whether a stock is due for its scheduled refresh
+ * @param {Object} stock - Stock record
+ * @param {Date} [now] - Current time
+ * @returns {boolean} Whether the stock has expired
+ */
+function isExpired(stock, now = new Date()) {
+    return now >= new Date(stock.nextRefreshAt);
+}
+
+/**
+ * Gold cost of refreshing the stock before it is due
+ * @param {number} level - Character level
+ * @returns {number} Gold cost
+ */
+function getRefreshCost(level) {
+    return REFRESH_BASE_COST + level * REFRESH_COST_PER_LEVEL;
+}
+
+module.exports = {
+    REFRESH_INTERVAL_MS,
+    createStock,
+    isExpired,
+    getRefreshCost
+};
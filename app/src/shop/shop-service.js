@@ -0,0 +1,428 @@
+/**
+ * Shop Service
+ * Lists items for sale and handles purchases, sales and buyback
+ * Each character has their own stock, rolled at their level and refreshed on a schedule
+ */
+const dataService = require('../shared/data-service');
+const AppError = require('../shared/app-error');
+const shopModel = require('./shop-model');
+const itemsModel = require('../items/items-model');
+const itemsService = require('../items/items-service');
+const inventoryService = require('../inventory/inventory-service');
+const characterService = require('../character/character-service');
+
+// Private properties
+const SHOPS_COLLECTION = 'shops';
+const STOCK_SIZE = 8;
+const FEATURED_COUNT = 2;
+const FEATURED_MIN_RARITY = 'rare';
+const FEATURED_MAX_QUANTITY = 3;
+const LEVEL_WINDOW = 3;
+const SELL_PRICE_RATIO = 0.25;
+const BUYBACK_LIMIT = 10;
+
+/**
+ * Pick a random element of an array
+ * @param {Array} list - Candidates
+ * @returns {*} The chosen element
+ */
+function pick(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+/**
+ * Get the templates worth stocking for a level
+ * Templates far below the character's level are left out when closer ones exist
+ * @param {number} level - Character level
+ * @returns {Array} Item templates
+ */
+function getStockTemplates(level) {
+    const templates = itemsService.getItemTemplatesForLevel(level)
+        .filter(template => template.price !== undefined && !itemsModel.isStackable(template));
+    const nearLevel = templates.filter(template => (template.level || 1) >= level - LEVEL_WINDOW);
+
+    return nearLevel.length > 0 ? nearLevel : templates;
+}
+
+/**
+ * Get the consumables and materials the shop always carries for a level
+ * Materials that only come from salvage are never sold
+ * @param {number} level - Character level
+ * @returns {Array} Stackable templates, cheapest first
+ */
+function getSupplies(level) {
+    return itemsService.getItemTemplatesForLevel(level)
+        .filter(template => itemsModel.isStackable(template) && template.price !== undefined && template.source !== 'salvage')
+        .sort((a, b) => a.price - b.price);
+}
+
+/**
+ * Roll a fresh stock for a character
+ * @param {Object} character - The character
+ * @param {string} [stockId] - Id of the stock being replaced
+ * @returns {Object} The stock record
+ */
+function rollStock(character, stockId) {
+    const templates = getStockTemplates(character.level);
+    const featuredRarities = itemsService.getRarities()
+        .slice(itemsService.getRarityRank(FEATURED_MIN_RARITY));
+    const items = [];
+    const featured = [];
+
+    for (let i = 0; i < STOCK_SIZE; i++) {
+        items.push(itemsService.generateItem(pick(templates).id, { level: character.level }));
+    }
+
+    for (let i = 0; i < FEATURED_COUNT; i++) {
+        featured.push({
+            item: itemsService.generateItem(pick(templates).id, {
+                level: character.level,
+                rarity: pick(featuredRarities).id
+            }),
+            quantity: 1 + Math.floor(Math.random() * FEATURED_MAX_QUANTITY)
+        });
+    }
+
+    const stock = shopModel.createStock({ characterId: character.id, items, featured });
+    if (stockId) {
+        stock.id = stockId;
+    }
+
+    return stock;
+}
+
+/**
+ * Find a character's stock record
+ * @param {string} characterId - Character id
+ * @returns {Object|null} The stock record
+ */
+function findStock(characterId) {
+    return dataService.getCollection(SHOPS_COLLECTION)
+        .find(stock => stock.characterId === characterId) || null;
+}
+
+/**
+ * Get a character's stock, rolling a new one when none exists or it is due
+ * @param {Object} character - The character
+ * @returns {Object} The current stock record
+ */
+function getStock(character) {
+    const existing = findStock(character.id);
+
+    if (existing && !shopModel.isExpired(existing)) {
+        return existing;
+    }
+
+    return dataService.upsert(SHOPS_COLLECTION, rollStock(character, existing ? existing.id : undefined));
+}
+
+/**
+ * Format a stock for the client
+ * @param {Object} stock - Stock record
+ * @param {Object} character - The owning character
+ * @returns {Object} Items, featured items and refresh timing
+ */
+function toClientStock(stock, character) {
+    return {
+        items: [...stock.items].sort((a, b) => a.price - b.price),
+        featured: stock.featured.map(entry => ({ ...entry.item, featured: true, quantity: entry.quantity })),
+        supplies: getSupplies(character.level),
+        refreshedAt: stock.refreshedAt,
+        nextRefreshAt: stock.nextRefreshAt,
+        refreshCost: shopModel.getRefreshCost(character.level)
+    };
+}
+
+/**
+ * Get the shop as a character sees it
+ * @param {string} characterId - Character id
+ * @returns {Object} The character's stock for the client
+ */
+function getShopItems(characterId) {
+    const character = characterService.getCharacter(characterId);
+    return toClientStock(getStock(character), character);
+}
+
+/**
+ * Find an item for sale in a character's stored stock, featured or not
+ * Only reads the stock, so looking an item up never rolls or saves a new one
+ * @param {Object} character - The character
+ * @param {string} itemId - Shop item id
+ * @returns {Object|null} The item for sale, or null when it or the stock does not exist
+ */
+function findStockItem(character, itemId) {
+    const stock = findStock(character.id);
+    if (!stock) {
+        return null;
+    }
+
+    const featured = stock.featured.find(entry => entry.item.id === itemId);
+
+    return featured ? featured.item : stock.items.find(item => item.id === itemId) || null;
+}
+
+/**
+ * Buy a stack of consumables or materials from the shop's supplies
+ * @param {Object} character - The character (modified in place)
+ * @param {Object} template - Consumable template
+ * @param {number} quantity - How many to buy
+ */
+function buySupplies(character, template, quantity) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new AppError('Quantity must be a positive whole number');
+    }
+
+    const cost = template.price * quantity;
+    if (character.gold < cost) {
+        throw new AppError('Not enough gold');
+    }
+
+    const item = itemsService.createItem(template.id);
+    item.quantity = quantity;
+
+    character.gold -= cost;
+    inventoryService.addItem(character, item);
+}
+
+/**
+ * Buy an item for a character
+ * Regular items sell out once bought; featured items can be bought until their quantity runs out;
+ * supplies never run out and can be bought several at a time
+ * @param {string} characterId - Character id
+ * @param {string} itemId - Id of the stocked item, or template id of a supply
+ * @param {number} [quantity] - How many supplies to buy
+ * @returns {Object} { character, shop }
+ */
+function buyItem(characterId, itemId, quantity = 1) {
+    const character = characterService.getCharacter(characterId);
+    const stock = getStock(character);
+    const supply = getSupplies(character.level).find(template => template.id === itemId);
+
+    if (supply) {
+        buySupplies(character, supply, quantity);
+        return { character: characterService.saveCharacter(character), shop: toClientStock(stock, character) };
+    }
+
+    const index = stock.items.findIndex(item => item.id === itemId);
+    const featured = stock.featured.find(entry => entry.item.id === itemId);
+
+    if (index === -1 && !featured) {
+        throw new AppError('Item not found', 404);
+    }
+
+    const item = featured ? featured.item : stock.items[index];
+    if (character.gold < item.price) {
+        throw new AppError('Not enough gold');
+    }
+
+    character.gold -= item.price;
+
+    if (featured) {
+        inventoryService.addItem(character, itemsModel.copyItemInstance(item));
+        featured.quantity--;
+        stock.featured = stock.featured.filter(entry => entry.quantity > 0);
+    } else {
+        inventoryService.addItem(character, item);
+        stock.items.splice(index, 1);
+    }
+
+    dataService.upsert(SHOPS_COLLECTION, stock);
+
+    return { character: characterService.saveCharacter(character), shop: toClientStock(stock, character) };
+}
+
+/**
+ * Pay to roll a new stock before the scheduled refresh
+ * @param {string} characterId - Character id
+ * @returns {Object} { character, shop }
+ */
+function refreshStock(characterId) {
+    const character = characterService.getCharacter(characterId);
+    const cost = shopModel.getRefreshCost(character.level);
+
+    if (character.gold < cost) {
+        throw new AppError(`Refreshing the shop costs ${cost} gold`);
+    }
+
+    character.gold -= cost;
+    const existing = findStock(characterId);
+    const stock = dataService.upsert(SHOPS_COLLECTION, rollStock(character, existing ? existing.id : undefined));
+
+    return { character: characterService.saveCharacter(character), shop: toClientStock(stock, character) };
+}
+
+/**
+ * Remove a character's shop stock
+ * @param {string} characterId - Character id
+ */
+function deleteStock(characterId) {
+    const stock = findStock(characterId);
+
+    if (stock) {
+        dataService.remove(SHOPS_COLLECTION, stock.id);
+    }
+}
+
+/**
+ * Get the gold the shop pays for an item
+ * The rarity's sell bonus raises the share of the price paid, so an item never sells for as much as it costs
+ * @param {Object} item - Item instance
+ * @returns {number} Sell price
+ */
+function getSellPrice(item) {
+    const rarity = itemsService.getRarities()[itemsService.getRarityRank(item.rarity)];
+    const rarityBonus = rarity ? rarity.sellBonus || 0 : 0;
+    const unitPrice = Math.floor((item.price || 0) * (SELL_PRICE_RATIO + rarityBonus));
+
+    // A stack sells as a whole
+    return unitPrice * (item.quantity || 1);
+}
+
+/**
+ * Get a character's buyback list
+ * @param {Object} character - The character
+ * @returns {Array} Buyback entries { item, price }, newest first
+ */
+function getBuybackEntries(character) {
+    if (!character.buyback) {
+        character.buyback = [];
+    }
+
+    return character.buyback;
+}
+
+/**
+ * Take an item out of a character's inventory and pay for it
+ * The item goes to the front of the buyback list, dropping the oldest entry when full
+ * @param {Object} character - The character (modified in place)
+ * @param {number} index - Inventory index of the item
+ * @returns {number} Gold earned
+ */
+function sellAtIndex(character, index) {
+    const [item] = character.inventory.splice(index, 1);
+    const price = getSellPrice(item);
+    const buyback = getBuybackEntries(character);
+
+    character.gold += price;
+    buyback.unshift({ item, price });
+    buyback.splice(BUYBACK_LIMIT);
+
+    return price;
+}
+
+/**
+ * Sell an inventory item to the shop
+ * @param {string} characterId - Character id
+ * @param {string} itemId - Inventory item id
+ * @returns {Object} { character, goldEarned }
+ */
+function sellItem(characterId, itemId) {
+    const character = characterService.getCharacter(characterId);
+    const index = character.inventory.findIndex(item => item.id === itemId);
+
+    if (index === -1) {
+        const equipped = Object.values(character.equipment).some(item => item && item.id === itemId);
+        throw equipped ?
+            new AppError('Unequip this item before selling it') :
+            new AppError('Item not found in inventory', 404);
+    }
+
+    const goldEarned = sellAtIndex(character, index);
+
+    return { character: characterService.saveCharacter(character), goldEarned };
+}
+
+/**
+ * Find the inventory items a bulk sale below a rarity tier would sell
+ * Stacked consumables and materials have no rarity of their own, so they are never bulk sold
+ * @param {Object} character - The character
+ * @param {string} rarityId - Items of a lower rarity than this are included
+ * @returns {Array} Inventory items, in inventory order
+ */
+function findItemsBelowRarity(character, rarityId) {
+    const threshold = itemsService.getRarityRank(itemsService.getRarity(rarityId).id);
+
+    return character.inventory.filter(item =>
+        !itemsModel.isStackable(item) && itemsService.getRarityRank(item.rarity) < threshold);
+}
+
+/**
+ * List the items selling below a rarity tier would sell, so the player can confirm them
+ * @param {string} characterId - Character id
+ * @param {string} rarityId - Items of a lower rarity than this are included
+ * @returns {Array} Inventory items
+ */
+function getItemsBelowRarity(characterId, rarityId) {
+    return findItemsBelowRarity(characterService.getCharacter(characterId), rarityId);
+}
+
+/**
+ * Sell every inventory item below a rarity tier
+ * @param {string} characterId - Character id
+ * @param {string} rarityId - Items of a lower rarity than this are sold
+ * @returns {Object} { character, goldEarned, soldCount }
+ */
+function sellItemsBelowRarity(characterId, rarityId) {
+    const character = characterService.getCharacter(characterId);
+    const items = findItemsBelowRarity(character, rarityId);
+
+    if (items.length === 0) {
+        throw new AppError('You have no items below that rarity to sell');
+    }
+
+    const goldEarned = items.reduce((total, item) =>
+        total + sellAtIndex(character, character.inventory.indexOf(item)), 0);
+
+    return { character: characterService.saveCharacter(character), goldEarned, soldCount: items.length };
+}
+
+/**
+ * Get the items a character can buy back
+ * @param {string} characterId - Character id
+ * @returns {Array} Sold items with their buyback price, newest first
+ */
+function getBuyback(characterId) {
+    return getBuybackEntries(characterService.getCharacter(characterId))
+        .map(entry => ({ ...entry.item, price: entry.price }));
+}
+
+/**
+ * Buy back a previously sold item at the price it was sold for
+ * @param {string} characterId - Character id
+ * @param {string} itemId - Id of the sold item
+ * @returns {Object} The updated character
+ */
+function buyBackItem(characterId, itemId) {
+    const character = characterService.getCharacter(characterId);
+    const buyback = getBuybackEntries(character);
+    const index = buyback.findIndex(entry => entry.item.id === itemId);
+
+    if (index === -1) {
+        throw new AppError('Item not found in buyback', 404);
+    }
+
+    const { item, price } = buyback[index];
+    if (character.gold < price) {
+        throw new AppError('Not enough gold');
+    }
+
+    character.gold -= price;
+    buyback.splice(index, 1);
+    inventoryService.addItem(character, item);
+
+    return characterService.saveCharacter(character);
+}
+
+module.exports = {
+    getShopItems,
+    findStockItem,
+    buyItem,
+    refreshStock,
+    deleteStock,
+    getSellPrice,
+    sellItem,
+    getItemsBelowRarity,
+    sellItemsBelowRarity,
+    getBuyback,
+    buyBackItem
+};
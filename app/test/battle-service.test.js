@@ -0,0 +1,149 @@
+const assert = require('assert');
+const battleService = require('../src/battle/battle-service');
+const itemsService = require('../src/items/items-service');
+const characterService = require('../src/character/character-service');
+const { createTestCharacter } = require('./support/fixtures');
+
+/**
+ * Build fresh combatants for two characters at full health and mana
+ * @param {Array} characters - The two characters
+ * @returns {Array} Combatants
+ */
+function createCombatants(characters) {
+    return characters.map(character => battleService.createCombatant({ ...character, health: null, mana: null }));
+}
+
+/**
+ * Fight a PvP battle to the end and store it
+ * @param {Object} first - First character
+ * @param {Object} second - Second character
+ * @param {boolean} [ranked] - Whether the battle counts towards ratings
+ * @returns {Object} The stored battle
+ */
+function fightPvpBattle(first, second, ranked = false) {
+    const pvpBattle = battleService.startPvpBattle(first.id, second.id, ranked);
+    const log = [];
+    let step = pvpBattle.engine.next();
+
+    while (!step.done) {
+        log.push(step.value);
+        step = pvpBattle.engine.next();
+    }
+
+    return battleService.finishPvpBattle(pvpBattle, log, step.value);
+}
+
+describe('battle service', () => {
+    let characters;
+
+    beforeEach(() => {
+        characters = [createTestCharacter('warrior'), createTestCharacter('mage')];
+    });
+
+    describe('simulateBattle', () => {
+        it('produces the same log and winner from the same seed', () => {
+            const options = { seed: 12345, startTime: Date.parse('2024-01-01T00:00:00Z') };
+            const first = battleService.simulateBattle(...createCombatants(characters), options);
+            const second = battleService.simulateBattle(...createCombatants(characters), options);
+
+            assert.ok(first.log.length > 0);
+            assert.deepStrictEqual(second.log, first.log);
+            assert.strictEqual(second.winner, first.winner);
+        });
+
+        it('rolls differently with a different seed', () => {
+            const startTime = Date.parse('2024-01-01T00:00:00Z');
+            const logs = [1, 2, 3].map(seed =>
+                JSON.stringify(battleService.simulateBattle(...createCombatants(characters), { seed, startTime }).log));
+
+            assert.ok(new Set(logs).size > 1);
+        });
+    });
+
+    describe('replayBattle', () => {
+        it('replays a stored battle into the identical log and winner', () => {
+            const stored = battleService.getBattle(fightPvpBattle(...characters).id);
+            const replay = battleService.replayBattle(stored);
+
+            assert.deepStrictEqual(replay.log, stored.log);
+            assert.strictEqual(replay.winner, stored.winner);
+            assert.strictEqual(battleService.verifyReplay(stored).matches, true);
+        });
+
+        it('still replays the original battle after the characters change', () => {
+            const stored = fightPvpBattle(...characters);
+            characters[0].strength += 50;
+
+            assert.strictEqual(battleService.verifyReplay(stored).matches, true);
+        });
+
+        it('rejects battles stored without a seed', () => {
+            assert.throws(() => battleService.replayBattle({ seed: null, snapshots: [] }), /cannot be replayed/);
+        });
+    });
+
+    describe('finishPvpBattle', () => {
+        it('leaves ratings unchanged after a casual battle', () => {
+            const battle = fightPvpBattle(...characters);
+
+            characters.forEach(character => {
+                assert.strictEqual(characterService.getCharacter(character.id).pvp, undefined);
+                assert.strictEqual(battleService.toClientBattle(battle, character.id).rating, null);
+            });
+        });
+
+        it('updates both ratings after a ranked battle', () => {
+            const battle = fightPvpBattle(...characters, true);
+            const winner = characterService.getCharacter(battle.winner);
+            const loser = characterService.getCharacter(characters.find(character => character.id !== battle.winner).id);
+
+            assert.strictEqual(battle.ranked, true);
+            assert.ok(winner.pvp.rating > 1000);
+            assert.ok(loser.pvp.rating < 1000);
+        });
+    });
+
+    describe('set effects', () => {
+        let tier;
+
+        beforeEach(() => {
+            // Give the two-piece Ironclad tier a healing effect for the length of each test
+            tier = itemsService.getSets().find(set => set.id === 'ironclad').tiers.find(candidate => candidate.pieces === 2);
+            tier.effects = ['regeneration'];
+
+            ['iron-shield', 'iron-helm'].forEach(templateId => {
+                const item = itemsService.createItem(templateId);
+                characters[0].equipment[item.slot] = item;
+            });
+        });
+
+        afterEach(() => {
+            delete tier.effects;
+        });
+
+        it('ticks a set effect for the whole battle', () => {
+            const [first, second] = createCombatants(characters);
+            const name = 'Ironclad (2 pieces): Regeneration';
+            const result = battleService.simulateBattle(first, second, { seed: 7, startTime: 0 });
+            const ticks = result.log.filter(entry => entry.type === 'heal' && entry.message.includes(name));
+            const seconds = (Date.parse(result.log[result.log.length - 1].timestamp) - Date.parse(result.log[0].timestamp)) / 1000;
+
+            // Regeneration alone lasts 5 seconds; from a set it ticks every second of the fight
+            assert.ok(seconds > 5);
+            assert.ok(ticks.length >= Math.floor(seconds) - 1);
+            assert.ok(!result.log.some(entry => entry.message.includes(`${name} wore off`)));
+        });
+
+        it('does not count set modifiers twice', () => {
+            const [plain] = createCombatants(characters);
+            tier.effects = ['fortify'];
+            const [fortified] = createCombatants(characters);
+
+            // Modifier effects reach the stats through the stat engine only
+            assert.deepStrictEqual(fortified.effects, []);
+            assert.strictEqual(
+                Math.round((fortified.stats.physicalDamageReduction - plain.stats.physicalDamageReduction) * 100) / 100,
+                15);
+        });
+    });
+});
@@ -0,0 +1,30 @@
+const assert = require('assert');
+const challengeService = require('../src/challenge/challenge-service');
+const battleService = require('../src/battle/battle-service');
+const { createTestCharacter, giveRotation } = require('./support/fixtures');
+
+describe('challenge service', () => {
+    let character;
+
+    beforeEach(() => {
+        character = createTestCharacter('warrior');
+        giveRotation(character);
+        challengeService.startChallenge(character.id);
+    });
+
+    it('stores each challenge fight so it replays exactly', () => {
+        const result = challengeService.fightChallengeBattle(character.id);
+        const battle = battleService.getBattle(result.battle.id);
+
+        assert.strictEqual(battle.mode, 'challenge');
+        assert.strictEqual(battle.winner, result.battle.winner);
+        assert.deepStrictEqual(battle.log, result.battle.log);
+        assert.strictEqual(battleService.verifyReplay(battle).matches, true);
+    });
+
+    it('keeps the seed the opponent was evolved with', () => {
+        const opponent = challengeService.getOpponent(character.id);
+
+        assert.strictEqual(typeof opponent.trialSeed, 'number');
+    });
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const fastify = require('fastify');
+const characterController = require('../src/character/character-controller');
+const errorHandler = require('../src/middleware/error-handler');
+const characterService = require('../src/character/character-service');
+const matchmakingService = require('../src/battle/matchmaking-service');
+const liveBattleService = require('../src/battle/live-battle-service');
+const { createTestCharacter, giveRotation } = require('./support/fixtures');
+
+describe('character controller', () => {
+    const isInBattle = liveBattleService.isInBattle;
+    let app;
+
+    beforeEach(async () => {
+        app = fastify();
+        app.setErrorHandler(errorHandler);
+        app.register(characterController);
+        await app.ready();
+    });
+
+    afterEach(async () => {
+        liveBattleService.isInBattle = isInBattle;
+        await app.close();
+    });
+
+    describe('DELETE /character/:characterId', () => {
+        it('deletes the character', async () => {
+            const character = createTestCharacter();
+            const response = await app.inject({ method: 'DELETE', url: `/character/${character.id}` });
+
+            assert.strictEqual(response.statusCode, 200);
+            assert.deepStrictEqual(response.json(), { success: true });
+            assert.strictEqual(characterService.getCharactersForUser(character.userId).length, 0);
+        });
+
+        it('takes the character out of the matchmaking queue', async () => {
+            const character = giveRotation(createTestCharacter());
+            matchmakingService.joinQueue(character.id);
+
+            await app.inject({ method: 'DELETE', url: `/character/${character.id}` });
+
+            assert.strictEqual(matchmakingService.getQueueStatus(character.id).inQueue, false);
+        });
+
+        it('refuses while the character is fighting a live battle', async () => {
+            const character = createTestCharacter();
+            liveBattleService.isInBattle = characterId => characterId === character.id;
+
+            const response = await app.inject({ method: 'DELETE', url: `/character/${character.id}` });
+
+            assert.strictEqual(response.statusCode, 400);
+            assert.match(response.json().message, /Finish your current battle/);
+            assert.strictEqual(characterService.getCharacter(character.id).id, character.id);
+        });
+    });
+});
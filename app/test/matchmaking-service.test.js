@@ -0,0 +1,137 @@
+const assert = require('assert');
+const matchmakingService = require('../src/battle/matchmaking-service');
+const liveBattleService = require('../src/battle/live-battle-service');
+const battleSocketService = require('../src/battle/battle-socket-service');
+const { createTestCharacter, giveRotation } = require('./support/fixtures');
+
+/**
+ * Pretend a queue entry joined the given number of seconds ago
+ * @param {Object} entry - Queue entry (modified in place)
+ * @param {number} seconds - Seconds waited
+ */
+function backdate(entry, seconds) {
+    entry.queueStartTime = new Date(Date.now() - seconds * 1000).toISOString();
+}
+
+describe('matchmaking service', () => {
+    const startLiveBattle = liveBattleService.startLiveBattle;
+    const socket = { send() {} };
+    let queued;
+    let matches;
+
+    /**
+     * Create a connected character with a valid rotation and put it in the queue
+     * @param {Object} [overrides] - Fields to set on the character
+     * @param {string} [mode] - Queue mode
+     * @returns {Object} The queue entry
+     */
+    function queueCharacter(overrides = {}, mode = 'casual') {
+        const character = giveRotation(createTestCharacter('warrior', overrides));
+        battleSocketService.addConnection(character.id, socket);
+        queued.push(character.id);
+
+        return matchmakingService.joinQueue(character.id, mode);
+    }
+
+    beforeEach(() => {
+        queued = [];
+        matches = [];
+        // Record pairings instead of fighting them
+        liveBattleService.startLiveBattle = (firstId, secondId, ranked) => matches.push([firstId, secondId, ranked]);
+    });
+
+    afterEach(() => {
+        liveBattleService.startLiveBattle = startLiveBattle;
+        queued.forEach(characterId => {
+            matchmakingService.leaveQueue(characterId);
+            battleSocketService.removeConnection(characterId, socket);
+        });
+    });
+
+    it('pairs characters within the starting level band', () => {
+        const first = queueCharacter({ level: 3 });
+        const second = queueCharacter({ level: 5 });
+
+        assert.deepStrictEqual(matches, [[first.characterId, second.characterId, false]]);
+        assert.strictEqual(matchmakingService.getQueueStatus(first.characterId).inQueue, false);
+    });
+
+    it('widens the level band the longer both characters wait', () => {
+        const first = queueCharacter({ level: 1 });
+        const second = queueCharacter({ level: 6 });
+        assert.strictEqual(matches.length, 0);
+
+        // Two widenings allow a difference of 4, still short of 5
+        backdate(first, 25);
+        backdate(second, 25);
+        matchmakingService.findMatches();
+        assert.strictEqual(matches.length, 0);
+
+        backdate(first, 30);
+        backdate(second, 30);
+        matchmakingService.findMatches();
+        assert.deepStrictEqual(matches, [[first.characterId, second.characterId, false]]);
+    });
+
+    it('needs both bands to cover the difference', () => {
+        const first = queueCharacter({ level: 1 });
+        const second = queueCharacter({ level: 6 });
+
+        backdate(first, 60);
+        matchmakingService.findMatches();
+
+        assert.strictEqual(matches.length, 0);
+    });
+
+    it('never pairs two characters of the same account', () => {
+        const first = queueCharacter({ level: 4 });
+        const second = queueCharacter({ level: 4, userId: first.userId });
+
+        backdate(first, 600);
+        backdate(second, 600);
+        matchmakingService.findMatches();
+
+        assert.strictEqual(matches.length, 0);
+        assert.strictEqual(matchmakingService.getQueueStatus(second.characterId).inQueue, true);
+    });
+
+    it('pairs the longest waiter with the closest opponent', () => {
+        const waiter = queueCharacter({ level: 5 });
+        const far = queueCharacter({ level: 8 });
+        backdate(waiter, 60);
+        backdate(far, 60);
+        const near = queueCharacter({ level: 6 });
+
+        assert.deepStrictEqual(matches, [[waiter.characterId, near.characterId, false]]);
+        assert.strictEqual(matchmakingService.getQueueStatus(far.characterId).inQueue, true);
+    });
+
+    it('matches ranked characters by rating instead of level', () => {
+        const first = queueCharacter({ level: 1, pvp: { rating: 1000, wins: 3, losses: 3 } }, 'ranked');
+        const second = queueCharacter({ level: 20, pvp: { rating: 1150, wins: 3, losses: 3 } }, 'ranked');
+        assert.strictEqual(matches.length, 0);
+
+        backdate(first, 10);
+        backdate(second, 10);
+        matchmakingService.findMatches();
+
+        assert.deepStrictEqual(matches, [[first.characterId, second.characterId, true]]);
+    });
+
+    it('keeps casual and ranked queues apart', () => {
+        const first = queueCharacter({ level: 2 }, 'casual');
+        const second = queueCharacter({ level: 2 }, 'ranked');
+
+        assert.strictEqual(matches.length, 0);
+        assert.strictEqual(matchmakingService.getQueueStatus(first.characterId).mode, 'casual');
+        assert.strictEqual(matchmakingService.getQueueStatus(second.characterId).mode, 'ranked');
+    });
+
+    it('leaves characters without an open socket waiting', () => {
+        const first = queueCharacter({ level: 2 });
+        battleSocketService.removeConnection(first.characterId, socket);
+        queueCharacter({ level: 2 });
+
+        assert.strictEqual(matches.length, 0);
+    });
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const optimizerService = require('../src/equipment/optimizer-service');
+const itemsService = require('../src/items/items-service');
+const characterModel = require('../src/character/character-model');
+const characterService = require('../src/character/character-service');
+const { createTestCharacter } = require('./support/fixtures');
+
+/**
+ * Create an item whose only bonuses are the given ones
+ * @param {string} templateId - Template id
+ * @param {Object} bonuses - Bonuses
+ * @returns {Object} The item instance
+ */
+function createItem(templateId, bonuses) {
+    return { ...itemsService.createItem(templateId), bonuses };
+}
+
+describe('optimizer service', () => {
+    // Scored as blockChance + 2 × critChance, so every item's worth can be added up by hand
+    const weights = { blockChance: 1, critChance: 2 };
+    let character;
+    let items;
+
+    beforeEach(() => {
+        items = {
+            wall: createItem('wooden-shield', { blockChance: 10 }),
+            spiked: createItem('iron-shield', { blockChance: 6, critChance: 3 }),
+            axe: createItem('war-axe', { critChance: 5 }),
+            sword: createItem('rusty-sword', { critChance: 1 }),
+            copper: createItem('copper-ring', { critChance: 1 }),
+            ruby: createItem('ruby-ring', { critChance: 2 }),
+            sapphire: createItem('sapphire-ring', { critChance: 3 })
+        };
+        character = createTestCharacter('warrior', {
+            equipment: characterModel.createEmptyEquipment(),
+            inventory: Object.values(items)
+        });
+    });
+
+    it('finds the hand-computed best loadout for a custom goal', () => {
+        // Hands: sword + spiked shield is 2 + 12 = 14, beating the two-handed axe alone (10)
+        // and sword + wall (12). Rings: sapphire + ruby is 6 + 4 = 10. Total gain: 24
+        const result = optimizerService.optimizeEquipment(character.id, 'custom', weights);
+
+        assert.strictEqual(result.equipment.mainHand.id, items.sword.id);
+        assert.strictEqual(result.equipment.offHand.id, items.spiked.id);
+        assert.deepStrictEqual(
+            [result.equipment.ring1.id, result.equipment.ring2.id].sort(),
+            [items.sapphire.id, items.ruby.id].sort());
+        assert.strictEqual(Math.round((result.score.after - result.score.before) * 100) / 100, 24);
+        assert.strictEqual(result.changes.length, 4);
+    });
+
+    it('only proposes the loadout', () => {
+        optimizerService.optimizeEquipment(character.id, 'custom', weights);
+
+        const stored = characterService.getCharacter(character.id);
+        assert.strictEqual(stored.equipment.mainHand, null);
+        assert.strictEqual(stored.inventory.length, 7);
+    });
+
+    it('equips a proposed loadout when applied', () => {
+        const result = optimizerService.optimizeEquipment(character.id, 'custom', weights);
+        const loadout = {};
+        Object.entries(result.equipment).forEach(([slot, item]) => {
+            loadout[slot] = item ? item.id : null;
+        });
+
+        const updated = optimizerService.applyLoadout(character.id, loadout);
+
+        assert.strictEqual(updated.equipment.offHand.id, items.spiked.id);
+        assert.deepStrictEqual(updated.inventory.map(item => item.id).sort(), [items.wall.id, items.axe.id, items.copper.id].sort());
+    });
+
+    it('refuses a loadout that breaks the two-handed rule', () => {
+        assert.throws(
+            () => optimizerService.applyLoadout(character.id, { mainHand: items.axe.id, offHand: items.wall.id }),
+            /cannot be equipped together/);
+    });
+
+    it('rejects unknown goals and unknown weighted stats', () => {
+        assert.throws(() => optimizerService.optimizeEquipment(character.id, 'fastest'), /Unknown optimization goal/);
+        assert.throws(() => optimizerService.optimizeEquipment(character.id, 'custom', { luck: 1 }), /Unknown stat: luck/);
+        assert.throws(() => optimizerService.optimizeEquipment(character.id, 'custom', {}), /at least one stat/);
+    });
+});
@@ -0,0 +1,117 @@
+const assert = require('assert');
+const ratingService = require('../src/battle/rating-service');
+const { createTestCharacter } = require('./support/fixtures');
+
+/**
+ * Rate a battle between two characters
+ * @param {Object} winner - Winning character
+ * @param {Object} loser - Losing character
+ * @returns {Object} The battle's rewards keyed by character id
+ */
+function rateBattle(winner, loser) {
+    const battle = {
+        characters: [{ id: winner.id }, { id: loser.id }],
+        winner: winner.id,
+        rewards: {}
+    };
+    ratingService.updateRatings(battle);
+
+    return battle.rewards;
+}
+
+/**
+ * Create a character with a PvP record
+ * @param {number} rating - Rating
+ * @param {number} battles - Battles fought so far
+ * @returns {Object} The stored character
+ */
+function createRatedCharacter(rating, battles) {
+    return createTestCharacter('warrior', { pvp: { rating, wins: battles, losses: 0 } });
+}
+
+describe('rating service', () => {
+    describe('updateRatings', () => {
+        it('starts new characters at 1000 and moves them 24 points for an even provisional battle', () => {
+            const winner = createTestCharacter();
+            const loser = createTestCharacter();
+            const rewards = rateBattle(winner, loser);
+
+            // K 48 × (1 − 0.5)
+            assert.deepStrictEqual(rewards[winner.id].rating, { before: 1000, after: 1024, change: 24 });
+            assert.deepStrictEqual(rewards[loser.id].rating, { before: 1000, after: 976, change: -24 });
+            assert.deepStrictEqual(winner.pvp, { rating: 1024, wins: 1, losses: 0 });
+            assert.deepStrictEqual(loser.pvp, { rating: 976, wins: 0, losses: 1 });
+        });
+
+        it('halves the K-factor once ten battles have been fought', () => {
+            const rewards = rateBattle(createRatedCharacter(1000, 10), createRatedCharacter(1000, 10));
+            const changes = Object.values(rewards).map(reward => reward.rating.change);
+
+            // K 24 × (1 − 0.5)
+            assert.deepStrictEqual(changes, [12, -12]);
+        });
+
+        it('keeps the provisional K-factor through the ninth battle', () => {
+            const winner = createRatedCharacter(1000, 9);
+            const loser = createRatedCharacter(1000, 10);
+            const rewards = rateBattle(winner, loser);
+
+            assert.strictEqual(rewards[winner.id].rating.change, 24);
+            assert.strictEqual(rewards[loser.id].rating.change, -12);
+        });
+
+        it('pays more for an upset than for an expected win', () => {
+            const underdog = createRatedCharacter(1000, 20);
+            const favourite = createRatedCharacter(1200, 20);
+            const upset = rateBattle(underdog, favourite);
+
+            // Expected score 1 / (1 + 10^(200 / 400)) ≈ 0.2403, so 24 × 0.7597 ≈ 18
+            assert.strictEqual(upset[underdog.id].rating.change, 18);
+            assert.strictEqual(upset[favourite.id].rating.change, -18);
+
+            const expected = rateBattle(createRatedCharacter(1200, 20), createRatedCharacter(1000, 20));
+            const changes = Object.values(expected).map(reward => reward.rating.change);
+
+            // 24 × 0.2403 ≈ 6
+            assert.deepStrictEqual(changes, [6, -6]);
+        });
+
+        it('never lets a rating drop below zero', () => {
+            const loser = createRatedCharacter(5, 20);
+            rateBattle(createRatedCharacter(5, 20), loser);
+
+            assert.strictEqual(loser.pvp.rating, 0);
+        });
+
+        it('keeps the experience already recorded on the rewards', () => {
+            const winner = createTestCharacter();
+            const loser = createTestCharacter();
+            const battle = {
+                characters: [{ id: winner.id }, { id: loser.id }],
+                winner: winner.id,
+                rewards: { [winner.id]: { experience: 55 } }
+            };
+            ratingService.updateRatings(battle);
+
+            assert.strictEqual(battle.rewards[winner.id].experience, 55);
+            assert.strictEqual(battle.rewards[winner.id].rating.change, 24);
+        });
+    });
+
+    describe('getRating', () => {
+        it('places ratings in their rank tier', () => {
+            assert.strictEqual(ratingService.getRankTier(0).id, 'bronze');
+            assert.strictEqual(ratingService.getRankTier(1099).id, 'bronze');
+            assert.strictEqual(ratingService.getRankTier(1100).id, 'silver');
+            assert.strictEqual(ratingService.getRankTier(2400).id, 'champion');
+        });
+
+        it('names the next tier until the top one', () => {
+            const rating = ratingService.getRating({ pvp: { rating: 1260, wins: 4, losses: 1 } });
+            assert.strictEqual(rating.tier.id, 'gold');
+            assert.strictEqual(rating.nextTier.id, 'platinum');
+
+            assert.strictEqual(ratingService.getRating({ pvp: { rating: 1900, wins: 30, losses: 2 } }).nextTier, null);
+        });
+    });
+});
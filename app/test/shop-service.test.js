@@ -0,0 +1,87 @@
+const assert = require('assert');
+const shopService = require('../src/shop/shop-service');
+const itemsService = require('../src/items/items-service');
+const inventoryService = require('../src/inventory/inventory-service');
+const characterModel = require('../src/character/character-model');
+const dataService = require('../src/shared/data-service');
+const { createTestCharacter } = require('./support/fixtures');
+
+describe('shop service', () => {
+    describe('findStockItem', () => {
+        let character;
+
+        beforeEach(() => {
+            character = createTestCharacter('warrior');
+        });
+
+        it('finds items in the stored stock', () => {
+            const [item] = shopService.getShopItems(character.id).items;
+
+            assert.strictEqual(shopService.findStockItem(character, item.id).id, item.id);
+            assert.strictEqual(shopService.findStockItem(character, 'missing'), null);
+        });
+
+        it('does not roll a stock when none is stored', () => {
+            assert.strictEqual(shopService.findStockItem(character, 'missing'), null);
+            assert.ok(!dataService.getCollection('shops').some(stock => stock.characterId === character.id));
+        });
+    });
+
+    describe('sellItemsBelowRarity', () => {
+        let character;
+        let items;
+
+        beforeEach(() => {
+            const potions = itemsService.createItem('minor-health-potion');
+            potions.quantity = 5;
+
+            items = {
+                commonSword: itemsService.generateItem('iron-sword', { rarity: 'common' }),
+                uncommonSword: itemsService.generateItem('iron-sword', { rarity: 'uncommon' }),
+                rareShield: itemsService.generateItem('iron-shield', { rarity: 'rare' }),
+                potions,
+                shards: itemsService.createItem('enhancement-shard')
+            };
+            character = createTestCharacter('warrior', {
+                gold: 0,
+                equipment: characterModel.createEmptyEquipment(),
+                inventory: Object.values(items)
+            });
+        });
+
+        it('keeps potion and material stacks', () => {
+            shopService.sellItemsBelowRarity(character.id, 'legendary');
+
+            assert.strictEqual(inventoryService.countItems(character, 'minor-health-potion'), 5);
+            assert.strictEqual(inventoryService.countItems(character, 'enhancement-shard'), 1);
+        });
+
+        it('sells only the gear below the chosen rarity', () => {
+            const { soldCount, goldEarned } = shopService.sellItemsBelowRarity(character.id, 'rare');
+
+            assert.strictEqual(soldCount, 2);
+            assert.strictEqual(goldEarned, shopService.getSellPrice(items.commonSword) + shopService.getSellPrice(items.uncommonSword));
+            assert.strictEqual(character.gold, goldEarned);
+            assert.deepStrictEqual(
+                character.inventory.map(item => item.id),
+                [items.rareShield.id, items.potions.id, items.shards.id]);
+        });
+
+        it('lists exactly the items it then sells', () => {
+            const listed = shopService.getItemsBelowRarity(character.id, 'epic').map(item => item.id);
+            shopService.sellItemsBelowRarity(character.id, 'epic');
+            const sold = shopService.getBuyback(character.id).map(item => item.id);
+
+            assert.deepStrictEqual(sold.sort(), listed.sort());
+            assert.strictEqual(listed.length, 3);
+        });
+
+        it('refuses when only stacks are below the rarity', () => {
+            assert.throws(() => shopService.sellItemsBelowRarity(character.id, 'common'), /no items below that rarity/);
+
+            character.inventory = [items.potions];
+            assert.throws(() => shopService.sellItemsBelowRarity(character.id, 'legendary'), /no items below that rarity/);
+            assert.strictEqual(character.inventory.length, 1);
+        });
+    });
+});
@@ -0,0 +1,20 @@
+/**
+ * Test data directory
+ * Runs the suite against a scratch copy of data/ so tests never write to the real collections
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SOURCE_DIR = path.join(__dirname, '..', '..', 'data');
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-battle-rpg-'));
+
+fs.readdirSync(SOURCE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => fs.copyFileSync(path.join(SOURCE_DIR, file), path.join(dataDir, file)));
+
+process.env.DATA_DIR = dataDir;
+
+process.on('exit', () => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
@@ -0,0 +1,39 @@
+/**
+ * Test fixtures
+ * Builds stored characters for the services under test
+ */
+const crypto = require('crypto');
+const characterService = require('../../src/character/character-service');
+const abilitiesService = require('../../src/abilities/abilities-service');
+const abilitiesModel = require('../../src/abilities/abilities-model');
+
+/**
+ * Create and store a character owned by a fresh user
+ * @param {string} [classId] - Class id
+ * @param {Object} [overrides] - Fields to set on the stored character
+ * @returns {Object} The stored character
+ */
+function createTestCharacter(classId = 'warrior', overrides = {}) {
+    const character = characterService.createCharacter(crypto.randomUUID(), `Test ${classId}`, classId);
+    Object.assign(character, overrides);
+
+    return characterService.saveCharacter(character);
+}
+
+/**
+ * Give a character a rotation of the first abilities its class can use
+ * @param {Object} character - The character
+ * @returns {Object} The updated character
+ */
+function giveRotation(character) {
+    const abilityIds = abilitiesService.getAbilitiesForCharacter(character)
+        .slice(0, abilitiesModel.MIN_ROTATION_SIZE)
+        .map(ability => ability.id);
+
+    return abilitiesService.saveRotation(character.id, abilityIds, 'physical');
+}
+
+module.exports = {
+    createTestCharacter,
+    giveRotation
+};
@@ -0,0 +1,149 @@
+const assert = require('assert');
+const upgradeService = require('../src/items/upgrade-service');
+const itemsService = require('../src/items/items-service');
+const inventoryService = require('../src/inventory/inventory-service');
+const characterService = require('../src/character/character-service');
+const { createTestCharacter } = require('./support/fixtures');
+
+/**
+ * Put items into a character's inventory
+ * @param {Object} character - The character
+ * @param {string} templateId - Template id
+ * @param {number} [quantity] - Stack size for materials
+ * @returns {Object} The added item
+ */
+function giveItem(character, templateId, quantity = 1) {
+    const item = itemsService.createItem(templateId);
+    if (item.quantity) {
+        item.quantity = quantity;
+    }
+
+    inventoryService.addItem(character, item);
+    characterService.saveCharacter(character);
+
+    return item;
+}
+
+describe('upgrade service', () => {
+    const random = Math.random;
+    let character;
+    let sword;
+
+    /**
+     * Make the next success rolls come out as given
+     * @param {number} roll - Value Math.random returns
+     */
+    function rollAlways(roll) {
+        Math.random = () => roll;
+    }
+
+    beforeEach(() => {
+        character = createTestCharacter('warrior', { gold: 5000 });
+        // Iron Sword: level 3, 5-9 damage
+        sword = giveItem(character, 'iron-sword');
+    });
+
+    afterEach(() => {
+        Math.random = random;
+    });
+
+    describe('previewUpgrade', () => {
+        it('charges the level gold multiplied by the item level, plus the level materials', () => {
+            const preview = upgradeService.previewUpgrade(character.id, sword.id);
+
+            assert.strictEqual(preview.level, 1);
+            assert.strictEqual(preview.successChance, 1);
+            assert.strictEqual(preview.cost.gold, 60);
+            assert.deepStrictEqual(
+                preview.cost.materials.map(material => [material.templateId, material.quantity, material.owned]),
+                [['enhancement-shard', 1, 0]]);
+            assert.strictEqual(preview.cost.canAfford, false);
+        });
+
+        it('shows the upgraded stats without changing the item', () => {
+            const preview = upgradeService.previewUpgrade(character.id, sword.id);
+
+            // +5%: 5 × 0.05 and 9 × 0.05 both round up to one more point
+            assert.strictEqual(preview.upgraded.minDamage, 6);
+            assert.strictEqual(preview.upgraded.maxDamage, 10);
+            assert.strictEqual(sword.minDamage, 5);
+            assert.strictEqual(sword.upgradeLevel, undefined);
+        });
+    });
+
+    describe('upgradeItem', () => {
+        it('spends the gold and materials and raises the item a level', () => {
+            giveItem(character, 'enhancement-shard', 1);
+            const result = upgradeService.upgradeItem(character.id, sword.id);
+
+            assert.strictEqual(result.upgraded, true);
+            assert.strictEqual(sword.upgradeLevel, 1);
+            assert.strictEqual(character.gold, 4940);
+            assert.strictEqual(inventoryService.countItems(character, 'enhancement-shard'), 0);
+        });
+
+        it('calculates every level from the +0 stats instead of compounding', () => {
+            // +1 to +5 cost 1 + 1 + 2 + 2 + 3 shards and (20 + 30 + 45 + 65 + 90) × 3 gold
+            giveItem(character, 'enhancement-shard', 9);
+            for (let level = 1; level <= 5; level++) {
+                upgradeService.upgradeItem(character.id, sword.id);
+            }
+
+            // +30%: 5 + ceil(1.5) and 9 + ceil(2.7)
+            assert.strictEqual(sword.upgradeLevel, 5);
+            assert.strictEqual(sword.minDamage, 7);
+            assert.strictEqual(sword.maxDamage, 12);
+            assert.strictEqual(character.gold, 5000 - 750);
+            assert.strictEqual(inventoryService.countItems(character, 'enhancement-shard'), 0);
+        });
+
+        it('still spends the cost when a risky upgrade fails', () => {
+            giveItem(character, 'enhancement-shard', 9);
+            giveItem(character, 'enhancement-crystal', 2);
+            for (let level = 1; level <= 5; level++) {
+                upgradeService.upgradeItem(character.id, sword.id);
+            }
+            const goldBefore = character.gold;
+
+            // +6 succeeds 80% of the time
+            rollAlways(0.8);
+            const failed = upgradeService.upgradeItem(character.id, sword.id);
+
+            assert.strictEqual(failed.upgraded, false);
+            assert.strictEqual(sword.upgradeLevel, 5);
+            assert.strictEqual(sword.minDamage, 7);
+            assert.strictEqual(character.gold, goldBefore - 360);
+            assert.strictEqual(inventoryService.countItems(character, 'enhancement-crystal'), 1);
+
+            rollAlways(0.79);
+            assert.strictEqual(upgradeService.upgradeItem(character.id, sword.id).upgraded, true);
+            assert.strictEqual(sword.upgradeLevel, 6);
+        });
+
+        it('refuses without enough gold and spends nothing', () => {
+            giveItem(character, 'enhancement-shard', 1);
+            character.gold = 59;
+
+            assert.throws(() => upgradeService.upgradeItem(character.id, sword.id), /Not enough gold/);
+            assert.strictEqual(character.gold, 59);
+            assert.strictEqual(inventoryService.countItems(character, 'enhancement-shard'), 1);
+        });
+
+        it('refuses without the materials and spends nothing', () => {
+            assert.throws(() => upgradeService.upgradeItem(character.id, sword.id), /Not enough Enhancement Shard \(0\/1\)/);
+            assert.strictEqual(character.gold, 5000);
+        });
+
+        it('stops at +10', () => {
+            sword.upgradeLevel = 10;
+
+            assert.throws(() => upgradeService.upgradeItem(character.id, sword.id), /already at \+10/);
+        });
+
+        it('does not upgrade stackable items', () => {
+            const shard = giveItem(character, 'enhancement-shard', 3);
+
+            assert.throws(() => upgradeService.upgradeItem(character.id, shard.id), /cannot be upgraded/);
+        });
+    });
+});